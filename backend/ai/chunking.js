@@ -0,0 +1,67 @@
+// Splits a file's diff into review chunks of whole hunks so large files can
+// be reviewed piece by piece instead of being skipped.
+
+const MAX_CHUNK_CHARS = 6000;
+const CONTEXT_RADIUS = 20;
+const MAX_CONTEXT_CHARS = 3000;
+
+function buildReviewChunks(file, changedFile, maxChunkChars = MAX_CHUNK_CHARS) {
+  const hunks = (changedFile?.hunks || [])
+    .map((hunk) => ({
+      start: hunk.start,
+      end: hunk.end,
+      added: hunk.changedLines.filter((cl) => cl.type === "add"),
+    }))
+    .filter((hunk) => hunk.added.length > 0);
+
+  const chunks = [];
+  let current = [];
+  let size = 0;
+
+  for (const hunk of hunks) {
+    const hunkSize = hunk.added.reduce(
+      (sum, cl) => sum + cl.content.length + 12,
+      0
+    );
+    if (current.length > 0 && size + hunkSize > maxChunkChars) {
+      chunks.push(current);
+      current = [];
+      size = 0;
+    }
+    current.push(hunk);
+    size += hunkSize;
+  }
+  if (current.length > 0) chunks.push(current);
+
+  const fileLines = file.content.split("\n");
+  return chunks.map((chunkHunks) => toChunk(chunkHunks, fileLines));
+}
+
+function toChunk(chunkHunks, fileLines) {
+  const added = chunkHunks.flatMap((hunk) => hunk.added);
+  const first = chunkHunks[0].start;
+  const last = chunkHunks[chunkHunks.length - 1].end;
+
+  // Surrounding code for context, centred on the hunks rather than always
+  // taken from the top of the file
+  const from = Math.max(0, first - 1 - CONTEXT_RADIUS);
+  const to = Math.min(fileLines.length, last + CONTEXT_RADIUS);
+
+  return {
+    changedLinesContext: added
+      .map((cl) => `Line ${cl.lineNumber}: ${cl.content}`)
+      .join("\n"),
+    context: fileLines
+      .slice(from, to)
+      .join("\n")
+      .substring(0, MAX_CONTEXT_CHARS),
+    addedLines: new Set(added.map((cl) => cl.lineNumber)),
+    hunks: chunkHunks.map((hunk) => ({
+      start: hunk.start,
+      end: hunk.end,
+      addedLines: hunk.added.map((cl) => cl.lineNumber),
+    })),
+  };
+}
+
+module.exports = { buildReviewChunks };
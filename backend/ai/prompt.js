@@ -0,0 +1,85 @@
+// Prompt construction and response parsing shared by every AI provider, so
+// switching providers never changes what the model is asked or how its answer
+// is turned into issues.
+
+const { validateReviewResponse } = require("./responseValidator");
+
+function buildReviewPrompt(file, chunk) {
+  return `You are an expert, strict, and highly technical code reviewer. Analyze the code changes in the "Changed Lines" section from the file "${file.path}".
+
+File Language: ${file.language}
+
+Changed Lines (Focus your review ONLY on these lines and their impact):
+\`\`\`${file.language}
+${chunk.changedLinesContext}
+\`\`\`
+
+Full File Context (only use this for broader context, don't review it directly):
+\`\`\`${file.language}
+${chunk.context}
+\`\`\`
+
+Provide a review in this exact, raw JSON format (no markdown, no preamble, just the raw JSON object):
+{
+  "issues": [
+    {
+      "line": <line number of the issue in the NEW code>,
+      "severity": "critical|high|medium|low",
+      "category": "bug|security|performance|quality|style",
+      "title": "Brief, actionable issue title (e.g., Unhandled Promise Rejection)",
+      "description": "Detailed explanation of the problem, its impact, and why it should be fixed.",
+      "suggestion": "A concise code fix or refactoring advice if applicable",
+      "replacement": {
+        "startLine": <first line of the NEW code to replace>,
+        "endLine": <last line of the NEW code to replace>,
+        "code": "The exact code that should replace those lines, with their indentation"
+      }
+    }
+  ]
+}
+
+Only include "replacement" when it is a complete, drop-in substitute for exactly those lines that compiles as-is; otherwise omit it.
+
+Focus strictly on **bugs, security vulnerabilities, and performance regressions**. If the code is good, return: \`{"issues": []}\`.`;
+}
+
+function buildExplainPrompt(finding, snippet) {
+  return `You are an expert code reviewer helping a pull request author understand a review finding.
+
+Finding: ${finding.title}
+${finding.description ? `Details: ${finding.description}\n` : ""}Location: ${
+    finding.path
+  }:${finding.line}
+
+Code around the flagged line (the flagged line is marked with ">>"):
+\`\`\`
+${snippet}
+\`\`\`
+
+In plain Markdown (no JSON), explain in a few short paragraphs why this line was flagged, what could go wrong, and how to fix it. Include a short corrected code example when it helps.`;
+}
+
+function parseReviewResponse(response, file, chunk) {
+  const { issues, errors } = validateReviewResponse(response, chunk);
+
+  if (errors.length > 0) {
+    console.log(
+      `  ⚠️ AI response for ${file.path}: dropped ${errors.length} invalid item(s) (${errors[0]})`
+    );
+  }
+
+  return issues.map((issue) => ({
+    path: file.path,
+    line: issue.line,
+    severity: issue.severity,
+    category: issue.category,
+    rule: "ai-review",
+    title: `[AI] ${issue.title}`,
+    description: issue.description || "AI-identified concern.",
+    suggestion: issue.suggestion,
+    fix: issue.fix,
+    language: file.language,
+  }));
+}
+
+module.exports = { buildReviewPrompt, buildExplainPrompt, parseReviewResponse };
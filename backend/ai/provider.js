@@ -0,0 +1,72 @@
+const { createGroqProvider } = require("./providers/groqProvider");
+const {
+  createOpenAICompatibleProvider,
+} = require("./providers/openAICompatibleProvider");
+const { createMockProvider } = require("./providers/mockProvider");
+const { metrics } = require("../utils/metrics");
+
+const PROVIDERS = {
+  groq: (options) =>
+    createGroqProvider({
+      apiKey: process.env.GROQ_API_KEY,
+      model: options.model,
+    }),
+  openai: (options) =>
+    createOpenAICompatibleProvider({
+      baseUrl: process.env.AI_BASE_URL,
+      apiKey: process.env.AI_API_KEY,
+      model: options.model,
+    }),
+  mock: () => createMockProvider({ fixturePath: process.env.AI_MOCK_FIXTURE }),
+};
+
+// Picks the provider from .reviewbot.yml (`analyzers.ai.provider` / `model`)
+// falling back to the AI_PROVIDER / AI_MODEL environment variables. Endpoints
+// and keys only ever come from the environment.
+function createProvider(options = {}) {
+  const name = options.provider || process.env.AI_PROVIDER || "groq";
+  const factory = PROVIDERS[name];
+
+  if (!factory) {
+    throw new Error(
+      `Unknown AI provider "${name}" (expected one of ${Object.keys(
+        PROVIDERS
+      ).join(", ")})`
+    );
+  }
+
+  return withUsageMetrics(
+    factory({ model: options.model || process.env.AI_MODEL })
+  );
+}
+
+// Counts completions and the tokens they used, whichever provider runs them
+function withUsageMetrics(provider) {
+  const labels = { provider: provider.name, model: provider.model };
+
+  return {
+    ...provider,
+    async complete(prompt, options) {
+      try {
+        const result = await provider.complete(prompt, options);
+        metrics.aiRequests.inc({ ...labels, outcome: "success" });
+        if (result.usage) {
+          metrics.aiTokens.inc(
+            { ...labels, type: "prompt" },
+            result.usage.promptTokens
+          );
+          metrics.aiTokens.inc(
+            { ...labels, type: "completion" },
+            result.usage.completionTokens
+          );
+        }
+        return result;
+      } catch (error) {
+        metrics.aiRequests.inc({ ...labels, outcome: "error" });
+        throw error;
+      }
+    },
+  };
+}
+
+module.exports = { PROVIDERS, createProvider };
@@ -0,0 +1,44 @@
+const Groq = require("groq-sdk");
+
+const DEFAULT_MODEL = "llama-3.3-70b-versatile";
+
+function createGroqProvider({ apiKey, model } = {}) {
+  let client = null;
+  const resolvedModel = model || DEFAULT_MODEL;
+
+  return {
+    name: "groq",
+    model: resolvedModel,
+
+    async complete(prompt, { format = "json" } = {}) {
+      // Created on first use so a missing key only fails the AI step
+      if (!client) client = new Groq({ apiKey });
+
+      const completion = await client.chat.completions.create({
+        messages: [{ role: "user", content: prompt }],
+        model: resolvedModel,
+        temperature: 0.2,
+        max_tokens: 1500,
+        ...(format === "json"
+          ? { response_format: { type: "json_object" } }
+          : {}),
+      });
+
+      return {
+        content: completion.choices[0]?.message?.content,
+        usage: normalizeUsage(completion.usage),
+      };
+    },
+  };
+}
+
+function normalizeUsage(usage) {
+  if (!usage) return null;
+  return {
+    promptTokens: usage.prompt_tokens || 0,
+    completionTokens: usage.completion_tokens || 0,
+    totalTokens: usage.total_tokens || 0,
+  };
+}
+
+module.exports = { createGroqProvider, normalizeUsage };
@@ -0,0 +1,46 @@
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_FIXTURE = path.join(
+  __dirname,
+  "..",
+  "fixtures",
+  "mockReview.json"
+);
+
+// Deterministic, network-free provider for tests and local development.
+// Answers come from a fixture file: `files` maps a reviewed path (or its
+// basename) to the JSON the model would return, `default` covers the rest,
+// and `explanation` answers free-text prompts.
+function createMockProvider({ fixturePath } = {}) {
+  const fixture = JSON.parse(
+    fs.readFileSync(fixturePath || DEFAULT_FIXTURE, "utf-8")
+  );
+  const files = fixture.files || {};
+
+  return {
+    name: "mock",
+    model: "fixture",
+
+    async complete(prompt, { path: filePath, format = "json" } = {}) {
+      if (format === "text") {
+        return {
+          content: fixture.explanation || "Mock explanation.",
+          usage: { promptTokens: 0, completionTokens: 0, totalTokens: 0 },
+        };
+      }
+
+      const response = files[filePath] ??
+        files[path.basename(filePath || "")] ??
+        fixture.default ?? { issues: [] };
+
+      return {
+        content:
+          typeof response === "string" ? response : JSON.stringify(response),
+        usage: { promptTokens: 0, completionTokens: 0, totalTokens: 0 },
+      };
+    },
+  };
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,57 @@
+const { normalizeUsage } = require("./groqProvider");
+
+const REQUEST_TIMEOUT_MS = 60000;
+
+// Talks to any server implementing the OpenAI chat completions API, e.g. a
+// local Ollama (http://localhost:11434/v1) or llama.cpp server.
+function createOpenAICompatibleProvider({ baseUrl, apiKey, model } = {}) {
+  if (!baseUrl) {
+    throw new Error("AI_BASE_URL is required for the openai provider");
+  }
+  if (!model) {
+    throw new Error("AI_MODEL is required for the openai provider");
+  }
+
+  const endpoint = `${baseUrl.replace(/\/+$/, "")}/chat/completions`;
+
+  return {
+    name: "openai",
+    model,
+
+    async complete(prompt, { format = "json" } = {}) {
+      const response = await fetch(endpoint, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        },
+        body: JSON.stringify({
+          model,
+          messages: [{ role: "user", content: prompt }],
+          temperature: 0.2,
+          max_tokens: 1500,
+          ...(format === "json"
+            ? { response_format: { type: "json_object" } }
+            : {}),
+        }),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      });
+
+      if (!response.ok) {
+        const error = new Error(
+          `${endpoint} responded ${response.status}: ${await response.text()}`
+        );
+        error.status = response.status;
+        throw error;
+      }
+
+      const completion = await response.json();
+      return {
+        content: completion.choices?.[0]?.message?.content,
+        usage: normalizeUsage(completion.usage),
+      };
+    },
+  };
+}
+
+module.exports = { createOpenAICompatibleProvider };
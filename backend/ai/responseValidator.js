@@ -0,0 +1,159 @@
+// Validates and normalizes raw model output before it becomes review issues.
+// Models regularly wrap JSON in markdown fences, add trailing commas, invent
+// severities or point at lines they were never shown; each of those is either
+// repaired here or the offending issue is dropped.
+
+const SEVERITIES = ["critical", "high", "medium", "low"];
+const CATEGORIES = ["bug", "security", "performance", "quality", "style"];
+
+function parseLenientJson(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    // Fall through to the repairs below
+  }
+
+  let text = String(raw)
+    .replace(/^\s*```(?:json)?\s*/i, "")
+    .replace(/\s*```\s*$/, "");
+
+  // Keep only the outermost object, dropping any prose around it
+  const start = text.indexOf("{");
+  const end = text.lastIndexOf("}");
+  if (start !== -1 && end > start) text = text.slice(start, end + 1);
+
+  text = text
+    .replace(/,\s*([}\]])/g, "$1") // trailing commas
+    .replace(/[“”]/g, '"'); // smart quotes
+
+  return JSON.parse(text);
+}
+
+// Returns the nearest added line inside the same hunk, or null when `line`
+// falls outside every hunk the model was shown.
+function anchorLine(line, chunk) {
+  if (chunk.addedLines.has(line)) return line;
+
+  const hunk = chunk.hunks.find((h) => line >= h.start && line <= h.end);
+  if (!hunk) return null;
+
+  let nearest = null;
+  for (const candidate of hunk.addedLines) {
+    if (
+      nearest === null ||
+      Math.abs(candidate - line) < Math.abs(nearest - line)
+    ) {
+      nearest = candidate;
+    }
+  }
+  return nearest;
+}
+
+// An exact replacement must cover the flagged line and stay within the hunk
+// the model was shown; anything else is dropped and the issue kept without it.
+function normalizeReplacement(replacement, line, chunk) {
+  if (!replacement || typeof replacement !== "object") return undefined;
+
+  const startLine = parseInt(replacement.startLine, 10);
+  const endLine = parseInt(replacement.endLine ?? replacement.startLine, 10);
+  const hunk = chunk.hunks.find((h) => line >= h.start && line <= h.end);
+  if (
+    typeof replacement.code !== "string" ||
+    !Number.isInteger(startLine) ||
+    !Number.isInteger(endLine) ||
+    !hunk ||
+    startLine > line ||
+    endLine < line ||
+    startLine < hunk.start ||
+    endLine > hunk.end
+  ) {
+    return undefined;
+  }
+
+  return {
+    startLine,
+    endLine,
+    replacement: replacement.code.replace(/\r\n/g, "\n").replace(/\n$/, ""),
+  };
+}
+
+function normalizeEnum(value, allowed) {
+  const normalized = String(value || "")
+    .trim()
+    .toLowerCase();
+  return allowed.includes(normalized) ? normalized : null;
+}
+
+function validateReviewResponse(raw, chunk) {
+  const errors = [];
+  const issues = [];
+
+  if (!raw) return { issues, errors: ["Empty response"] };
+
+  let parsed;
+  try {
+    parsed = parseLenientJson(raw);
+  } catch (error) {
+    return { issues, errors: [`Unparseable response: ${error.message}`] };
+  }
+
+  const candidates = Array.isArray(parsed) ? parsed : parsed && parsed.issues;
+  if (!Array.isArray(candidates)) {
+    return { issues, errors: ['Response has no "issues" array'] };
+  }
+
+  candidates.forEach((candidate, index) => {
+    if (!candidate || typeof candidate !== "object") {
+      errors.push(`issues[${index}] is not an object`);
+      return;
+    }
+
+    const title = typeof candidate.title === "string" && candidate.title.trim();
+    if (!title) {
+      errors.push(`issues[${index}] has no title`);
+      return;
+    }
+
+    const requestedLine = parseInt(candidate.line, 10);
+    const line = Number.isInteger(requestedLine)
+      ? anchorLine(requestedLine, chunk)
+      : null;
+    if (!line) {
+      errors.push(
+        `issues[${index}] line ${candidate.line} is outside the changed hunks`
+      );
+      return;
+    }
+
+    const severity = normalizeEnum(candidate.severity, SEVERITIES);
+    if (!severity) {
+      errors.push(
+        `issues[${index}] has invalid severity "${candidate.severity}"`
+      );
+      return;
+    }
+
+    issues.push({
+      line,
+      severity,
+      category: normalizeEnum(candidate.category, CATEGORIES) || "quality",
+      title,
+      description:
+        typeof candidate.description === "string" ? candidate.description : "",
+      suggestion:
+        typeof candidate.suggestion === "string" && candidate.suggestion.trim()
+          ? candidate.suggestion
+          : undefined,
+      fix: normalizeReplacement(candidate.replacement, line, chunk),
+    });
+  });
+
+  return { issues, errors };
+}
+
+module.exports = {
+  SEVERITIES,
+  CATEGORIES,
+  parseLenientJson,
+  validateReviewResponse,
+};
@@ -0,0 +1,65 @@
+const DEFAULT_RETRY = {
+  retries: 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+};
+
+function isRateLimit(error) {
+  return (
+    error.status === 429 ||
+    /rate[_ ]limit/i.test(error.message || "") ||
+    error.error?.code === "rate_limit_exceeded"
+  );
+}
+
+function isTransient(error) {
+  if (isRateLimit(error)) return true;
+  if (error.status >= 500) return true;
+  if (
+    ["ECONNRESET", "ETIMEDOUT", "ECONNREFUSED", "EAI_AGAIN"].includes(
+      error.code
+    )
+  ) {
+    return true;
+  }
+  return (
+    error.name === "TimeoutError" ||
+    /fetch failed|timed? ?out/i.test(error.message || "")
+  );
+}
+
+// Honors a Retry-After header (seconds) when the provider sends one.
+function retryAfterMs(error) {
+  const header =
+    error.headers?.["retry-after"] ?? error.response?.headers?.["retry-after"];
+  const seconds = parseFloat(header);
+  return Number.isFinite(seconds) ? seconds * 1000 : null;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function withRetry(fn, options = {}) {
+  const { retries, baseDelayMs, maxDelayMs } = { ...DEFAULT_RETRY, ...options };
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !isTransient(error)) throw error;
+
+      const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+      const delay = Math.min(
+        maxDelayMs,
+        retryAfterMs(error) ?? backoff / 2 + Math.random() * (backoff / 2)
+      );
+      console.log(
+        `  ⏳ ${
+          isRateLimit(error) ? "Rate limited" : error.message
+        }, retrying in ${Math.round(delay)}ms (${attempt + 1}/${retries})`
+      );
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = { withRetry, isRateLimit, isTransient };
@@ -1,20 +1,23 @@
-const Groq = require("groq-sdk");
+const { createProvider } = require("../ai/provider");
+const { buildReviewPrompt, parseReviewResponse } = require("../ai/prompt");
+const { buildReviewChunks } = require("../ai/chunking");
+const { withRetry, isRateLimit } = require("../ai/retry");
 
-const groq = new Groq({
-  apiKey: process.env.GROQ_API_KEY,
-});
+const DEFAULT_MAX_AI_FILES = 3;
+const DEFAULT_MAX_CHUNKS_PER_FILE = 10;
 
-async function performAIReview(files, changedFiles) {
+async function performAIReview(files, changedFiles, options = {}) {
   const issues = [];
-  const MAX_AI_FILES = 3;
+  const MAX_AI_FILES = options.maxFiles ?? DEFAULT_MAX_AI_FILES;
+  const MAX_CHUNKS = options.maxChunksPerFile ?? DEFAULT_MAX_CHUNKS_PER_FILE;
 
-  // Filter for files with content, reasonable size, and supported languages
+  // Filter for files with content and supported languages; large files are
+  // reviewed hunk by hunk below
   const filesToReview = files
     .filter(
       (f) =>
         f.content &&
         f.content.split("\n").length > 5 &&
-        f.content.length < 10000 &&
         ["javascript", "typescript", "python", "java"].includes(f.language)
     )
     .slice(0, MAX_AI_FILES);
@@ -24,91 +27,48 @@ async function performAIReview(files, changedFiles) {
     return issues;
   }
 
+  let provider;
+  try {
+    provider = createProvider(options);
+  } catch (error) {
+    console.error(`  ⚠️ AI review unavailable: ${error.message}`);
+    return issues;
+  }
+
   console.log(
-    `  🤖 AI Review: Analyzing ${filesToReview.length} file(s) with Groq...`
+    `  🤖 AI Review: Analyzing ${filesToReview.length} file(s) with ${provider.name} (${provider.model})...`
   );
 
   for (const file of filesToReview) {
-    try {
-      // Find the change context for the file
-      const changedFile = changedFiles.find((cf) => cf.path === file.path);
-      const changedLinesContext =
-        changedFile?.changedLines
-          .filter((cl) => cl.type === "add")
-          .map((cl) => `Line ${cl.lineNumber}: ${cl.content}`)
-          .join("\n") || "";
-
-      if (!changedLinesContext) continue;
-
-      const prompt = `You are an expert, strict, and highly technical code reviewer. Analyze the code changes in the "Changed Lines" section from the file "${
-        file.path
-      }".
-
-File Language: ${file.language}
-
-Changed Lines (Focus your review ONLY on these lines and their impact):
-\`\`\`${file.language}
-${changedLinesContext}
-\`\`\`
-
-Full File Context (only use this for broader context, don't review it directly):
-\`\`\`${file.language}
-${file.content.substring(0, 3000)}
-\`\`\`
-
-Provide a review in this exact, raw JSON format (no markdown, no preamble, just the raw JSON object):
-{
-  "issues": [
-    {
-      "line": <line number of the issue in the NEW code>,
-      "severity": "critical|high|medium|low",
-      "category": "bug|security|performance|quality|style",
-      "title": "Brief, actionable issue title (e.g., Unhandled Promise Rejection)",
-      "description": "Detailed explanation of the problem, its impact, and why it should be fixed.",
-      "suggestion": "A concise code fix or refactoring advice if applicable"
+    // Find the change context for the file
+    const changedFile = changedFiles.find((cf) => cf.path === file.path);
+    const chunks = buildReviewChunks(file, changedFile);
+
+    if (chunks.length > MAX_CHUNKS) {
+      console.log(
+        `  ✂️ ${file.path}: reviewing first ${MAX_CHUNKS} of ${chunks.length} chunks`
+      );
     }
-  ]
-}
-
-Focus strictly on **bugs, security vulnerabilities, and performance regressions**. If the code is good, return: \`{"issues": []}\`.`;
-
-      const completion = await groq.chat.completions.create({
-        messages: [{ role: "user", content: prompt }],
-        model: "llama-3.1-70b-versatile",
-        temperature: 0.2,
-        max_tokens: 1500,
-        response_format: { type: "json_object" },
-      });
 
-      const response = completion.choices[0]?.message?.content;
-
-      if (response) {
-        const aiResult = JSON.parse(response);
-
-        if (aiResult.issues && Array.isArray(aiResult.issues)) {
-          aiResult.issues.forEach((issue) => {
-            if (issue.line && issue.title) {
-              issues.push({
-                path: file.path,
-                line: issue.line || 1,
-                severity: issue.severity || "low",
-                category: issue.category || "quality",
-                title: `[AI] ${issue.title}`,
-                description: issue.description || "AI-identified concern.",
-                suggestion: issue.suggestion,
-                language: file.language,
-              });
-            }
-          });
+    for (const chunk of chunks.slice(0, MAX_CHUNKS)) {
+      try {
+        const { content } = await withRetry(() =>
+          provider.complete(buildReviewPrompt(file, chunk), {
+            path: file.path,
+          })
+        );
+
+        issues.push(...parseReviewResponse(content, file, chunk));
+      } catch (error) {
+        console.error(`  ⚠️ AI review failed for ${file.path}:`, error.message);
+
+        // Retries are exhausted at this point, so the quota is really gone
+        if (isRateLimit(error)) {
+          console.log("  ⏳ Rate limit reached, skipping remaining AI reviews");
+          console.log(`  🤖 AI Review: ${issues.length} issues`);
+          return issues;
         }
       }
-    } catch (error) {
-      console.error(`  ⚠️ AI review failed for ${file.path}:`, error.message);
-
-      if (error.message.includes("rate_limit")) {
-        console.log("  ⏳ Rate limit reached, skipping remaining AI reviews");
-        break;
-      }
     }
   }
 
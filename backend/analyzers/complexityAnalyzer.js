@@ -1,111 +1,189 @@
-async function analyzeComplexity(files) {
+const {
+  parseSource,
+  isFunctionNode,
+  childNodes,
+  walk,
+  functionName,
+} = require("../utils/ast");
+
+const DEFAULT_THRESHOLDS = {
+  maxFunctionLength: 50,
+  maxComplexity: 10, // cyclomatic
+  maxCognitiveComplexity: 15,
+  maxNestingDepth: 4,
+  maxParams: 5,
+};
+
+const LOOP_TYPES = new Set([
+  "ForStatement",
+  "ForInStatement",
+  "ForOfStatement",
+  "WhileStatement",
+  "DoWhileStatement",
+]);
+
+async function analyzeComplexity(files, options = {}) {
   const issues = [];
-  const MAX_FUNCTION_LENGTH = 50;
-  const MAX_NESTING_INDENT = 10;
-  const MAX_COMPLEXITY = 10;
-  const CHECK_WINDOW = 30;
+  const thresholds = { ...DEFAULT_THRESHOLDS, ...options };
 
   for (const file of files) {
     if (!file.content) continue;
+    if (!["javascript", "typescript"].includes(file.language)) continue;
 
-    const lines = file.content.split("\n");
-
-    // 1. Deeply nested code check
-    lines.forEach((line, index) => {
-      const trimmed = line.trim();
-      if (trimmed.startsWith("//") || trimmed.startsWith("/*")) return;
-
-      const indentationMatch = line.match(/^(\s*)/);
-      const indentation = indentationMatch ? indentationMatch[1].length : 0;
-
-      if (indentation > MAX_NESTING_INDENT) {
-        issues.push({
-          path: file.path,
-          line: index + 1,
-          severity: "medium",
-          category: "quality",
-          title: "Deeply nested code",
-          description: `This code has high nesting. Consider refactoring to improve readability and maintainability.`,
-          suggestion:
-            "Extract nested logic into separate functions or use early returns to reduce nesting.",
-          language: file.language,
-        });
-      }
-    });
+    let ast;
+    try {
+      ast = parseSource(file.content, file.path);
+    } catch (error) {
+      console.log(`  ⚠️ Could not parse ${file.path}: ${error.message}`);
+      continue;
+    }
 
-    // 2. Detect large functions (simple brace counter)
-    const functionStartPattern =
-      /function\s+\w+\s*\(|const\s+\w+\s*=\s*(?:async\s*)?\(|=>\s*{/g;
-    let functionStart = -1;
-    let braceCount = 0;
-
-    lines.forEach((line, index) => {
-      if (functionStartPattern.test(line)) {
-        functionStart = index;
-        braceCount =
-          (line.match(/{/g) || []).length - (line.match(/}/g) || []).length;
-      } else if (functionStart !== -1) {
-        braceCount +=
-          (line.match(/{/g) || []).length - (line.match(/}/g) || []).length;
-
-        if (braceCount === 0) {
-          const functionLength = index - functionStart;
-
-          if (functionLength > MAX_FUNCTION_LENGTH) {
-            issues.push({
-              path: file.path,
-              line: functionStart + 1,
-              severity: "medium",
-              category: "quality",
-              title: "Function too long",
-              description: `This function is ${functionLength} lines long (Max: ${MAX_FUNCTION_LENGTH}). It violates the Single Responsibility Principle.`,
-              suggestion:
-                "Break down this function into smaller, single-responsibility functions.",
-              language: file.language,
-            });
-          }
-
-          functionStart = -1;
-        }
-      }
+    walk(ast.program, (node, parent) => {
+      if (!isFunctionNode(node)) return;
+
+      const metrics = measureFunction(node);
+      const issue = toIssue(file, node, parent, metrics, thresholds);
+      if (issue) issues.push(issue);
     });
+  }
+
+  console.log(`  📊 Complexity Analysis: ${issues.length} issues`);
+  return issues;
+}
 
-    // 3. Excessive cyclomatic complexity (simple decision point count)
-    const complexityMarkers =
-      /\b(if|else|while|for|switch|case|catch|try|\?\?|\|\||&&)\b/g;
-    let complexity = 0;
-    let lineStart = 0;
+// Cyclomatic complexity, cognitive complexity (after SonarSource's model:
+// structural increments weighted by nesting), maximum control-flow nesting,
+// parameter count and length of a single function. Nested functions are
+// measured on their own and excluded here.
+function measureFunction(fn) {
+  let cyclomatic = 1;
+  let cognitive = 0;
+  let maxNesting = 0;
 
-    lines.forEach((line, index) => {
-      const matches = line.match(complexityMarkers);
-      if (matches) {
-        complexity += matches.length;
-      }
+  function visit(node, nesting, parent) {
+    if (node !== fn && isFunctionNode(node)) return;
+    maxNesting = Math.max(maxNesting, nesting);
 
-      if (index - lineStart >= CHECK_WINDOW || index === lines.length - 1) {
-        if (complexity > MAX_COMPLEXITY) {
-          issues.push({
-            path: file.path,
-            line: lineStart + 1,
-            severity: "high",
-            category: "quality",
-            title: "High cyclomatic complexity",
-            description: `This code section has high complexity (${complexity} decision points in ${
-              index - lineStart
-            } lines). It is hard to test and maintain.`,
-            suggestion:
-              "Reduce nested conditionals, extract complex logic into functions, or use Polymorphism/Strategy patterns.",
-            language: file.language,
-          });
+    if (node.type === "IfStatement") {
+      const isElseIf =
+        parent && parent.type === "IfStatement" && parent.alternate === node;
+      cyclomatic++;
+      cognitive += isElseIf ? 1 : 1 + nesting;
+      const level = isElseIf ? nesting : nesting + 1;
+
+      visit(node.test, level, node);
+      visit(node.consequent, level, node);
+      if (node.alternate) {
+        if (node.alternate.type === "IfStatement") {
+          visit(node.alternate, nesting, node);
+        } else {
+          cognitive++; // else
+          visit(node.alternate, level, node);
         }
-        complexity = 0;
-        lineStart = index + 1;
       }
-    });
+      return;
+    }
+
+    let nests = false;
+    if (LOOP_TYPES.has(node.type) || node.type === "ConditionalExpression") {
+      cyclomatic++;
+      cognitive += 1 + nesting;
+      nests = true;
+    } else if (node.type === "CatchClause") {
+      cyclomatic++;
+      cognitive += 1 + nesting;
+      nests = true;
+    } else if (node.type === "SwitchStatement") {
+      cognitive += 1 + nesting;
+      nests = true;
+    } else if (node.type === "SwitchCase" && node.test) {
+      cyclomatic++;
+    } else if (node.type === "LogicalExpression") {
+      cyclomatic++;
+      // One cognitive increment per run of the same operator: a && b && c
+      const continuesRun =
+        parent &&
+        parent.type === "LogicalExpression" &&
+        parent.operator === node.operator;
+      if (!continuesRun) cognitive++;
+    } else if (
+      (node.type === "BreakStatement" || node.type === "ContinueStatement") &&
+      node.label
+    ) {
+      cognitive++;
+    }
+
+    for (const child of childNodes(node)) {
+      visit(child, nests ? nesting + 1 : nesting, node);
+    }
   }
 
-  console.log(`  📊 Complexity Analysis: ${issues.length} issues`);
-  return issues;
+  visit(fn.body, 0, fn);
+
+  return {
+    cyclomatic,
+    cognitive,
+    nesting: maxNesting,
+    params: fn.params.length,
+    length: fn.loc.end.line - fn.loc.start.line + 1,
+  };
+}
+
+function toIssue(file, node, parent, metrics, thresholds) {
+  const violations = [];
+
+  if (metrics.cyclomatic > thresholds.maxComplexity) {
+    violations.push(
+      `cyclomatic complexity ${metrics.cyclomatic} (max ${thresholds.maxComplexity})`
+    );
+  }
+  if (metrics.cognitive > thresholds.maxCognitiveComplexity) {
+    violations.push(
+      `cognitive complexity ${metrics.cognitive} (max ${thresholds.maxCognitiveComplexity})`
+    );
+  }
+  if (metrics.nesting > thresholds.maxNestingDepth) {
+    violations.push(
+      `nesting depth ${metrics.nesting} (max ${thresholds.maxNestingDepth})`
+    );
+  }
+  if (metrics.params > thresholds.maxParams) {
+    violations.push(
+      `${metrics.params} parameters (max ${thresholds.maxParams})`
+    );
+  }
+  if (metrics.length > thresholds.maxFunctionLength) {
+    violations.push(
+      `${metrics.length} lines long (max ${thresholds.maxFunctionLength})`
+    );
+  }
+
+  if (violations.length === 0) return null;
+
+  const name = functionName(node, parent);
+  const tooComplex =
+    metrics.cyclomatic > thresholds.maxComplexity ||
+    metrics.cognitive > thresholds.maxCognitiveComplexity;
+
+  return {
+    path: file.path,
+    line: node.loc.start.line,
+    severity: tooComplex ? "high" : "medium",
+    category: "quality",
+    rule: "function-complexity",
+    title: `\`${name}\` is too complex`,
+    description: `\`${name}\` exceeds ReviewBot's limits: ${violations.join(
+      ", "
+    )}. Measured: cyclomatic ${metrics.cyclomatic}, cognitive ${
+      metrics.cognitive
+    }, nesting ${metrics.nesting}, ${metrics.params} parameter(s), ${
+      metrics.length
+    } line(s).`,
+    suggestion:
+      "Extract nested logic into smaller functions, use early returns to flatten conditionals, and group related parameters into an options object.",
+    language: file.language,
+    metrics,
+  };
 }
 
-module.exports = { analyzeComplexity };
+module.exports = { analyzeComplexity, measureFunction };
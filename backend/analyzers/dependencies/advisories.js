@@ -0,0 +1,178 @@
+const fs = require("fs");
+const path = require("path");
+const semver = require("semver");
+const { normalizePythonName } = require("./manifests");
+
+// Offline advisory lookup against a local file of OSV records
+// (https://ossf.github.io/osv-schema/), refreshed with
+// `npm run update-advisories`. The file is either an array of records or
+// { "vulnerabilities": [...] }, the shape returned by OSV's query API.
+
+const DEFAULT_DB_PATH = path.join(__dirname, "../../data/advisories.json");
+
+const SEVERITY_MAP = {
+  CRITICAL: "critical",
+  HIGH: "high",
+  MODERATE: "medium",
+  MEDIUM: "medium",
+  LOW: "low",
+};
+
+let cached = null; // { file, mtime, index }
+
+// Returns an index of ecosystem -> package name -> [records] from
+// ADVISORY_DB_PATH, a server setting that repositories cannot change. A
+// missing or broken file yields an empty index, so reviews still run. The
+// file is re-read when it changes on disk.
+function loadAdvisoryDatabase() {
+  const file = process.env.ADVISORY_DB_PATH || DEFAULT_DB_PATH;
+  let mtime = null;
+  try {
+    mtime = fs.statSync(file).mtimeMs;
+  } catch (error) {
+    // reported below
+  }
+
+  if (cached && cached.file === file && cached.mtime === mtime) {
+    return cached.index;
+  }
+
+  const index = new Map();
+  try {
+    const raw = JSON.parse(fs.readFileSync(file, "utf-8"));
+    const records = Array.isArray(raw) ? raw : raw.vulnerabilities || [];
+    records.forEach((record) => indexRecord(index, record));
+    console.log(`  📚 Loaded ${records.length} advisories from ${file}`);
+  } catch (error) {
+    console.log(
+      `⚠️ Could not load advisory database ${file}: ${error.message}`
+    );
+  }
+
+  cached = { file, mtime, index };
+  return index;
+}
+
+function indexRecord(index, record) {
+  if (!record || record.withdrawn) return;
+
+  for (const affected of record.affected || []) {
+    const pkg = affected.package;
+    if (!pkg || !pkg.ecosystem || !pkg.name) continue;
+
+    if (!index.has(pkg.ecosystem)) index.set(pkg.ecosystem, new Map());
+    const packages = index.get(pkg.ecosystem);
+    const name = packageKey(pkg.ecosystem, pkg.name);
+    if (!packages.has(name)) packages.set(name, []);
+    packages.get(name).push({ record, affected });
+  }
+}
+
+// Advisories affecting `version` of a package, as
+// [{ id, aliases, summary, severity, fixed, url }].
+function findAdvisories(index, ecosystem, name, version) {
+  const entries =
+    (index.get(ecosystem) &&
+      index.get(ecosystem).get(packageKey(ecosystem, name))) ||
+    [];
+
+  return entries
+    .filter(({ affected }) => isAffected(affected, version, ecosystem))
+    .map(({ record, affected }) => ({
+      id: record.id,
+      aliases: record.aliases || [],
+      summary: record.summary || record.details || record.id,
+      severity: advisorySeverity(record, affected),
+      fixed: fixedVersion(affected, version, ecosystem),
+      url: `https://osv.dev/vulnerability/${record.id}`,
+    }));
+}
+
+function isAffected(affected, version, ecosystem) {
+  if ((affected.versions || []).includes(version)) return true;
+
+  return (affected.ranges || []).some((range) => {
+    if (range.type === "GIT") return false;
+
+    // Events are ordered; each `introduced` opens an affected interval that
+    // the next `fixed` (exclusive) or `last_affected` (inclusive) closes
+    let inRange = false;
+    for (const event of range.events || []) {
+      if (event.introduced !== undefined) {
+        if (
+          event.introduced === "0" ||
+          compareVersions(version, event.introduced, ecosystem) >= 0
+        ) {
+          inRange = true;
+        }
+      } else if (event.fixed !== undefined) {
+        if (compareVersions(version, event.fixed, ecosystem) >= 0) {
+          inRange = false;
+        }
+      } else if (event.last_affected !== undefined) {
+        if (compareVersions(version, event.last_affected, ecosystem) > 0) {
+          inRange = false;
+        }
+      }
+    }
+    return inRange;
+  });
+}
+
+function fixedVersion(affected, version, ecosystem) {
+  const fixes = (affected.ranges || [])
+    .flatMap((range) => range.events || [])
+    .map((event) => event.fixed)
+    .filter(Boolean)
+    .filter((fixed) => compareVersions(fixed, version, ecosystem) > 0)
+    .sort((a, b) => compareVersions(a, b, ecosystem));
+  return fixes[0] || null;
+}
+
+function advisorySeverity(record, affected) {
+  const label =
+    (record.database_specific && record.database_specific.severity) ||
+    (affected.ecosystem_specific && affected.ecosystem_specific.severity) ||
+    (affected.database_specific && affected.database_specific.severity);
+  return SEVERITY_MAP[String(label || "").toUpperCase()] || "high";
+}
+
+// npm versions are semver; other ecosystems (PyPI) are compared by release
+// segments, with pre-releases (a, b, rc, dev) before the final release.
+function compareVersions(a, b, ecosystem) {
+  if (ecosystem === "npm" && semver.valid(a) && semver.valid(b)) {
+    return semver.compare(a, b);
+  }
+
+  const pa = releaseParts(a);
+  const pb = releaseParts(b);
+  for (let i = 0; i < Math.max(pa.release.length, pb.release.length); i++) {
+    const diff = (pa.release[i] || 0) - (pb.release[i] || 0);
+    if (diff !== 0) return diff < 0 ? -1 : 1;
+  }
+  if (pa.pre === pb.pre) return 0;
+  if (pa.pre === null) return 1;
+  if (pb.pre === null) return -1;
+  return pa.pre < pb.pre ? -1 : 1;
+}
+
+function releaseParts(version) {
+  const match = /^v?(\d+(?:\.\d+)*)(.*)$/.exec(String(version).trim());
+  if (!match) return { release: [], pre: null };
+  return {
+    release: match[1].split(".").map(Number),
+    pre: /^[.-]?(?:post|\+)/.test(match[2]) || !match[2] ? null : match[2],
+  };
+}
+
+function packageKey(ecosystem, name) {
+  return ecosystem === "PyPI" ? normalizePythonName(name) : name;
+}
+
+module.exports = {
+  DEFAULT_DB_PATH,
+  loadAdvisoryDatabase,
+  findAdvisories,
+  isAffected,
+  compareVersions,
+};
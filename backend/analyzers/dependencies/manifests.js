@@ -0,0 +1,261 @@
+const path = require("path");
+
+// Parsers for the dependency files ReviewBot understands. Every parser
+// returns { ecosystem, kind, dependencies: Map<name, entry> } where manifest
+// entries are { spec, dev, line } and lockfile entries are
+// { version, line }. package-lock.json also records the ranges it was
+// resolved from in `root` (name -> spec), yarn.lock in `resolutions`
+// ("name@spec" -> version).
+
+const MANIFESTS = {
+  "package.json": {
+    ecosystem: "npm",
+    kind: "manifest",
+    lockfiles: ["package-lock.json", "yarn.lock"],
+  },
+  "requirements.txt": { ecosystem: "PyPI", kind: "manifest", lockfiles: [] },
+  "package-lock.json": {
+    ecosystem: "npm",
+    kind: "lockfile",
+    manifest: "package.json",
+  },
+  "yarn.lock": { ecosystem: "npm", kind: "lockfile", manifest: "package.json" },
+};
+
+const NPM_SECTIONS = [
+  ["dependencies", false],
+  ["devDependencies", true],
+  ["optionalDependencies", false],
+  ["peerDependencies", false],
+];
+
+function manifestType(filePath) {
+  const name = path.posix.basename(filePath);
+  if (MANIFESTS[name]) return MANIFESTS[name];
+  // requirements-dev.txt, requirements/base.txt, ...
+  if (
+    /^requirements[\w.-]*\.txt$/.test(name) ||
+    /(^|\/)requirements\/[\w.-]+\.txt$/.test(filePath)
+  ) {
+    return MANIFESTS["requirements.txt"];
+  }
+  return null;
+}
+
+function isDependencyFile(filePath) {
+  return manifestType(filePath) !== null;
+}
+
+function isLockfile(filePath) {
+  const type = manifestType(filePath);
+  return Boolean(type) && type.kind === "lockfile";
+}
+
+// Paths of the lockfiles that belong next to a manifest, or of the manifest
+// next to a lockfile.
+function siblingPaths(filePath) {
+  const type = manifestType(filePath);
+  if (!type) return [];
+  const dir = path.posix.dirname(filePath);
+  const names = type.kind === "manifest" ? type.lockfiles : [type.manifest];
+  return names.map((name) => (dir === "." ? name : `${dir}/${name}`));
+}
+
+function parseDependencyFile(filePath, content) {
+  const type = manifestType(filePath);
+  if (!type || !content) return null;
+
+  const name = path.posix.basename(filePath);
+  const parsed =
+    name === "package.json"
+      ? parsePackageJson(content)
+      : name === "package-lock.json"
+      ? parsePackageLock(content)
+      : name === "yarn.lock"
+      ? parseYarnLock(content)
+      : parseRequirements(content);
+
+  return parsed && { ecosystem: type.ecosystem, kind: type.kind, ...parsed };
+}
+
+function parsePackageJson(content) {
+  let json;
+  try {
+    json = JSON.parse(content);
+  } catch (error) {
+    return null;
+  }
+
+  const lines = content.split("\n");
+  const dependencies = new Map();
+
+  for (const [section, dev] of NPM_SECTIONS) {
+    const specs = json[section];
+    if (!specs || typeof specs !== "object") continue;
+
+    const sectionLine = findLine(lines, `"${section}"`, 0);
+    for (const [name, spec] of Object.entries(specs)) {
+      if (dependencies.has(name)) continue;
+      dependencies.set(name, {
+        spec: String(spec),
+        dev,
+        line: findLine(lines, `"${name}"`, sectionLine) || sectionLine || 1,
+      });
+    }
+  }
+
+  return { dependencies };
+}
+
+function parsePackageLock(content) {
+  let json;
+  try {
+    json = JSON.parse(content);
+  } catch (error) {
+    return null;
+  }
+
+  const lines = content.split("\n");
+  const dependencies = new Map();
+  const root = new Map();
+
+  if (json.packages) {
+    // lockfileVersion 2 and 3
+    const rootPackage = json.packages[""] || {};
+    for (const [section] of NPM_SECTIONS) {
+      for (const [name, spec] of Object.entries(rootPackage[section] || {})) {
+        root.set(name, String(spec));
+      }
+    }
+    for (const [key, entry] of Object.entries(json.packages)) {
+      // Only top-level installs; nested node_modules are transitive copies
+      const match = /^node_modules\/((?:@[^/]+\/)?[^/]+)$/.exec(key);
+      if (match && entry.version) {
+        const keyLine = findLine(lines, `"${key}"`, 0);
+        dependencies.set(match[1], {
+          version: entry.version,
+          // The version line, which is what changes on an upgrade
+          line: (keyLine && findLine(lines, `"version"`, keyLine)) || 1,
+        });
+      }
+    }
+  } else if (json.dependencies) {
+    // lockfileVersion 1
+    for (const [name, entry] of Object.entries(json.dependencies)) {
+      if (entry && entry.version) {
+        dependencies.set(name, {
+          version: entry.version,
+          line: findLine(lines, `"${name}"`, 0) || 1,
+        });
+      }
+    }
+  }
+
+  return { dependencies, root: root.size > 0 ? root : null };
+}
+
+// yarn.lock v1: `"name@^1.0.0", name@~1.2.0:` followed by `  version "1.2.3"`
+function parseYarnLock(content) {
+  const dependencies = new Map();
+  const resolutions = new Map();
+  const lines = content.split("\n");
+  let current = null;
+
+  lines.forEach((text, index) => {
+    if (/^\S.*:$/.test(text) && !text.startsWith("#")) {
+      const selectors = text
+        .slice(0, -1)
+        .split(/,\s*/)
+        .map((s) => s.replace(/^"|"$/g, ""));
+      const at = selectors[0].lastIndexOf("@");
+      current = {
+        name: selectors[0].substring(0, at),
+        specs: selectors.map((s) => s.substring(s.lastIndexOf("@") + 1)),
+        line: index + 1,
+      };
+      return;
+    }
+
+    const version = /^\s+version:?\s+"?([^"\s]+)"?/.exec(text);
+    if (version && current) {
+      // Several versions of one package can coexist; the first entry wins
+      if (!dependencies.has(current.name)) {
+        dependencies.set(current.name, {
+          version: version[1],
+          line: current.line,
+        });
+      }
+      current.specs.forEach((spec) =>
+        resolutions.set(`${current.name}@${spec}`, version[1])
+      );
+      current = null;
+    }
+  });
+
+  return { dependencies, resolutions };
+}
+
+// requirements.txt: `name==1.2.3`, `name>=1.0,<2`, `name[extra]~=1.4`, bare
+// `name`, and URL / VCS requirements. Options (-r, -e ...) other than
+// editable URLs are skipped.
+function parseRequirements(content) {
+  const dependencies = new Map();
+
+  content.split("\n").forEach((raw, index) => {
+    const text = raw.replace(/\s+#.*$/, "").trim();
+    if (!text || text.startsWith("#")) return;
+
+    const editable = /^(?:-e|--editable)\s+(\S+)/.exec(text);
+    if (editable) {
+      const egg = /#egg=([\w.-]+)/.exec(raw);
+      dependencies.set(egg ? normalizePythonName(egg[1]) : editable[1], {
+        spec: editable[1],
+        dev: false,
+        line: index + 1,
+      });
+      return;
+    }
+    if (text.startsWith("-")) return;
+
+    const direct = /^([\w.-]+)(?:\[[^\]]*\])?\s*@\s*(\S+)/.exec(text);
+    if (direct) {
+      dependencies.set(normalizePythonName(direct[1]), {
+        spec: direct[2],
+        dev: false,
+        line: index + 1,
+      });
+      return;
+    }
+
+    const match = /^([\w.-]+)(?:\[[^\]]*\])?\s*([^;]*)/.exec(text);
+    if (match) {
+      dependencies.set(normalizePythonName(match[1]), {
+        spec: match[2].trim(),
+        dev: false,
+        line: index + 1,
+      });
+    }
+  });
+
+  return { dependencies };
+}
+
+// PEP 503 normalisation, as used by OSV's PyPI entries
+function normalizePythonName(name) {
+  return name.toLowerCase().replace(/[-_.]+/g, "-");
+}
+
+function findLine(lines, needle, fromLine) {
+  for (let i = fromLine; i < lines.length; i++) {
+    if (lines[i].includes(needle)) return i + 1;
+  }
+  return null;
+}
+
+module.exports = {
+  isDependencyFile,
+  isLockfile,
+  siblingPaths,
+  parseDependencyFile,
+  normalizePythonName,
+};
@@ -0,0 +1,333 @@
+const semver = require("semver");
+const {
+  isDependencyFile,
+  siblingPaths,
+  parseDependencyFile,
+} = require("./dependencies/manifests");
+const {
+  loadAdvisoryDatabase,
+  findAdvisories,
+  compareVersions,
+} = require("./dependencies/advisories");
+
+// Reviews changed dependency manifests (package.json, requirements.txt) and
+// lockfiles (package-lock.json, yarn.lock) by comparing them with the base
+// branch. `readFile(path, "base" | "head")` resolves to a file's content or
+// null, and is used for the base versions and for lockfiles / manifests the
+// PR did not touch.
+//
+// Returns { issues, changes }, where `changes` lists added, removed,
+// upgraded and downgraded dependencies for the summary.
+
+const URL_SPEC =
+  /^(?:git\+?[\w+]*:|https?:|github:|gitlab:|bitbucket:|[\w.-]+\/[\w.-]+(?:#.*)?$)/;
+const LOCAL_SPEC = /^(?:file:|link:|workspace:|portal:|npm:)/;
+
+async function analyzeDependencies(files, { readFile } = {}) {
+  const issues = [];
+  const changes = [];
+  const advisories = loadAdvisoryDatabase();
+  const read = readFile || (async () => null);
+  const changed = new Map(
+    files.filter((f) => isDependencyFile(f.path)).map((f) => [f.path, f])
+  );
+
+  for (const file of changed.values()) {
+    const head = parseDependencyFile(file.path, file.content);
+    if (!head) continue;
+    const base = parseDependencyFile(file.path, await read(file.path, "base"));
+
+    if (head.kind === "manifest") {
+      const lockfile = await readSibling(file.path, changed, read);
+      const fileChanges = diffDependencies(head, base);
+      changes.push(...fileChanges.map((c) => ({ path: file.path, ...c })));
+
+      for (const [name, entry] of head.dependencies) {
+        const loose = looseSpecReason(entry.spec, head.ecosystem);
+        if (loose) issues.push(looseRangeIssue(file, name, entry, loose));
+
+        const resolved = resolveVersion(
+          name,
+          entry.spec,
+          head.ecosystem,
+          lockfile
+        );
+        if (resolved) {
+          issues.push(
+            ...vulnerabilityIssues(
+              file,
+              name,
+              entry.line,
+              resolved,
+              head.ecosystem,
+              advisories
+            )
+          );
+        }
+      }
+
+      if (lockfile && (fileChanges.length > 0 || changed.has(lockfile.path))) {
+        issues.push(...lockfileMismatches(file, head, lockfile));
+      }
+    } else {
+      // A lockfile changed on its own: check it still matches the manifest,
+      // and check newly resolved versions for advisories
+      const manifestPath = siblingPaths(file.path)[0];
+      if (!changed.has(manifestPath)) {
+        const manifest = parseDependencyFile(
+          manifestPath,
+          await read(manifestPath, "head")
+        );
+        if (manifest) {
+          const lockfile = { path: file.path, ...head };
+          issues.push(
+            ...lockfileMismatches(
+              file,
+              manifest,
+              lockfile,
+              (name) => (head.dependencies.get(name) || {}).line || 1
+            )
+          );
+        }
+      }
+
+      for (const [name, entry] of head.dependencies) {
+        const before = base && base.dependencies.get(name);
+        if (before && before.version === entry.version) continue;
+        issues.push(
+          ...vulnerabilityIssues(
+            file,
+            name,
+            entry.line,
+            { version: entry.version, exact: true },
+            head.ecosystem,
+            advisories
+          )
+        );
+      }
+    }
+  }
+
+  console.log(
+    `  📦 Dependency Review: ${changes.length} change(s), ${issues.length} issues`
+  );
+  return { issues, changes };
+}
+
+async function readSibling(manifestPath, changed, read) {
+  for (const lockPath of siblingPaths(manifestPath)) {
+    const content = changed.has(lockPath)
+      ? changed.get(lockPath).content
+      : await read(lockPath, "head");
+    const parsed = parseDependencyFile(lockPath, content);
+    if (parsed) return { path: lockPath, ...parsed };
+  }
+  return null;
+}
+
+function diffDependencies(head, base) {
+  const changes = [];
+  const before = base ? base.dependencies : new Map();
+
+  for (const [name, entry] of head.dependencies) {
+    const previous = before.get(name);
+    if (!previous) {
+      changes.push({ name, type: "added", to: entry.spec, dev: entry.dev });
+    } else if (previous.spec !== entry.spec) {
+      changes.push({
+        name,
+        type: compareSpecs(previous.spec, entry.spec, head.ecosystem),
+        from: previous.spec,
+        to: entry.spec,
+        dev: entry.dev,
+      });
+    }
+  }
+
+  for (const [name, entry] of before) {
+    if (!head.dependencies.has(name)) {
+      changes.push({ name, type: "removed", from: entry.spec, dev: entry.dev });
+    }
+  }
+
+  return changes;
+}
+
+function compareSpecs(from, to, ecosystem) {
+  const a = lowestVersion(from, ecosystem);
+  const b = lowestVersion(to, ecosystem);
+  if (!a || !b) return "changed";
+
+  const order = compareVersions(a, b, ecosystem);
+  return order < 0 ? "upgraded" : order > 0 ? "downgraded" : "changed";
+}
+
+// The version a spec resolves to: the lockfile's when there is one,
+// otherwise the lowest version the range allows.
+function resolveVersion(name, spec, ecosystem, lockfile) {
+  const locked = lockfile && lockfile.dependencies.get(name);
+  if (locked) return { version: locked.version, exact: true };
+
+  const version = lowestVersion(spec, ecosystem);
+  if (!version) return null;
+  return { version, exact: isExactSpec(spec, ecosystem) };
+}
+
+function lowestVersion(spec, ecosystem) {
+  if (ecosystem === "npm") {
+    if (!semver.validRange(spec)) return null;
+    const min = semver.minVersion(spec);
+    return min && min.version !== "0.0.0" ? min.version : null;
+  }
+
+  // PEP 440 specifiers: the lower bound of ==, ===, ~=, >= or >
+  const bound = /(?:===?|~=|>=?)\s*([\w.!+-]+)/.exec(spec);
+  return bound ? bound[1].replace(/\.\*$/, "") : null;
+}
+
+function isExactSpec(spec, ecosystem) {
+  if (ecosystem === "npm") return Boolean(semver.valid(spec));
+  return /^===?\s*[\w.!+-]+$/.test(spec) && !spec.endsWith("*");
+}
+
+function looseSpecReason(spec, ecosystem) {
+  const value = spec.trim();
+
+  if (ecosystem === "npm") {
+    if (LOCAL_SPEC.test(value)) return null;
+    if (value === "" || value === "*" || value === "x" || value === "latest") {
+      return `\`${
+        value || '""'
+      }\` accepts any version, including future major releases`;
+    }
+    if (URL_SPEC.test(value) && !semver.validRange(value)) {
+      return `\`${value}\` installs from a URL or git reference, which is not pinned to a published, audited version`;
+    }
+    if (!semver.validRange(value)) {
+      return `\`${value}\` is a dist-tag, which moves whenever the package is published`;
+    }
+    const unbounded = new semver.Range(value).set.some(
+      (comparators) =>
+        comparators.every((c) => !c.operator.startsWith("<")) &&
+        comparators.some((c) => c.operator.startsWith(">"))
+    );
+    return unbounded
+      ? `\`${value}\` has no upper bound, so any future major release will be installed`
+      : null;
+  }
+
+  if (value === "") return "The requirement is not pinned to any version";
+  if (/^(?:git\+|https?:|svn\+|hg\+|bzr\+)/.test(value)) {
+    return `\`${value}\` installs from a URL or VCS reference, which is not pinned to a published, audited version`;
+  }
+  if (/>/.test(value) && !/<|==|~=/.test(value)) {
+    return `\`${value}\` has no upper bound, so any future major release will be installed`;
+  }
+  return null;
+}
+
+// `lineFor(name, entry)` anchors each finding; by default on the manifest.
+function lockfileMismatches(
+  file,
+  manifest,
+  lockfile,
+  lineFor = (name, entry) => entry.line
+) {
+  const issues = [];
+
+  for (const [name, entry] of manifest.dependencies) {
+    if (LOCAL_SPEC.test(entry.spec) || URL_SPEC.test(entry.spec)) continue;
+
+    const locked = lockfile.dependencies.get(name);
+    let problem = null;
+
+    if (!locked) {
+      problem = `\`${name}\` is not in ${lockfile.path}`;
+    } else if (
+      lockfile.root &&
+      lockfile.root.has(name) &&
+      lockfile.root.get(name) !== entry.spec
+    ) {
+      problem = `${
+        lockfile.path
+      } was generated for \`${name}@${lockfile.root.get(
+        name
+      )}\`, but the manifest asks for \`${entry.spec}\``;
+    } else if (
+      lockfile.resolutions &&
+      !lockfile.resolutions.has(`${name}@${entry.spec}`)
+    ) {
+      problem = `${lockfile.path} has no entry for \`${name}@${entry.spec}\``;
+    } else if (
+      semver.validRange(entry.spec) &&
+      semver.valid(locked.version) &&
+      !semver.satisfies(locked.version, entry.spec, { includePrerelease: true })
+    ) {
+      problem = `${lockfile.path} pins \`${name}@${locked.version}\`, which does not satisfy \`${entry.spec}\``;
+    }
+
+    if (problem) {
+      issues.push({
+        path: file.path,
+        line: lineFor(name, entry),
+        severity: "medium",
+        category: "bug",
+        rule: "dependency/lockfile-mismatch",
+        title: `Lockfile out of sync for \`${name}\``,
+        description: `${problem}. Installs from the lockfile (\`npm ci\`) will fail or use a different version than the manifest declares.`,
+        suggestion: "npm install  # then commit the updated lockfile",
+        language: file.language,
+      });
+    }
+  }
+
+  return issues;
+}
+
+function looseRangeIssue(file, name, entry, reason) {
+  return {
+    path: file.path,
+    line: entry.line,
+    severity: "medium",
+    category: "security",
+    rule: "dependency/loose-range",
+    title: `Loose version range for \`${name}\``,
+    description: `${reason}. Unpinned dependencies make builds unreproducible and let a compromised release reach production automatically.`,
+    suggestion: `Pin \`${name}\` to a version range with an upper bound, e.g. \`^1.2.3\`.`,
+    language: file.language,
+  };
+}
+
+function vulnerabilityIssues(
+  file,
+  name,
+  line,
+  resolved,
+  ecosystem,
+  advisories
+) {
+  return findAdvisories(advisories, ecosystem, name, resolved.version).map(
+    (advisory) => ({
+      path: file.path,
+      line,
+      severity: advisory.severity,
+      category: "security",
+      rule: "dependency/vulnerable",
+      title: `\`${name}@${resolved.version}\` has a known vulnerability (${advisory.id})`,
+      description: `${advisory.summary}${
+        advisory.aliases.length > 0 ? ` (${advisory.aliases.join(", ")})` : ""
+      }.${
+        resolved.exact
+          ? ""
+          : ` ${resolved.version} is the lowest version the declared range allows; check which version your lockfile resolves.`
+      }`,
+      suggestion: advisory.fixed
+        ? `Upgrade \`${name}\` to ${advisory.fixed} or later.`
+        : `No fixed version is known; consider replacing \`${name}\`.`,
+      documentation: advisory.url,
+      language: file.language,
+    })
+  );
+}
+
+module.exports = { analyzeDependencies };
@@ -0,0 +1,213 @@
+const { ESLint } = require("eslint");
+const { lintInSandbox } = require("./repoEslintConfig");
+
+const DEFAULT_RULES = {
+  // High Severity Errors
+  "no-undef": "error",
+  eqeqeq: ["error", "always"],
+  "no-eval": "error",
+  "no-implied-eval": "error",
+  semi: ["error", "always"],
+
+  // Medium/Low Severity Warnings
+  "no-unused-vars": "warn",
+  "no-console": ["warn", { allow: ["warn", "error"] }],
+  quotes: ["warn", "single"],
+  "no-var": "warn",
+  "prefer-const": "warn",
+};
+
+// The core scope rules do not understand type-only names (interfaces, type
+// imports), and the compiler reports undefined names anyway.
+const TYPESCRIPT_RULE_OVERRIDES = {
+  "no-undef": "off",
+  "no-unused-vars": "off",
+};
+
+// ESLint rule types mapped to ReviewBot categories, used when
+// `analyzers.static.categories` does not name the rule
+const RULE_TYPE_CATEGORIES = {
+  problem: "bug",
+  suggestion: "quality",
+  layout: "style",
+};
+
+const DEFAULT_SEVERITY_MAP = { error: "high", warn: "low" };
+
+// Bundled with ReviewBot, so it is always available. TypeScript goes
+// through @typescript-eslint/parser. With `eslintConfig: repo` the whole
+// batch is linted with the repository's own config instead, falling back to
+// the built-in rules when that config cannot be loaded.
+const eslintAdapter = {
+  name: "eslint",
+  tool: "ESLint",
+  languages: ["javascript", "typescript"],
+
+  async resolve() {
+    return { command: "eslint" };
+  },
+
+  async lintFiles(files, tool, options = {}) {
+    const notices = [];
+
+    if (options.repoEslintConfig) {
+      try {
+        const { results, rulesMeta } = await lintInSandbox(
+          files,
+          options.repoEslintConfig
+        );
+        const issues = results.flatMap((result) =>
+          toIssues(
+            files.find((f) => f.path === result.path),
+            result.messages,
+            rulesMeta,
+            options
+          )
+        );
+        return { issues, notices };
+      } catch (error) {
+        console.error("Repository ESLint config error:", error.message);
+        notices.push(
+          `Could not run the repository's ESLint config \`${options.repoEslintConfig.path}\` (${error.message}); fell back to ReviewBot's built-in rules`
+        );
+      }
+    }
+
+    const issues = [];
+    for (const file of files) {
+      try {
+        issues.push(...(await this.lint(file, tool, options)));
+      } catch (error) {
+        console.error(`ESLint error for ${file.path}:`, error.message);
+      }
+    }
+    return { issues, notices };
+  },
+
+  async lint(file, tool, options = {}) {
+    // Rules from .reviewbot.yml are layered over the defaults
+    const rules = { ...DEFAULT_RULES, ...(options.rules || {}) };
+    const isTypeScript = file.language === "typescript";
+
+    const eslint = new ESLint({
+      useEslintrc: false,
+      overrideConfig: {
+        env: { browser: true, node: true, es2021: true },
+        parser: isTypeScript
+          ? require.resolve("@typescript-eslint/parser")
+          : undefined,
+        parserOptions: {
+          ecmaVersion: "latest",
+          sourceType: "module",
+          ecmaFeatures: { jsx: /\.[jt]sx$/.test(file.path) },
+        },
+        rules: isTypeScript
+          ? { ...rules, ...TYPESCRIPT_RULE_OVERRIDES }
+          : rules,
+      },
+    });
+
+    const results = await eslint.lintText(file.content, {
+      filePath: file.path,
+    });
+    const rulesMeta = {};
+    for (const [ruleId, meta] of Object.entries(
+      eslint.getRulesMetaForResults(results)
+    )) {
+      rulesMeta[ruleId] = { type: meta.type, url: meta.docs && meta.docs.url };
+    }
+
+    return toIssues(
+      file,
+      results.flatMap((result) => result.messages),
+      rulesMeta,
+      options
+    );
+  },
+};
+
+function toIssues(file, messages, rulesMeta, options) {
+  const severityMap = {
+    ...DEFAULT_SEVERITY_MAP,
+    ...(options.severityMap || {}),
+  };
+  const categories = options.categories || {};
+
+  return messages.map((msg) => {
+    const fix = messageFix(file.content, msg);
+    const rule = msg.ruleId ? `eslint/${msg.ruleId}` : "eslint/parse-error";
+    const meta = (msg.ruleId && rulesMeta[msg.ruleId]) || {};
+
+    return {
+      path: file.path,
+      line: msg.line,
+      severity: msg.severity === 2 ? severityMap.error : severityMap.warn,
+      category:
+        categories[msg.ruleId] ||
+        categories[rule] ||
+        RULE_TYPE_CATEGORIES[meta.type] ||
+        "style",
+      rule,
+      title: `Static Analysis: ${msg.message}`,
+      description: `ESLint rule: \`${msg.ruleId}\``,
+      suggestion: fix ? fix.replacement : undefined,
+      fix: fix || undefined,
+      documentation: meta.url || undefined,
+      language: file.language,
+    };
+  });
+}
+
+// A precise replacement for the line(s) a message points at: ESLint's
+// autofix, else the operator swap eqeqeq asks for (which ESLint will not
+// autofix because it can change behaviour). ESLint's own `suggestions` are
+// never used: rules offer them precisely when the edit needs a human to
+// judge it, which a one-click commit skips.
+function messageFix(content, msg) {
+  if (msg.fix) return lineFix(content, msg.fix);
+
+  const operators = /Expected '(!?===)' and instead saw '(!?==)'/.exec(
+    msg.message
+  );
+  if (msg.ruleId === "eqeqeq" && operators && msg.endLine === msg.line) {
+    const start = lineOffset(content, msg.line) + msg.column - 1;
+    const end = start + (msg.endColumn - msg.column);
+    if (content.slice(start, end) !== operators[2]) return null;
+    return lineFix(content, { range: [start, end], text: operators[1] });
+  }
+
+  return null;
+}
+
+// { startLine, endLine, original, replacement }: the whole lines an edit
+// touches, before and after it is applied
+function lineFix(content, fix) {
+  const [start, end] = fix.range;
+  const lineStart = start === 0 ? 0 : content.lastIndexOf("\n", start - 1) + 1;
+  let lineEnd = content.indexOf("\n", end);
+  if (lineEnd === -1) lineEnd = content.length;
+
+  const original = content.slice(lineStart, lineEnd).replace(/\r(?=\n|$)/g, "");
+  const replacement = (
+    content.slice(lineStart, start) +
+    fix.text +
+    content.slice(end, lineEnd)
+  ).replace(/\r(?=\n|$)/g, "");
+  if (replacement === original) return null;
+
+  const startLine = content.slice(0, lineStart).split("\n").length;
+  return {
+    startLine,
+    endLine: startLine + original.split("\n").length - 1,
+    original,
+    replacement,
+  };
+}
+
+function lineOffset(content, line) {
+  let offset = 0;
+  for (let i = 1; i < line; i++) offset = content.indexOf("\n", offset) + 1;
+  return offset;
+}
+
+module.exports = { eslintAdapter, DEFAULT_RULES };
@@ -0,0 +1,43 @@
+const path = require("path");
+const { loadESLint } = require("eslint");
+
+// Child process started by repoEslintConfig.js under Node's permission
+// model. Reads { cwd, configFile, flat, files } as JSON on stdin and prints
+// { results, rulesMeta } or { error } as JSON on stdout.
+
+async function main() {
+  let input = "";
+  for await (const chunk of process.stdin) input += chunk;
+  const { cwd, configFile, flat, files } = JSON.parse(input);
+
+  const ESLint = await loadESLint({ useFlatConfig: flat });
+  const eslint = flat
+    ? new ESLint({ cwd, overrideConfigFile: configFile, warnIgnored: false })
+    : new ESLint({ cwd, useEslintrc: false, overrideConfigFile: configFile });
+
+  const results = [];
+  const rulesMeta = {};
+  for (const file of files) {
+    const lintResults = await eslint.lintText(file.content, {
+      filePath: path.join(cwd, file.path),
+    });
+    const meta = eslint.getRulesMetaForResults(lintResults);
+    for (const [ruleId, { type, docs }] of Object.entries(meta)) {
+      rulesMeta[ruleId] = { type, url: docs && docs.url };
+    }
+    results.push({
+      path: file.path,
+      messages: lintResults.flatMap((result) => result.messages),
+    });
+  }
+
+  return { results, rulesMeta };
+}
+
+main().then(
+  (output) => process.stdout.write(JSON.stringify(output)),
+  (error) =>
+    process.stdout.write(
+      JSON.stringify({ error: error.message.split("\n")[0] })
+    )
+);
@@ -0,0 +1,73 @@
+const { spawn } = require("child_process");
+
+// Runs locally installed linters. Tools receive file contents on stdin (or a
+// temp copy) and are never given a shell, so PR content cannot reach a
+// command line.
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const MAX_OUTPUT_BYTES = 5 * 1024 * 1024;
+
+const availability = new Map();
+
+// Resolves to { stdout, stderr, code }; rejects only when the tool cannot be
+// started or times out. Linters exit non-zero when they find problems, so the
+// exit code is left to the caller. `env` is layered over the server's
+// environment unless `inheritEnv` is false.
+function runTool(
+  command,
+  args,
+  { input, cwd, env, inheritEnv = true, timeoutMs } = {}
+) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, {
+      cwd,
+      env: inheritEnv ? { ...process.env, ...env } : env,
+      stdio: ["pipe", "pipe", "pipe"],
+    });
+    let stdout = "";
+    let stderr = "";
+    let settled = false;
+
+    const timer = setTimeout(() => {
+      child.kill("SIGKILL");
+      finish(new Error(`${command} timed out`));
+    }, timeoutMs || DEFAULT_TIMEOUT_MS);
+
+    function finish(error, result) {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      if (error) reject(error);
+      else resolve(result);
+    }
+
+    child.stdout.on("data", (chunk) => {
+      if (stdout.length < MAX_OUTPUT_BYTES) stdout += chunk;
+    });
+    child.stderr.on("data", (chunk) => {
+      if (stderr.length < MAX_OUTPUT_BYTES) stderr += chunk;
+    });
+    child.on("error", (error) => finish(error));
+    child.on("close", (code) => finish(null, { stdout, stderr, code }));
+
+    child.stdin.on("error", () => {}); // tool exited before reading stdin
+    child.stdin.end(input || "");
+  });
+}
+
+// Whether `command` can be run at all, checked once per process.
+async function isToolAvailable(command, args = ["--version"]) {
+  const key = [command, ...args].join(" ");
+  if (!availability.has(key)) {
+    availability.set(
+      key,
+      runTool(command, args, { timeoutMs: 10000 }).then(
+        ({ code }) => code === 0,
+        () => false
+      )
+    );
+  }
+  return availability.get(key);
+}
+
+module.exports = { runTool, isToolAvailable };
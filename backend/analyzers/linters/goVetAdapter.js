@@ -0,0 +1,92 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { runTool, isToolAvailable } = require("./exec");
+
+// `go vet` needs a file on disk, so each file is vetted on its own from a
+// temp directory. Only the standard library resolves there; errors about
+// other imports are dropped rather than reported. Module downloads are
+// disabled so a PR cannot make the bot fetch code, cgo is off so it cannot
+// make it compile C, and, as with the ESLint sandbox, the tool gets none of
+// the server's environment.
+
+// Build cache shared between runs; the home directory is the temp dir
+const GO_CACHE_DIR = path.join(os.tmpdir(), "reviewbot-go-cache");
+
+const UNRESOLVED_IMPORT =
+  /could not import|no required module|cannot find package|is not in std|package .* is not in GOROOT/;
+
+const goVetAdapter = {
+  name: "go-vet",
+  tool: "go vet",
+  languages: ["go"],
+
+  async resolve() {
+    return (await isToolAvailable("go", ["version"]))
+      ? { command: "go" }
+      : null;
+  },
+
+  async lint(file) {
+    const dir = await fs.promises.mkdtemp(
+      path.join(os.tmpdir(), "reviewbot-vet-")
+    );
+    const fileName = path.basename(file.path);
+
+    try {
+      await fs.promises.writeFile(path.join(dir, fileName), file.content);
+      const { stdout, stderr } = await runTool("go", ["vet", fileName], {
+        cwd: dir,
+        env: {
+          PATH: process.env.PATH,
+          HOME: dir,
+          GOCACHE: GO_CACHE_DIR,
+          GOPROXY: "off",
+          GOTOOLCHAIN: "local",
+          GO111MODULE: "off",
+          CGO_ENABLED: "0",
+        },
+        inheritEnv: false,
+        timeoutMs: 60000,
+      });
+
+      return parseVetOutput(`${stdout}\n${stderr}`, file, fileName);
+    } finally {
+      await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+  },
+};
+
+// Lines look like `./main.go:12:2: fmt.Printf format %d has arg x of wrong
+// type string` or `vet: main.go:3:8: ...`
+function parseVetOutput(output, file, fileName) {
+  const issues = [];
+  const pattern = new RegExp(
+    `^(?:vet: )?(?:\\./)?${escapeRegExp(fileName)}:(\\d+)(?::\\d+)?:\\s*(.+)$`
+  );
+
+  output.split("\n").forEach((text) => {
+    const match = pattern.exec(text.trim());
+    if (!match || UNRESOLVED_IMPORT.test(match[2])) return;
+
+    issues.push({
+      path: file.path,
+      line: parseInt(match[1], 10),
+      severity: "medium",
+      category: "bug",
+      rule: "go-vet",
+      title: `Static Analysis: ${match[2]}`,
+      description: "Reported by `go vet`",
+      documentation: "https://pkg.go.dev/cmd/vet",
+      language: file.language,
+    });
+  });
+
+  return issues;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+module.exports = { goVetAdapter };
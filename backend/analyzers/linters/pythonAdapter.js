@@ -0,0 +1,93 @@
+const { runTool, isToolAvailable } = require("./exec");
+
+// ruff when installed, otherwise pyflakes. Both read the file from stdin.
+
+// ruff codes that mean the file cannot run: syntax errors, undefined names
+// and broken imports
+const RUFF_HIGH_SEVERITY = /^(E9|F63|F7|F82)/;
+
+const pythonAdapter = {
+  name: "python",
+  tool: "ruff or pyflakes",
+  languages: ["python"],
+
+  async resolve() {
+    if (await isToolAvailable("ruff")) return { command: "ruff" };
+    if (await isToolAvailable("pyflakes")) return { command: "pyflakes" };
+    return null;
+  },
+
+  async lint(file, tool) {
+    return tool.command === "ruff"
+      ? lintWithRuff(file)
+      : lintWithPyflakes(file);
+  },
+};
+
+async function lintWithRuff(file) {
+  const { stdout, stderr, code } = await runTool(
+    "ruff",
+    [
+      "check",
+      "--output-format",
+      "json",
+      "--no-cache",
+      "--exit-zero",
+      "--stdin-filename",
+      file.path,
+      "-",
+    ],
+    { input: file.content }
+  );
+  if (code !== 0) throw new Error(stderr.trim() || `ruff exited with ${code}`);
+
+  return JSON.parse(stdout || "[]").map((diagnostic) => {
+    const ruleCode = diagnostic.code || "syntax-error";
+    return {
+      path: file.path,
+      line: diagnostic.location ? diagnostic.location.row : 1,
+      severity:
+        RUFF_HIGH_SEVERITY.test(ruleCode) || !diagnostic.code
+          ? "high"
+          : ruleCode.startsWith("F")
+          ? "medium"
+          : "low",
+      category: ruleCode.startsWith("F") || !diagnostic.code ? "bug" : "style",
+      rule: `ruff/${ruleCode}`,
+      title: `Static Analysis: ${diagnostic.message}`,
+      description: `ruff rule: \`${ruleCode}\``,
+      documentation: diagnostic.url || undefined,
+      language: file.language,
+    };
+  });
+}
+
+// pyflakes prints `<stdin>:12:5: message` (column optional) to stdout and
+// syntax errors to stderr
+async function lintWithPyflakes(file) {
+  const { stdout, stderr } = await runTool("pyflakes", [], {
+    input: file.content,
+  });
+
+  const issues = [];
+  `${stdout}\n${stderr}`.split("\n").forEach((text) => {
+    const match = /^<stdin>:(\d+):(?:\d+:)?\s*(.+)$/.exec(text.trim());
+    if (!match) return;
+
+    const message = match[2];
+    const isError = /syntax|undefined name|invalid/i.test(message);
+    issues.push({
+      path: file.path,
+      line: parseInt(match[1], 10),
+      severity: isError ? "high" : "medium",
+      category: "bug",
+      rule: "pyflakes",
+      title: `Static Analysis: ${message}`,
+      description: "Reported by pyflakes",
+      language: file.language,
+    });
+  });
+  return issues;
+}
+
+module.exports = { pythonAdapter };
@@ -0,0 +1,176 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { runTool } = require("./exec");
+
+// Support for linting with the target repository's own ESLint config
+// (`analyzers.static.eslintConfig: repo`). The config is read from the base
+// ref, so a PR cannot change it. Only JSON and YAML configs are used: a
+// JavaScript config is code from whoever installed the app, and Node's
+// permission model cannot keep it off the network. ESLint still runs in a
+// child process under that model, so plugins, parsers and `extends` paths
+// named by the config can read only the temp checkout and ReviewBot's
+// node_modules, cannot write files or spawn processes, and get none of the
+// server's environment.
+
+const FLAT_CONFIG_FILES = [
+  "eslint.config.js",
+  "eslint.config.mjs",
+  "eslint.config.cjs",
+];
+const LEGACY_CONFIG_FILES = [
+  ".eslintrc.js",
+  ".eslintrc.cjs",
+  ".eslintrc.yaml",
+  ".eslintrc.yml",
+  ".eslintrc.json",
+  ".eslintrc",
+];
+
+const DATA_CONFIG_FILES = [
+  ".eslintrc.yaml",
+  ".eslintrc.yml",
+  ".eslintrc.json",
+  ".eslintrc",
+];
+
+const NODE_MODULES = path.resolve(
+  path.dirname(require.resolve("eslint/package.json")),
+  ".."
+);
+const SANDBOX_SCRIPT = path.join(__dirname, "eslintSandbox.js");
+const SANDBOX_TIMEOUT_MS = 60000;
+
+// Resolves to { config, notice } for the repository's root ESLint config at
+// `ref`; see findEslintConfig.
+async function loadRepoEslintConfig(octokit, owner, repo, ref) {
+  const { data: entries } = await octokit.repos.getContent({
+    owner,
+    repo,
+    path: "",
+    ref,
+  });
+
+  return findEslintConfig(
+    (entries || []).map((entry) => entry.name),
+    (filePath) => readFile(octokit, owner, repo, filePath, ref)
+  );
+}
+
+// Picks the ESLint config among the root file `names`, reading it with
+// `read(path)`. Only configs the sandbox can run are picked: JSON and YAML
+// files, or a legacy `eslintConfig` key in package.json turned into an
+// .eslintrc.json. Resolves to { config, notice }, where `config` is
+// { path, content, flat } or null and `notice` says why a JavaScript config
+// in the repository was not used.
+async function findEslintConfig(names, read) {
+  const present = new Set(names);
+  const skipped = [...FLAT_CONFIG_FILES, ...LEGACY_CONFIG_FILES].filter(
+    (name) => present.has(name) && !DATA_CONFIG_FILES.includes(name)
+  );
+
+  let config = null;
+  const configPath = DATA_CONFIG_FILES.find((name) => present.has(name));
+  if (configPath) {
+    config = { path: configPath, content: await read(configPath), flat: false };
+  } else if (present.has("package.json")) {
+    const pkg = JSON.parse(await read("package.json"));
+    if (pkg.eslintConfig) {
+      config = {
+        path: ".eslintrc.json",
+        content: JSON.stringify(pkg.eslintConfig),
+        flat: false,
+      };
+    }
+  }
+
+  let notice = null;
+  if (skipped.length > 0) {
+    const list = skipped.map((name) => `\`${name}\``).join(", ");
+    notice = `${list} ${
+      skipped.length > 1 ? "were" : "was"
+    } not used because ReviewBot does not run JavaScript ESLint configs; ${
+      config
+        ? `linted with \`${configPath || "package.json"}\` instead`
+        : "add an .eslintrc.json or .eslintrc.yml to use the repository's rules"
+    }`;
+  }
+
+  return { config, notice };
+}
+
+async function readFile(octokit, owner, repo, filePath, ref) {
+  const { data } = await octokit.repos.getContent({
+    owner,
+    repo,
+    path: filePath,
+    ref,
+  });
+  return Buffer.from(data.content, "base64").toString("utf-8");
+}
+
+// Lints `files` with `config` in the sandbox. Resolves to
+// { results: [{ path, messages }], rulesMeta: { ruleId: meta } }; rejects
+// when the config cannot be loaded, e.g. because it needs a plugin that
+// ReviewBot does not have installed, or is JavaScript.
+async function lintInSandbox(files, config) {
+  if (!DATA_CONFIG_FILES.includes(config.path)) {
+    throw new Error(
+      "JavaScript configs are not run; use .eslintrc.json or .eslintrc.yml"
+    );
+  }
+
+  const dir = await fs.promises.mkdtemp(
+    path.join(fs.realpathSync(os.tmpdir()), "reviewbot-eslint-")
+  );
+
+  try {
+    await fs.promises.writeFile(path.join(dir, config.path), config.content);
+    // Plugins, parsers and shareable configs resolve to ReviewBot's own
+    await fs.promises.symlink(
+      NODE_MODULES,
+      path.join(dir, "node_modules"),
+      "dir"
+    );
+
+    const { stdout, stderr, code } = await runTool(
+      process.execPath,
+      [
+        "--experimental-permission",
+        `--allow-fs-read=${dir}/*`,
+        `--allow-fs-read=${fs.realpathSync(NODE_MODULES)}/*`,
+        `--allow-fs-read=${SANDBOX_SCRIPT}`,
+        "--max-old-space-size=512",
+        "--no-warnings",
+        SANDBOX_SCRIPT,
+      ],
+      {
+        input: JSON.stringify({
+          cwd: dir,
+          configFile: path.join(dir, config.path),
+          flat: config.flat,
+          files: files.map((f) => ({ path: f.path, content: f.content })),
+        }),
+        cwd: dir,
+        env: { PATH: process.env.PATH, NODE_ENV: "production" },
+        inheritEnv: false,
+        timeoutMs: SANDBOX_TIMEOUT_MS,
+      }
+    );
+
+    let output;
+    try {
+      output = JSON.parse(stdout);
+    } catch (error) {
+      throw new Error(
+        (stderr.trim().split("\n")[0] || `ESLint exited with ${code}`).trim()
+      );
+    }
+    if (output.error) throw new Error(output.error);
+    return output;
+  } finally {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+}
+
+module.exports = { loadRepoEslintConfig, findEslintConfig, lintInSandbox };
@@ -0,0 +1,54 @@
+const { runTool, isToolAvailable } = require("./exec");
+
+const LEVEL_SEVERITY = {
+  error: "high",
+  warning: "medium",
+  info: "low",
+  style: "low",
+};
+
+const shellcheckAdapter = {
+  name: "shellcheck",
+  tool: "shellcheck",
+  languages: ["shell"],
+
+  async resolve() {
+    return (await isToolAvailable("shellcheck"))
+      ? { command: "shellcheck" }
+      : null;
+  },
+
+  async lint(file) {
+    const { stdout, stderr, code } = await runTool(
+      "shellcheck",
+      ["--format", "json", "--shell", shellFor(file), "-"],
+      { input: file.content }
+    );
+    // 0 = clean, 1 = findings; anything else is a usage or runtime error
+    if (code > 1)
+      throw new Error(stderr.trim() || `shellcheck exited with ${code}`);
+
+    return JSON.parse(stdout || "[]").map((comment) => ({
+      path: file.path,
+      line: comment.line,
+      severity: LEVEL_SEVERITY[comment.level] || "low",
+      category:
+        comment.level === "error" || comment.level === "warning"
+          ? "bug"
+          : "style",
+      rule: `shellcheck/SC${comment.code}`,
+      title: `Static Analysis: ${comment.message}`,
+      description: `ShellCheck rule: \`SC${comment.code}\``,
+      documentation: `https://www.shellcheck.net/wiki/SC${comment.code}`,
+      language: file.language,
+    }));
+  },
+};
+
+// Scripts without a shebang are assumed to be bash
+function shellFor(file) {
+  const shebang = /^#!.*\b(sh|bash|dash|ksh)\b/.exec(file.content);
+  return shebang ? shebang[1] : "bash";
+}
+
+module.exports = { shellcheckAdapter };
@@ -0,0 +1,410 @@
+const { childNodes, isFunctionNode, nodeName } = require("../../utils/ast");
+
+// A deliberately simple taint tracker: a variable becomes tainted when it is
+// assigned from request data (or from another tainted value), and a finding
+// is raised when a tainted value reaches a sink. Tracking is by name and in
+// source order, without scopes; that misses some flows but keeps false
+// positives such as `regex.exec(` or `eval` in a comment out entirely.
+
+const SOURCE_PATTERNS = [
+  /^(?:req|request|ctx\.request|ctx)\.(?:params|query|body|headers|cookies|files)(?:\.|$)/,
+  /^(?:req|request)\.(?:param|get|header)$/,
+  /^(?:window\.|document\.)?location\.(?:search|hash|href|pathname)(?:\.|$)/,
+  /^document\.(?:URL|cookie|referrer)(?:\.|$)/,
+  /^process\.argv(?:\.|$)/,
+  /^event\.data(?:\.|$)/,
+];
+
+const SANITIZERS = new Set([
+  "parseInt",
+  "parseFloat",
+  "Number",
+  "Boolean",
+  "encodeURIComponent",
+  "encodeURI",
+  "escape",
+  "escapeHtml",
+  "DOMPurify.sanitize",
+  "sanitize",
+  "path.basename",
+  "shellEscape",
+  "shellescape",
+  "mysql.escape",
+  "sqlstring.escape",
+]);
+
+const CHILD_PROCESS_SINKS = new Set(["exec", "execSync"]);
+const FS_PATH_METHODS = new Set([
+  "readFile",
+  "readFileSync",
+  "writeFile",
+  "writeFileSync",
+  "appendFile",
+  "appendFileSync",
+  "createReadStream",
+  "createWriteStream",
+  "unlink",
+  "unlinkSync",
+  "rm",
+  "rmSync",
+  "readdir",
+  "readdirSync",
+  "open",
+  "openSync",
+  "stat",
+  "statSync",
+]);
+const MODULE_ALIASES = {
+  child_process: "child_process",
+  "node:child_process": "child_process",
+  fs: "fs",
+  "node:fs": "fs",
+  "fs/promises": "fs",
+  "node:fs/promises": "fs",
+  "fs-extra": "fs",
+};
+
+const SQL_PATTERN =
+  /\b(?:SELECT\b[\s\S]*\bFROM|INSERT\s+INTO|UPDATE\b[\s\S]*\bSET|DELETE\s+FROM)\b/i;
+const SECURITY_CONTEXT_NAME =
+  /token|secret|password|passwd|nonce|salt|session|otp|csrf|key|auth|uuid|guid/i;
+
+function analyzeDataFlow(ast) {
+  const findings = [];
+  const tainted = new Set();
+  const modules = new Map(); // local name -> "fs" | "child_process"
+  const imported = new Map(); // local name -> { module, name }
+
+  function report(ruleId, node, confidence) {
+    findings.push({ ruleId, line: node.loc.start.line, confidence });
+  }
+
+  function isSource(node) {
+    const name = nodeName(node);
+    return Boolean(name) && SOURCE_PATTERNS.some((p) => p.test(name));
+  }
+
+  function isTainted(node) {
+    if (!node) return false;
+
+    switch (node.type) {
+      case "Identifier":
+        return tainted.has(node.name);
+      case "MemberExpression":
+      case "OptionalMemberExpression":
+        return isSource(node) || isTainted(node.object);
+      case "CallExpression":
+      case "OptionalCallExpression": {
+        const callee = nodeName(node.callee);
+        if (callee && SANITIZERS.has(callee)) return false;
+        if (isSource(node.callee)) return true;
+        if (
+          node.callee.type.endsWith("MemberExpression") &&
+          isTainted(node.callee.object)
+        ) {
+          return true;
+        }
+        return node.arguments.some(isTainted);
+      }
+      case "TemplateLiteral":
+        return node.expressions.some(isTainted);
+      case "TaggedTemplateExpression":
+        return false; // tagged templates (sql``, html``) escape their values
+      case "BinaryExpression":
+      case "LogicalExpression":
+        return isTainted(node.left) || isTainted(node.right);
+      case "ConditionalExpression":
+        return isTainted(node.consequent) || isTainted(node.alternate);
+      case "AssignmentExpression":
+        return isTainted(node.right);
+      case "AwaitExpression":
+      case "SpreadElement":
+      case "TSAsExpression":
+      case "TSNonNullExpression":
+      case "TypeCastExpression":
+      case "ParenthesizedExpression":
+        return isTainted(node.argument || node.expression);
+      case "ArrayExpression":
+        return node.elements.some(isTainted);
+      case "ObjectExpression":
+        return node.properties.some((p) => isTainted(p.value || p.argument));
+      default:
+        return false;
+    }
+  }
+
+  function isDynamic(node) {
+    if (!node) return false;
+    if (node.type === "StringLiteral" || node.type === "NumericLiteral") {
+      return false;
+    }
+    if (node.type === "TemplateLiteral") return node.expressions.length > 0;
+    if (node.type === "BinaryExpression") {
+      return isDynamic(node.left) || isDynamic(node.right);
+    }
+    return true;
+  }
+
+  // "high" when request data reaches the sink, "medium" when some other
+  // dynamic value does, null for constants.
+  function confidenceFor(node) {
+    if (isTainted(node)) return "high";
+    return isDynamic(node) ? "medium" : null;
+  }
+
+  function bindNames(pattern, taint) {
+    if (!pattern) return;
+    if (pattern.type === "Identifier") {
+      if (taint) tainted.add(pattern.name);
+      else tainted.delete(pattern.name);
+    } else if (pattern.type === "ObjectPattern") {
+      pattern.properties.forEach((p) =>
+        bindNames(p.value || p.argument, taint)
+      );
+    } else if (pattern.type === "ArrayPattern") {
+      pattern.elements.forEach((e) => bindNames(e, taint));
+    } else if (pattern.type === "AssignmentPattern") {
+      bindNames(pattern.left, taint);
+    } else if (pattern.type === "RestElement") {
+      bindNames(pattern.argument, taint);
+    }
+  }
+
+  function requiredModule(node) {
+    if (
+      node &&
+      node.type === "CallExpression" &&
+      node.callee.type === "Identifier" &&
+      node.callee.name === "require" &&
+      node.arguments[0] &&
+      node.arguments[0].type === "StringLiteral"
+    ) {
+      return MODULE_ALIASES[node.arguments[0].value] || null;
+    }
+    return null;
+  }
+
+  function recordModuleBinding(pattern, moduleName) {
+    if (pattern.type === "Identifier") {
+      modules.set(pattern.name, moduleName);
+    } else if (pattern.type === "ObjectPattern") {
+      pattern.properties.forEach((p) => {
+        if (p.value && p.value.type === "Identifier") {
+          imported.set(p.value.name, {
+            module: moduleName,
+            name: nodeName(p.key),
+          });
+        }
+      });
+    }
+  }
+
+  // Resolves a callee to "<module>.<function>" when it refers to fs or
+  // child_process, e.g. `cp.exec`, `exec` imported from child_process or
+  // `require("fs").readFileSync`.
+  function resolveCallee(callee) {
+    if (callee.type === "Identifier" && imported.has(callee.name)) {
+      const binding = imported.get(callee.name);
+      return `${binding.module}.${binding.name}`;
+    }
+    if (callee.type === "MemberExpression") {
+      const property = nodeName(callee.property);
+      const object = callee.object;
+      const moduleName =
+        (object.type === "Identifier" && modules.get(object.name)) ||
+        requiredModule(object) ||
+        (object.type === "MemberExpression" &&
+          nodeName(object.property) === "promises" &&
+          object.object.type === "Identifier" &&
+          modules.get(object.object.name));
+      if (moduleName) return `${moduleName}.${property}`;
+    }
+    return null;
+  }
+
+  function checkCall(node) {
+    const callee = nodeName(node.callee);
+    const resolved = resolveCallee(node.callee);
+    const firstArg = node.arguments[0];
+
+    if (
+      callee === "eval" ||
+      (node.type === "NewExpression" && callee === "Function")
+    ) {
+      report("eval", node, isTainted(firstArg) ? "high" : "medium");
+      return;
+    }
+
+    if (
+      (callee === "setTimeout" || callee === "setInterval") &&
+      firstArg &&
+      (firstArg.type === "StringLiteral" || firstArg.type === "TemplateLiteral")
+    ) {
+      report("eval", node, isTainted(firstArg) ? "high" : "low");
+      return;
+    }
+
+    if (resolved && resolved.startsWith("child_process.")) {
+      const method = resolved.split(".")[1];
+      if (CHILD_PROCESS_SINKS.has(method)) {
+        const confidence = confidenceFor(firstArg);
+        if (confidence) report("command-injection", node, confidence);
+      }
+      return;
+    }
+
+    if (resolved && resolved.startsWith("fs.")) {
+      const method = resolved.split(".")[1];
+      if (FS_PATH_METHODS.has(method) && isTainted(firstArg)) {
+        report("path-traversal", node, "high");
+      }
+      return;
+    }
+
+    if (
+      node.callee.type === "MemberExpression" &&
+      nodeName(node.callee.property) === "sendFile" &&
+      isTainted(firstArg)
+    ) {
+      report("path-traversal", node, "high");
+      return;
+    }
+
+    if (
+      node.callee.type === "MemberExpression" &&
+      ["insertAdjacentHTML"].includes(nodeName(node.callee.property))
+    ) {
+      const confidence = confidenceFor(node.arguments[1]);
+      if (confidence) report("xss-innerhtml", node, confidence);
+      return;
+    }
+
+    if (callee === "document.write" || callee === "document.writeln") {
+      const confidence = confidenceFor(firstArg);
+      if (confidence) report("xss-innerhtml", node, confidence);
+    }
+  }
+
+  function checkSql(node, parent) {
+    let staticText;
+    let dynamicParts;
+
+    if (node.type === "TemplateLiteral") {
+      if (parent && parent.type === "TaggedTemplateExpression") return;
+      staticText = node.quasis.map((q) => q.value.cooked || "").join(" ");
+      dynamicParts = node.expressions;
+    } else {
+      // Only the outermost `+` of a concatenation chain
+      if (
+        parent &&
+        parent.type === "BinaryExpression" &&
+        parent.operator === "+"
+      ) {
+        return;
+      }
+      const parts = flattenConcat(node);
+      staticText = parts
+        .filter((p) => p.type === "StringLiteral")
+        .map((p) => p.value)
+        .join(" ");
+      dynamicParts = parts.filter((p) => p.type !== "StringLiteral");
+    }
+
+    if (dynamicParts.length === 0 || !SQL_PATTERN.test(staticText)) return;
+    report(
+      "sql-injection",
+      node,
+      dynamicParts.some(isTainted) ? "high" : "medium"
+    );
+  }
+
+  function checkRandom(node, context) {
+    if (SECURITY_CONTEXT_NAME.test(context.join(" "))) {
+      report("weak-random", node, "medium");
+    }
+  }
+
+  // `context` holds the names of the enclosing function and of the variable
+  // or property being assigned, used to judge whether randomness is for
+  // security purposes.
+  function visit(node, parent, context) {
+    switch (node.type) {
+      case "VariableDeclarator": {
+        const moduleName = requiredModule(node.init);
+        if (moduleName) recordModuleBinding(node.id, moduleName);
+        else if (node.init) bindNames(node.id, isTainted(node.init));
+        context = [...context, nodeName(node.id) || ""];
+        break;
+      }
+      case "ImportDeclaration": {
+        const moduleName = MODULE_ALIASES[node.source.value];
+        if (moduleName) {
+          node.specifiers.forEach((s) => {
+            if (s.type === "ImportSpecifier") {
+              imported.set(s.local.name, {
+                module: moduleName,
+                name: nodeName(s.imported),
+              });
+            } else {
+              modules.set(s.local.name, moduleName);
+            }
+          });
+        }
+        return;
+      }
+      case "AssignmentExpression": {
+        if (
+          node.left.type === "Identifier" ||
+          node.left.type.endsWith("Pattern")
+        ) {
+          bindNames(node.left, isTainted(node.right));
+        }
+        const property =
+          node.left.type === "MemberExpression" && nodeName(node.left.property);
+        if (property === "innerHTML" || property === "outerHTML") {
+          const confidence = confidenceFor(node.right);
+          if (confidence) report("xss-innerhtml", node, confidence);
+        }
+        context = [...context, nodeName(node.left) || ""];
+        break;
+      }
+      case "ObjectProperty":
+      case "ClassProperty":
+        context = [...context, nodeName(node.key) || ""];
+        break;
+      case "CallExpression":
+      case "OptionalCallExpression":
+      case "NewExpression":
+        if (nodeName(node.callee) === "Math.random") {
+          checkRandom(node, context);
+        } else {
+          checkCall(node);
+        }
+        break;
+      case "TemplateLiteral":
+        checkSql(node, parent);
+        break;
+      case "BinaryExpression":
+        if (node.operator === "+") checkSql(node, parent);
+        break;
+      default:
+        if (isFunctionNode(node)) {
+          context = [nodeName(node.id) || nodeName(node.key) || ""];
+        }
+    }
+
+    for (const child of childNodes(node)) visit(child, node, context);
+  }
+
+  visit(ast.program, null, []);
+  return findings;
+}
+
+function flattenConcat(node) {
+  if (node.type === "BinaryExpression" && node.operator === "+") {
+    return [...flattenConcat(node.left), ...flattenConcat(node.right)];
+  }
+  return [node];
+}
+
+module.exports = { analyzeDataFlow };
@@ -0,0 +1,81 @@
+// Catalog of security rules. JS/TS files are checked by the data-flow engine
+// in dataFlow.js; `pattern` is the line-based fallback used for languages
+// without an AST engine. `severity` maps the confidence of a finding to the
+// severity reported: high confidence means user input provably reaches the
+// sink, medium means a dynamic value does but its origin is unknown.
+
+const SECURITY_RULES = {
+  eval: {
+    title: "Dangerous eval() usage",
+    description:
+      "Using `eval()` can execute arbitrary code and is a major security risk. Avoid it entirely.",
+    cwe: "CWE-95",
+    severity: { high: "critical", medium: "critical", low: "high" },
+    pattern: /\beval\s*\(/i,
+    documentation:
+      "https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/eval#never_use_eval!",
+  },
+  "sql-injection": {
+    title: "Possible SQL Injection",
+    description:
+      "String concatenation in SQL queries can lead to SQL injection. Use parameterized queries instead.",
+    cwe: "CWE-89",
+    severity: { high: "critical", medium: "high", low: "medium" },
+    pattern: /(?:SELECT|INSERT|UPDATE|DELETE).*?[`'"]\s*\+\s*\w+/i,
+    suggestion:
+      'Use prepared statements:\nconst query = "SELECT * FROM users WHERE id = ?";\ndb.execute(query, [userId]);',
+    documentation: "https://owasp.org/www-community/attacks/SQL_Injection",
+  },
+  "xss-innerhtml": {
+    title: "XSS vulnerability via innerHTML",
+    description:
+      "Setting innerHTML with unsanitized user input can lead to XSS attacks. Use textContent or sanitize input.",
+    cwe: "CWE-79",
+    severity: { high: "critical", medium: "high", low: "medium" },
+    pattern: /innerHTML\s*=\s*[^'"`\s]/i,
+    suggestion:
+      "element.textContent = userInput; // Safe\n// OR use a library like DOMPurify.sanitize(userInput)",
+    documentation: "https://owasp.org/www-community/attacks/xss/",
+  },
+  "weak-random": {
+    title: "Weak randomness for security",
+    description:
+      "Math.random() is not cryptographically secure. Use `crypto.randomBytes()` or similar for security purposes (e.g., tokens).",
+    cwe: "CWE-338",
+    severity: { high: "high", medium: "medium", low: "low" },
+    pattern: /Math\.random\(\)/,
+    suggestion:
+      'const crypto = require("crypto");\nconst token = crypto.randomBytes(32).toString("hex");',
+  },
+  "command-injection": {
+    title: "Command injection risk",
+    description:
+      "Using `exec()` with user input can lead to command injection. Sanitize input or use safer alternatives like `spawn`.",
+    cwe: "CWE-78",
+    severity: { high: "critical", medium: "high", low: "medium" },
+    pattern: /\b(?:child_process|cp)\.exec(?:Sync)?\s*\(/,
+    suggestion:
+      'const { execFile } = require("child_process");\nexecFile("git", ["log", userInput]); // arguments are never parsed by a shell',
+    documentation: "https://owasp.org/www-community/attacks/Command_Injection",
+  },
+  "path-traversal": {
+    title: "Path traversal pattern",
+    description:
+      "Path traversal (../) in file paths can expose sensitive files. Validate and sanitize paths using `path.resolve()` or similar.",
+    cwe: "CWE-22",
+    severity: { high: "high", medium: "medium", low: "low" },
+    pattern: /(?:open|read|write)\w*\s*\(.*\.\.[/\\]/i,
+    suggestion:
+      'const target = path.resolve(baseDir, userPath);\nif (!target.startsWith(baseDir + path.sep)) throw new Error("Invalid path");',
+    documentation: "https://owasp.org/www-community/attacks/Path_Traversal",
+  },
+};
+
+function cweUrl(cwe) {
+  return `https://cwe.mitre.org/data/definitions/${cwe.replace(
+    "CWE-",
+    ""
+  )}.html`;
+}
+
+module.exports = { SECURITY_RULES, cweUrl };
@@ -1,108 +1,88 @@
+const { parseSource } = require("../utils/ast");
+const { SECURITY_RULES } = require("./security/rules");
+const { analyzeDataFlow } = require("./security/dataFlow");
+
+const AST_LANGUAGES = ["javascript", "typescript"];
+const COMMENT_LINE = /^\s*(?:\/\/|#|\/?\*|<!--|--)/;
+
 async function analyzeSecurityIssues(files) {
   const issues = [];
 
-  const securityPatterns = [
-    {
-      pattern: /eval\s*\(/gi,
-      title: "Dangerous eval() usage",
-      description:
-        "Using `eval()` can execute arbitrary code and is a major security risk. Avoid it entirely.",
-      severity: "critical",
-      documentation:
-        "https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/eval#never_use_eval!",
-    },
-    {
-      pattern: /(?:SELECT|INSERT|UPDATE|DELETE).*?[`'"]\s*\+\s*\w+/gi,
-      title: "Possible SQL Injection",
-      description:
-        "String concatenation in SQL queries can lead to SQL injection. Use parameterized queries instead.",
-      severity: "critical",
-      suggestion:
-        'Use prepared statements:\nconst query = "SELECT * FROM users WHERE id = ?";\ndb.execute(query, [userId]);',
-      documentation: "https://owasp.org/www-community/attacks/SQL_Injection",
-    },
-    {
-      pattern: /innerHTML\s*=\s*[^'"`]/gi,
-      title: "XSS vulnerability via innerHTML",
-      description:
-        "Setting innerHTML with unsanitized user input can lead to XSS attacks. Use textContent or sanitize input.",
-      severity: "high",
-      suggestion:
-        "element.textContent = userInput; // Safe\n// OR use a library like DOMPurify.sanitize(userInput)",
-      documentation: "https://owasp.org/www-community/attacks/xss/",
-    },
-    {
-      pattern: /password.*?=.*?['"`]\w+['"`]/gi,
-      title: "Hardcoded password detected",
-      description:
-        "Passwords should never be hardcoded. Use environment variables or secure vaults.",
-      severity: "critical",
-      suggestion: "const password = process.env.DB_PASSWORD;",
-      documentation:
-        "https://owasp.org/www-project-top-ten/2017/A3_2017-Sensitive_Data_Exposure",
-    },
-    {
-      pattern: /api[_-]?key.*?=.*?['"`][A-Za-z0-9]{20,}['"`]/gi,
-      title: "Exposed API key",
-      description:
-        "API keys or sensitive tokens should be stored in environment variables, not directly in code.",
-      severity: "critical",
-      suggestion: "const apiKey = process.env.API_KEY;",
-    },
-    {
-      pattern: /Math\.random\(\)/gi,
-      title: "Weak randomness for security",
-      description:
-        "Math.random() is not cryptographically secure. Use `crypto.randomBytes()` or similar for security purposes (e.g., tokens).",
-      severity: "medium",
-      suggestion:
-        'const crypto = require("crypto");\nconst token = crypto.randomBytes(32).toString("hex");',
-    },
-    {
-      pattern: /exec\s*\(/gi,
-      title: "Command injection risk",
-      description:
-        "Using `exec()` with user input can lead to command injection. Sanitize input or use safer alternatives like `spawn`.",
-      severity: "critical",
-      documentation:
-        "https://owasp.org/www-community/attacks/Command_Injection",
-    },
-    {
-      pattern: /\.\.\/|\.\.\\(?!node_modules)/gi,
-      title: "Path traversal pattern",
-      description:
-        "Path traversal (../) in file paths can expose sensitive files. Validate and sanitize paths using `path.resolve()` or similar.",
-      severity: "high",
-      documentation: "https://owasp.org/www-community/attacks/Path_Traversal",
-    },
-  ];
-
   for (const file of files) {
     if (!file.content) continue;
 
-    const lines = file.content.split("\n");
-
-    lines.forEach((line, index) => {
-      securityPatterns.forEach((pattern) => {
-        if (pattern.pattern.test(line)) {
-          issues.push({
-            path: file.path,
-            line: index + 1,
-            severity: pattern.severity,
-            category: "security",
-            title: pattern.title,
-            description: pattern.description,
-            suggestion: pattern.suggestion,
-            documentation: pattern.documentation,
-            language: file.language,
-          });
-        }
-      });
-    });
+    const findings = AST_LANGUAGES.includes(file.language)
+      ? astFindings(file) || patternFindings(file)
+      : patternFindings(file);
+
+    findings.forEach((finding) => issues.push(toIssue(file, finding)));
   }
 
   console.log(`  🔒 Security Analysis: ${issues.length} issues`);
   return issues;
 }
 
+// Returns null when the file cannot be parsed, so the caller falls back to
+// the line patterns.
+function astFindings(file) {
+  let ast;
+  try {
+    ast = parseSource(file.content, file.path);
+  } catch (error) {
+    console.log(`  ⚠️ Could not parse ${file.path}: ${error.message}`);
+    return null;
+  }
+
+  // One finding per rule and line, keeping the most confident
+  const byLocation = new Map();
+  const rank = { high: 3, medium: 2, low: 1 };
+  for (const finding of analyzeDataFlow(ast)) {
+    const key = `${finding.ruleId}:${finding.line}`;
+    const existing = byLocation.get(key);
+    if (!existing || rank[finding.confidence] > rank[existing.confidence]) {
+      byLocation.set(key, finding);
+    }
+  }
+
+  return [...byLocation.values()].sort((a, b) => a.line - b.line);
+}
+
+function patternFindings(file) {
+  const findings = [];
+
+  file.content.split("\n").forEach((line, index) => {
+    if (COMMENT_LINE.test(line)) return;
+
+    for (const [ruleId, rule] of Object.entries(SECURITY_RULES)) {
+      if (rule.pattern.test(line)) {
+        findings.push({ ruleId, line: index + 1, confidence: "low" });
+      }
+    }
+  });
+
+  return findings;
+}
+
+function toIssue(file, finding) {
+  const rule = SECURITY_RULES[finding.ruleId];
+
+  return {
+    path: file.path,
+    line: finding.line,
+    severity: rule.severity[finding.confidence],
+    category: "security",
+    rule: finding.ruleId,
+    cwe: rule.cwe,
+    confidence: finding.confidence,
+    title: rule.title,
+    description:
+      finding.confidence === "high"
+        ? `${rule.description} User-controlled input reaches this point unsanitized.`
+        : rule.description,
+    suggestion: rule.suggestion,
+    documentation: rule.documentation,
+    language: file.language,
+  };
+}
+
 module.exports = { analyzeSecurityIssues };
@@ -1,64 +1,69 @@
-const { ESLint } = require("eslint");
+const { eslintAdapter } = require("./linters/eslintAdapter");
+const { pythonAdapter } = require("./linters/pythonAdapter");
+const { goVetAdapter } = require("./linters/goVetAdapter");
+const { shellcheckAdapter } = require("./linters/shellcheckAdapter");
 
-async function analyzeStaticIssues(files) {
-  const issues = [];
+// Linter adapters, each handling a set of languages. An adapter's
+// `resolve()` finds its tool (null when it is not installed) and `lint()`
+// returns issues in ReviewBot's shape for one file. Adapters that lint a
+// whole batch at once implement `lintFiles()` instead, resolving to
+// { issues, notices }.
+const LINTER_ADAPTERS = [
+  eslintAdapter,
+  pythonAdapter,
+  goVetAdapter,
+  shellcheckAdapter,
+];
 
-  for (const file of files) {
-    // Only run ESLint for JavaScript files
-    if (!file.content || file.language !== "javascript") continue;
+// Returns { issues, skipped, notices }, where `skipped` lists adapters that
+// had files to check but whose tool is not installed and `notices` are
+// messages for the summary, such as a config that could not be used. `options.linters` restricts the
+// adapters run by name.
+async function analyzeStaticIssues(files, options = {}) {
+  const issues = [];
+  const skipped = [];
+  const notices = [];
 
-    try {
-      // Basic ESLint configuration applied programmatically
-      const eslint = new ESLint({
-        useEslintrc: false,
-        overrideConfig: {
-          env: { browser: true, node: true, es2021: true },
-          parserOptions: { ecmaVersion: "latest", sourceType: "module" },
-          rules: {
-            // High Severity Errors
-            "no-undef": "error",
-            eqeqeq: ["error", "always"],
-            "no-eval": "error",
-            "no-implied-eval": "error",
-            semi: ["error", "always"],
+  for (const adapter of LINTER_ADAPTERS) {
+    if (options.linters && !options.linters.includes(adapter.name)) continue;
 
-            // Medium/Low Severity Warnings
-            "no-unused-vars": "warn",
-            "no-console": ["warn", { allow: ["warn", "error"] }],
-            quotes: ["warn", "single"],
-            "no-var": "warn",
-            "prefer-const": "warn",
-          },
-        },
-      });
+    const targets = files.filter(
+      (f) => f.content && adapter.languages.includes(f.language)
+    );
+    if (targets.length === 0) continue;
 
-      const results = await eslint.lintText(file.content, {
-        filePath: file.path,
+    const tool = await adapter.resolve();
+    if (!tool) {
+      console.log(
+        `  ⏭️ ${adapter.tool} not installed, skipping ${targets.length} file(s)`
+      );
+      skipped.push({
+        name: adapter.name,
+        tool: adapter.tool,
+        languages: adapter.languages,
+        files: targets.length,
       });
+      continue;
+    }
 
-      results.forEach((result) => {
-        result.messages.forEach((msg) => {
-          let severity = "low";
-          if (msg.severity === 2) severity = "high";
+    if (adapter.lintFiles) {
+      const result = await adapter.lintFiles(targets, tool, options);
+      issues.push(...result.issues);
+      notices.push(...result.notices);
+      continue;
+    }
 
-          issues.push({
-            path: file.path,
-            line: msg.line,
-            severity,
-            category: "style",
-            title: `Static Analysis: ${msg.message}`,
-            description: `ESLint rule: \`${msg.ruleId}\``,
-            language: "javascript",
-          });
-        });
-      });
-    } catch (error) {
-      console.error(`ESLint error for ${file.path}:`, error.message);
+    for (const file of targets) {
+      try {
+        issues.push(...(await adapter.lint(file, tool, options)));
+      } catch (error) {
+        console.error(`${adapter.tool} error for ${file.path}:`, error.message);
+      }
     }
   }
 
   console.log(`  🔍 Static Analysis: ${issues.length} issues`);
-  return issues;
+  return { issues, skipped, notices };
 }
 
-module.exports = { analyzeStaticIssues };
+module.exports = { analyzeStaticIssues, LINTER_ADAPTERS };
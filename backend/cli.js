@@ -0,0 +1,368 @@
+#!/usr/bin/env node
+const fs = require("fs");
+const path = require("path");
+const { execFile } = require("child_process");
+const { parseArgs, promisify } = require("util");
+const { parseDiff } = require("./utils/diffParser");
+const { analyzeChanges } = require("./reviewPipeline");
+const { parseConfig, isIgnored, CONFIG_PATH } = require("./utils/config");
+const { parseBaseline } = require("./utils/suppressions");
+const { decideConclusion } = require("./utils/checkRun");
+const { buildSarif } = require("./utils/sarif");
+const { DEFAULT_LIMITS } = require("./utils/pullRequestFiles");
+const { findEslintConfig } = require("./analyzers/linters/repoEslintConfig");
+const { isDependencyFile } = require("./analyzers/dependencies/manifests");
+
+// Runs a ReviewBot review on a local checkout, without GitHub:
+//
+//   reviewbot review --base main [--head HEAD]
+//   reviewbot review --diff change.patch
+//   git diff main | reviewbot review --diff -
+//
+// Exit codes: 0 when the check passes, 1 when the fail threshold is hit
+// (`check` in .reviewbot.yml unless --fail-on / --min-score are given),
+// 2 on usage or runtime errors.
+
+const execFileAsync = promisify(execFile);
+
+const FORMATS = ["text", "json", "sarif", "markdown"];
+const FAIL_ON = ["critical", "high", "none"];
+const MAX_GIT_OUTPUT_BYTES = 256 * 1024 * 1024;
+
+const USAGE = `Usage: reviewbot review [options]
+
+Reviews the changes between two git refs, or a diff file, in the current
+repository and prints the findings.
+
+Options:
+  --base <ref>         Base of the change; the diff starts at its merge base with --head
+  --head <ref>         Head of the change (default: HEAD)
+  --diff <file>        Review a unified diff instead ("-" reads stdin); file
+                       contents come from --head if given, else the working tree
+  --format <format>    text, json, sarif or markdown (default: text)
+  --output <file>      Write the report to a file instead of stdout
+  --config <file>      Config file (default: ${CONFIG_PATH} at --base, else the working tree)
+  --fail-on <level>    critical, high or none: fail on issues of this severity or worse
+  --min-score <n>      Fail when the score is below n
+  --no-ai              Skip the AI review
+  --quiet              Hide progress output
+  -h, --help           Show this help
+`;
+
+async function main(argv) {
+  const { values, positionals } = parseOptions(argv);
+
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+  if (positionals[0] !== "review" || positionals.length > 1) {
+    throw new UsageError(
+      `Unknown command: ${positionals.join(" ") || "(none)"}`
+    );
+  }
+  if (!FORMATS.includes(values.format)) {
+    throw new UsageError(`--format must be one of ${FORMATS.join(", ")}`);
+  }
+  if (values["fail-on"] && !FAIL_ON.includes(values["fail-on"])) {
+    throw new UsageError(`--fail-on must be one of ${FAIL_ON.join(", ")}`);
+  }
+  if (!values.diff && !values.base) {
+    throw new UsageError("Pass --base <ref> or --diff <file>");
+  }
+  const minScore =
+    values["min-score"] !== undefined ? Number(values["min-score"]) : undefined;
+  if (minScore !== undefined && !Number.isFinite(minScore)) {
+    throw new UsageError("--min-score must be a number");
+  }
+
+  // Progress goes to stderr so stdout carries only the report
+  console.log = values.quiet ? () => {} : console.error;
+
+  // A diff file can be reviewed outside a git checkout
+  const root = await git(["rev-parse", "--show-toplevel"]).then(
+    (out) => out.trim(),
+    (error) => {
+      if (values.base || values.head) throw error;
+      return process.cwd();
+    }
+  );
+  const head = values.head || (values.diff ? null : "HEAD");
+  const base = values.base
+    ? (await git(["merge-base", values.base, head || "HEAD"], root)).trim()
+    : null;
+
+  const readAt = (ref, filePath) =>
+    ref
+      ? git(["show", `${ref}:${filePath}`], root).catch(() => null)
+      : fs.promises
+          .readFile(path.join(root, filePath), "utf-8")
+          .catch(() => null);
+
+  // Config and baseline come from the base side, like on GitHub
+  const { config, errors } = parseConfig(
+    values.config
+      ? fs.readFileSync(values.config, "utf-8")
+      : (await readAt(base, CONFIG_PATH)) || ""
+  );
+  errors.forEach((error) => console.log(`⚠️ ${error}`));
+  if (values["no-ai"]) config.analyzers.ai.enabled = false;
+
+  const diffText = values.diff
+    ? values.diff === "-"
+      ? fs.readFileSync(0, "utf-8")
+      : fs.readFileSync(values.diff, "utf-8")
+    : await git(
+        ["diff", "--no-color", "--no-ext-diff", "-M", base, head],
+        root
+      );
+
+  const changedFiles = parseDiff(diffText).filter(
+    (file) => !isIgnored(file.path, config)
+  );
+  const maxFileBytes =
+    config.limits.maxFileBytes ?? DEFAULT_LIMITS.maxFileBytes;
+  const files = await Promise.all(
+    changedFiles.map(async (file) => {
+      const content = await readAt(head, file.path);
+      const tooLarge =
+        content !== null &&
+        Buffer.byteLength(content) > maxFileBytes &&
+        !isDependencyFile(file.path);
+      return { ...file, content: tooLarge ? null : content };
+    })
+  );
+
+  const baselineRaw = await readAt(base, config.baseline.path);
+  const staticOptions = { ...config.analyzers.static };
+  if (staticOptions.eslintConfig === "repo") {
+    const names = base
+      ? (await git(["ls-tree", "--name-only", base], root)).split("\n")
+      : fs.readdirSync(root);
+    const { config: eslintConfig, notice } = await findEslintConfig(
+      names,
+      (p) => readAt(base, p)
+    );
+    staticOptions.repoEslintConfig = eslintConfig;
+    if (notice) console.log(`⚠️ ${notice}`);
+  }
+
+  const result = await analyzeChanges(changedFiles, files, config, {
+    staticOptions,
+    baseline: baselineRaw ? parseBaseline(baselineRaw) : new Map(),
+    readFile: (filePath, side) =>
+      side === "base" ? base && readAt(base, filePath) : readAt(head, filePath),
+  });
+
+  const policy = { ...config.check };
+  if (values["fail-on"]) {
+    policy.failOnCritical = values["fail-on"] !== "none";
+    policy.failOnHigh = values["fail-on"] === "high";
+  }
+  if (minScore !== undefined) policy.minScore = minScore;
+  const { conclusion, reasons } = decideConclusion(
+    result.score,
+    result.counts,
+    policy
+  );
+
+  const report = FORMATTERS[values.format]({
+    ...result,
+    files,
+    conclusion,
+    reasons,
+  });
+  if (values.output) fs.writeFileSync(values.output, report);
+  else process.stdout.write(report);
+
+  return conclusion === "failure" ? 1 : 0;
+}
+
+function parseOptions(argv) {
+  try {
+    return parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        base: { type: "string" },
+        head: { type: "string" },
+        diff: { type: "string" },
+        format: { type: "string", default: "text" },
+        output: { type: "string" },
+        config: { type: "string" },
+        "fail-on": { type: "string" },
+        "min-score": { type: "string" },
+        "no-ai": { type: "boolean", default: false },
+        quiet: { type: "boolean", default: false },
+        help: { type: "boolean", short: "h", default: false },
+      },
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
+
+async function git(args, cwd) {
+  const { stdout } = await execFileAsync("git", args, {
+    cwd,
+    maxBuffer: MAX_GIT_OUTPUT_BYTES,
+    encoding: "utf-8",
+  });
+  return stdout;
+}
+
+class UsageError extends Error {}
+
+const SEVERITY_ORDER = ["critical", "high", "medium", "low"];
+const SEVERITY_ICONS = { critical: "🔴", high: "🟠", medium: "🟡", low: "⚪" };
+
+function sortIssues(issues) {
+  return [...issues].sort(
+    (a, b) =>
+      SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity) ||
+      a.path.localeCompare(b.path) ||
+      a.line - b.line
+  );
+}
+
+// "model v2: security −25, style −1.5", the terms that moved the score
+function formatScoreTerms(result) {
+  const { categories, adjustments } = result.scoreBreakdown;
+  const terms = [
+    ...Object.entries(categories).map(
+      ([category, c]) => `${category} −${Math.round(c.points * 10) / 10}`
+    ),
+    ...adjustments.map(
+      (a) => `${a.reason} ${a.points > 0 ? "+" : "−"}${Math.abs(a.points)}`
+    ),
+  ];
+  return `model v${result.scoreVersion}${
+    terms.length > 0 ? `: ${terms.join(", ")}` : ""
+  }`;
+}
+
+function formatCounts(counts) {
+  return SEVERITY_ORDER.map((s) => `${counts[s]} ${s}`).join(", ");
+}
+
+function formatVerdict({ conclusion, reasons }) {
+  return conclusion === "failure"
+    ? `❌ Failing because of ${reasons.join(", ")}.`
+    : "✅ All ReviewBot checks passed.";
+}
+
+const FORMATTERS = {
+  text(result) {
+    const lines = [];
+    const byPath = new Map();
+    for (const issue of sortIssues(result.issues)) {
+      if (!byPath.has(issue.path)) byPath.set(issue.path, []);
+      byPath.get(issue.path).push(issue);
+    }
+
+    for (const [filePath, issues] of byPath) {
+      lines.push(filePath);
+      for (const issue of issues) {
+        lines.push(
+          `  ${String(issue.line).padStart(4)}  ${
+            SEVERITY_ICONS[issue.severity]
+          } ${issue.severity.padEnd(8)} ${issue.title}  (${issue.rule})`
+        );
+        if (issue.suggestion) {
+          issue.suggestion
+            .split("\n")
+            .forEach((line) => lines.push(`          💡 ${line}`));
+        }
+      }
+      lines.push("");
+    }
+
+    if (result.issues.length === 0) lines.push("✅ No issues found!", "");
+    lines.push(
+      `Score ${result.score}/100 · ${formatCounts(result.counts)}`,
+      `  ${formatScoreTerms(result)}`,
+      `${result.existingIssues.length} pre-existing, ${result.suppressed.length} suppressed`,
+      formatVerdict(result),
+      ""
+    );
+    return lines.join("\n");
+  },
+
+  json(result) {
+    return (
+      JSON.stringify(
+        {
+          score: result.score,
+          scoreVersion: result.scoreVersion,
+          scoreBreakdown: result.scoreBreakdown,
+          counts: result.counts,
+          conclusion: result.conclusion,
+          reasons: result.reasons,
+          issues: sortIssues(result.issues),
+          existingIssues: result.existingIssues,
+          suppressed: result.suppressed,
+          dependencyChanges: result.dependencyReview.changes,
+          skippedLinters: result.staticReview.skipped,
+        },
+        null,
+        2
+      ) + "\n"
+    );
+  },
+
+  sarif(result) {
+    return (
+      JSON.stringify(buildSarif(result.issues, result.fetchedFiles), null, 2) +
+      "\n"
+    );
+  },
+
+  markdown(result) {
+    const rows = sortIssues(result.issues).map(
+      (i) =>
+        `| ${SEVERITY_ICONS[i.severity]} ${i.severity} | \`${i.path}:${
+          i.line
+        }\` | \`${i.rule}\` | ${i.title.replace(/\|/g, "\\|")} |`
+    );
+
+    return `## 🤖 ReviewBot Report
+
+**Overall Score:** ${result.score}/100 (${formatScoreTerms(result)})
+**Issues:** ${formatCounts(result.counts)}
+
+${formatVerdict(result)}
+
+${
+  rows.length > 0
+    ? `| Severity | Location | Rule | Finding |
+| --- | --- | --- | --- |
+${rows.join("\n")}`
+    : "✅ No issues found! Great work! 🎉"
+}
+
+<sub>${
+      result.existingIssues.length
+    } pre-existing issue(s) on unchanged lines, ${
+      result.suppressed.length
+    } suppressed</sub>
+`;
+  },
+};
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(
+    (code) => {
+      process.exitCode = code;
+    },
+    (error) => {
+      process.stderr.write(
+        error instanceof UsageError
+          ? `${error.message}\n\n${USAGE}`
+          : `reviewbot: ${error.message}\n`
+      );
+      process.exitCode = 2;
+    }
+  );
+}
+
+module.exports = { main };
@@ -0,0 +1,299 @@
+const { getInstallationOctokit } = require("./webhookHandler");
+const { loadRepoConfig } = require("./utils/config");
+const {
+  ignoreMarker,
+  readFindingMarker,
+  loadPreviousReview,
+} = require("./utils/reviewState");
+const { createProvider } = require("./ai/provider");
+const { buildExplainPrompt } = require("./ai/prompt");
+const { withRetry } = require("./ai/retry");
+const { redactSecrets } = require("./analyzers/secretScanner");
+
+// Handles `/reviewbot <command>` in PR conversation comments (issue_comment)
+// and inline review threads (pull_request_review_comment).
+
+const COMMAND_PATTERN = /^\/reviewbot(?:\s+(\S+))?(?:[ \t]+(.*))?$/m;
+const WRITE_PERMISSIONS = ["admin", "maintain", "write"];
+const RULE_PATTERN = /^[\w@./:-]+$/;
+const EXPLAIN_CONTEXT_LINES = 6;
+
+const HELP = `**ReviewBot commands**
+- \`/reviewbot review\` - re-run the review on the latest commit
+- \`/reviewbot full\` - re-run the review with AI review of every file, beyond the usual limit
+- \`/reviewbot ignore <rule>\` - stop reporting \`<rule>\` on this PR
+- \`/reviewbot explain [path:line]\` - explain a flagged line (reply in a finding's thread to skip \`path:line\`)`;
+
+function parseCommand(body) {
+  const match = COMMAND_PATTERN.exec(body || "");
+  if (!match) return null;
+  return {
+    name: (match[1] || "help").toLowerCase(),
+    args: (match[2] || "").trim(),
+  };
+}
+
+async function handleCommentEvent(event, payload, { enqueueReview }) {
+  const { comment, repository } = payload;
+  const command = parseCommand(comment.body);
+  if (!command) return;
+
+  // issue_comment also fires for plain issues; only PRs are reviewed
+  if (event === "issue_comment" && !payload.issue.pull_request) return;
+
+  const ctx = {
+    event,
+    payload,
+    comment,
+    owner: repository.owner.login,
+    repo: repository.name,
+    prNumber:
+      event === "issue_comment"
+        ? payload.issue.number
+        : payload.pull_request.number,
+    octokit: await getInstallationOctokit(payload.installation.id),
+  };
+
+  console.log(
+    `💬 /reviewbot ${command.name} from @${comment.user.login} on PR #${ctx.prNumber}`
+  );
+
+  // Checked before anything else, so people without write access cannot
+  // make ReviewBot post on the PR
+  if (!(await hasWriteAccess(ctx, comment.user.login))) {
+    console.log(`⏭️ @${comment.user.login} has no write access; ignored`);
+    await react(ctx, "-1");
+    return;
+  }
+
+  const handler = COMMANDS[command.name];
+  if (!handler) {
+    await react(ctx, "confused");
+    await reply(ctx, `Unknown command \`${command.name}\`.\n\n${HELP}`);
+    return;
+  }
+
+  try {
+    const message = await handler(ctx, command.args, { enqueueReview });
+    await react(ctx, "+1");
+    await reply(ctx, message);
+  } catch (error) {
+    console.error(`❌ /reviewbot ${command.name} failed:`, error);
+    await react(ctx, "confused");
+    await reply(
+      ctx,
+      `Sorry, \`/reviewbot ${command.name}\` failed: ${error.message}`
+    );
+  }
+}
+
+const COMMANDS = {
+  help: async () => HELP,
+
+  review: async (ctx, args, { enqueueReview }) => {
+    await queueReview(ctx, enqueueReview, { full: false });
+    return "🔄 Re-running the review on the latest commit.";
+  },
+
+  full: async (ctx, args, { enqueueReview }) => {
+    await queueReview(ctx, enqueueReview, { full: true });
+    return "🔄 Running a full review, including AI review of every changed file.";
+  },
+
+  ignore: async (ctx, rule, { enqueueReview }) => {
+    if (!rule || !RULE_PATTERN.test(rule)) {
+      throw new Error("usage: `/reviewbot ignore <rule>`, e.g. `weak-random`");
+    }
+
+    // Passed along directly as well, since the reply carrying the marker
+    // may not exist yet when the queued review starts
+    await queueReview(ctx, enqueueReview, {
+      full: false,
+      ignoredRules: [rule],
+    });
+    return `🙈 \`${rule}\` will no longer be reported on this PR. Refreshing the review now.\n\n${ignoreMarker(
+      rule
+    )}`;
+  },
+
+  explain: async (ctx, args) => {
+    const finding = await resolveExplainTarget(ctx, args);
+    const { data: pr } = await ctx.octokit.pulls.get({
+      owner: ctx.owner,
+      repo: ctx.repo,
+      pull_number: ctx.prNumber,
+    });
+    const { data } = await ctx.octokit.repos.getContent({
+      owner: ctx.owner,
+      repo: ctx.repo,
+      path: finding.path,
+      ref: pr.head.sha,
+    });
+    const lines = Buffer.from(data.content, "base64")
+      .toString("utf-8")
+      .split("\n");
+
+    if (finding.line < 1 || finding.line > lines.length) {
+      throw new Error(`${finding.path} has no line ${finding.line}`);
+    }
+
+    const from = Math.max(1, finding.line - EXPLAIN_CONTEXT_LINES);
+    const to = Math.min(lines.length, finding.line + EXPLAIN_CONTEXT_LINES);
+    const snippet = lines
+      .slice(from - 1, to)
+      .map((text, i) => `${from + i === finding.line ? ">>" : "  "} ${text}`)
+      .join("\n");
+
+    const { config } = await loadRepoConfig(
+      ctx.octokit,
+      ctx.owner,
+      ctx.repo,
+      pr.base.ref
+    );
+    const provider = createProvider(config.analyzers.ai);
+    const { content } = await withRetry(() =>
+      provider.complete(buildExplainPrompt(finding, snippet), {
+        path: finding.path,
+        format: "text",
+      })
+    );
+
+    if (!content) throw new Error("the AI provider returned no explanation");
+    return `### 🧠 ${
+      finding.title || `${finding.path}:${finding.line}`
+    }\n\n${redactSecrets(content)}`;
+  },
+};
+
+// Works out which finding `/reviewbot explain` refers to: the thread it was
+// posted in, or an explicit `path:line` argument.
+async function resolveExplainTarget(ctx, args) {
+  const { octokit, owner, repo, comment } = ctx;
+
+  if (!args && ctx.event === "pull_request_review_comment") {
+    const parentId = comment.in_reply_to_id || comment.id;
+    const { data: parent } = await octokit.pulls.getReviewComment({
+      owner,
+      repo,
+      comment_id: parentId,
+    });
+    const finding = readFindingMarker(parent.body);
+
+    return finding
+      ? { ...finding, ...describeFinding(parent.body) }
+      : { path: parent.path, line: parent.line || parent.original_line };
+  }
+
+  const match = /^(.+):(\d+)$/.exec(args);
+  if (!match) {
+    throw new Error("usage: `/reviewbot explain path/to/file.js:42`");
+  }
+  const target = { path: match[1], line: parseInt(match[2], 10) };
+
+  // Reuse the finding's title and description when ReviewBot flagged it
+  const previous = await loadPreviousReview(octokit, owner, repo, ctx.prNumber);
+  for (const posted of previous.postedFindings.values()) {
+    const finding = readFindingMarker(posted.body);
+    if (finding.path === target.path && finding.line === target.line) {
+      return { ...finding, ...describeFinding(posted.body) };
+    }
+  }
+
+  return target;
+}
+
+// Recovers the title and description from a formatted inline comment.
+function describeFinding(body) {
+  const [heading = "", description = ""] = body.split("\n\n");
+  return {
+    title: heading.replace(/^.*?:\*\*\s*/, "").trim(),
+    description: description.trim(),
+  };
+}
+
+async function queueReview(ctx, enqueueReview, options) {
+  const { data: pullRequest } = await ctx.octokit.pulls.get({
+    owner: ctx.owner,
+    repo: ctx.repo,
+    pull_number: ctx.prNumber,
+  });
+
+  if (pullRequest.state !== "open") {
+    throw new Error("this pull request is not open");
+  }
+
+  await enqueueReview({
+    action: "reviewbot_command",
+    repository: ctx.payload.repository,
+    installation: ctx.payload.installation,
+    pull_request: pullRequest,
+    reviewbot: options,
+  });
+}
+
+async function hasWriteAccess(ctx, username) {
+  try {
+    const { data } = await ctx.octokit.repos.getCollaboratorPermissionLevel({
+      owner: ctx.owner,
+      repo: ctx.repo,
+      username,
+    });
+    return WRITE_PERMISSIONS.includes(data.permission);
+  } catch (error) {
+    console.log(
+      `⚠️ Could not check permission for ${username}: ${error.message}`
+    );
+    return false;
+  }
+}
+
+async function react(ctx, content) {
+  const { octokit, owner, repo, comment } = ctx;
+
+  try {
+    if (ctx.event === "pull_request_review_comment") {
+      await octokit.reactions.createForPullRequestReviewComment({
+        owner,
+        repo,
+        comment_id: comment.id,
+        content,
+      });
+    } else {
+      await octokit.reactions.createForIssueComment({
+        owner,
+        repo,
+        comment_id: comment.id,
+        content,
+      });
+    }
+  } catch (error) {
+    console.log(`⚠️ Could not add reaction: ${error.message}`);
+  }
+}
+
+async function reply(ctx, body) {
+  const { octokit, owner, repo, comment, prNumber } = ctx;
+
+  try {
+    if (ctx.event === "pull_request_review_comment") {
+      await octokit.pulls.createReplyForReviewComment({
+        owner,
+        repo,
+        pull_number: prNumber,
+        comment_id: comment.in_reply_to_id || comment.id,
+        body,
+      });
+    } else {
+      await octokit.issues.createComment({
+        owner,
+        repo,
+        issue_number: prNumber,
+        body: `> ${comment.body.split("\n")[0]}\n\n${body}`,
+      });
+    }
+  } catch (error) {
+    console.error("Failed to reply to command:", error.message);
+  }
+}
+
+module.exports = { handleCommentEvent, parseCommand };
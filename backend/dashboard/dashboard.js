@@ -0,0 +1,125 @@
+const express = require("express");
+const crypto = require("crypto");
+const yaml = require("js-yaml");
+const { getInstallationOctokit } = require("../webhookHandler");
+const { loadRepoConfig } = require("../utils/config");
+const views = require("./views");
+
+// Admin web UI at /dashboard: recent reviews with their findings, the review
+// queue and each repository's settings. Guarded by HTTP Basic auth with
+// DASHBOARD_USERNAME (default "admin") and DASHBOARD_PASSWORD; without a
+// password the dashboard is turned off.
+
+const RECENT_REVIEWS = 50;
+
+function createDashboard({ historyStore, reviewQueue }) {
+  const router = express.Router();
+  const username = process.env.DASHBOARD_USERNAME || "admin";
+  const password = process.env.DASHBOARD_PASSWORD;
+
+  router.use((req, res, next) => {
+    if (!password) return res.status(404).send("Dashboard is disabled");
+
+    if (!checkBasicAuth(req.headers.authorization, username, password)) {
+      res.set("WWW-Authenticate", 'Basic realm="ReviewBot", charset="UTF-8"');
+      return res.status(401).send("Authentication required");
+    }
+    res.set("Cache-Control", "no-store");
+    res.set(
+      "Content-Security-Policy",
+      "default-src 'none'; style-src 'unsafe-inline'"
+    );
+    next();
+  });
+
+  router.get("/", (req, res) => {
+    const repo = typeof req.query.repo === "string" ? req.query.repo : null;
+    res.send(
+      views.overviewPage({
+        repo,
+        runs: historyStore.recentRuns({ repo, limit: RECENT_REVIEWS }),
+        queueStatus: reviewQueue.status(),
+      })
+    );
+  });
+
+  router.get("/reviews/:id", (req, res) => {
+    const run = historyStore.getRun(req.params.id);
+    if (!run) {
+      return res.status(404).send(views.notFoundPage("No such review."));
+    }
+    res.send(views.reviewPage(run));
+  });
+
+  router.get("/queue", (req, res) => {
+    res.send(views.queuePage(reviewQueue.status()));
+  });
+
+  router.get("/repos", (req, res) => {
+    res.send(views.repositoriesPage(historyStore.repositories()));
+  });
+
+  router.get("/repos/:owner/:repo", async (req, res, next) => {
+    const repo = `${req.params.owner}/${req.params.repo}`.toLowerCase();
+    const runs = historyStore.recentRuns({ repo, limit: RECENT_REVIEWS });
+    if (runs.length === 0) {
+      return res
+        .status(404)
+        .send(views.notFoundPage(`${repo} has not been reviewed yet.`));
+    }
+
+    try {
+      res.send(
+        views.repositoryPage({
+          repo,
+          runs,
+          trend: historyStore.scoreTrend(repo, { interval: "week" }),
+          settings: await loadSettings(
+            req.params.owner,
+            req.params.repo,
+            runs[0]
+          ),
+        })
+      );
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+// The .reviewbot.yml settings in effect on the branch the latest review of
+// the repository targeted, read with that review's installation
+async function loadSettings(owner, repo, latestRun) {
+  const ref = latestRun.baseRef;
+  try {
+    const octokit = await getInstallationOctokit(latestRun.installationId);
+    const { config, errors, source } = await loadRepoConfig(
+      octokit,
+      owner,
+      repo,
+      ref
+    );
+    return { ref, source, errors, yaml: yaml.dump(config) };
+  } catch (error) {
+    console.log(
+      `⚠️ Could not load settings of ${owner}/${repo}: ${error.message}`
+    );
+    return { ref, error: error.message };
+  }
+}
+
+// Compares digests so the check takes the same time whatever the input
+function checkBasicAuth(header, username, password) {
+  const match = /^Basic (.+)$/i.exec(header || "");
+  if (!match) return false;
+
+  const digest = (value) => crypto.createHash("sha256").update(value).digest();
+  return crypto.timingSafeEqual(
+    digest(Buffer.from(match[1], "base64").toString("utf-8")),
+    digest(`${username}:${password}`)
+  );
+}
+
+module.exports = { createDashboard };
@@ -0,0 +1,384 @@
+// HTML for the admin dashboard. Pages are plain server-rendered HTML with no
+// scripts; every value from GitHub or the review history goes through
+// `escapeHtml`.
+
+const { getRiskLevel, getScoreEmoji } = require("../webhookHandler");
+const { SCORING_MODEL_VERSION } = require("../utils/scoring");
+
+const SEVERITY_ICONS = { critical: "🔴", high: "🟠", medium: "🟡", low: "⚪" };
+const SEVERITY_ORDER = ["critical", "high", "medium", "low"];
+const ANALYZER_LABELS = {
+  static: "🧹 Static analysis",
+  security: "🔒 Security",
+  secrets: "🔑 Secrets",
+  dependencies: "📦 Dependencies",
+  complexity: "🧠 Complexity",
+  ai: "🤖 AI review",
+  unknown: "❔ Other",
+};
+
+const STYLES = `
+body { font: 14px/1.5 -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; margin: 0; color: #1f2328; background: #f6f8fa; }
+header { background: #24292f; color: #fff; padding: 12px 24px; display: flex; gap: 24px; align-items: center; }
+header a { color: #fff; text-decoration: none; }
+header strong { margin-right: 16px; }
+main { max-width: 1100px; margin: 24px auto; padding: 0 24px; }
+h1 { font-size: 22px; } h2 { font-size: 17px; margin-top: 32px; } h3 { font-size: 15px; }
+table { width: 100%; border-collapse: collapse; background: #fff; border: 1px solid #d0d7de; }
+th, td { text-align: left; padding: 6px 10px; border-bottom: 1px solid #d0d7de; vertical-align: top; }
+th { background: #f6f8fa; font-weight: 600; }
+code, pre { font: 12px ui-monospace, SFMono-Regular, Menlo, monospace; }
+pre { background: #fff; border: 1px solid #d0d7de; padding: 12px; overflow: auto; }
+.cards { display: flex; gap: 16px; flex-wrap: wrap; }
+.card { background: #fff; border: 1px solid #d0d7de; border-radius: 6px; padding: 12px 16px; min-width: 120px; }
+.card b { display: block; font-size: 22px; }
+.muted { color: #656d76; }
+.error { color: #cf222e; }
+`;
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function layout(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)} · ReviewBot</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header>
+  <strong>🤖 ReviewBot</strong>
+  <a href="/dashboard">Reviews</a>
+  <a href="/dashboard/queue">Queue</a>
+  <a href="/dashboard/repos">Repositories</a>
+</header>
+<main>
+<h1>${escapeHtml(title)}</h1>
+${body}
+</main>
+</body>
+</html>`;
+}
+
+function formatTime(timestamp) {
+  return timestamp
+    ? escapeHtml(timestamp.replace("T", " ").replace(/\.\d+Z$/, " UTC"))
+    : "—";
+}
+
+function formatDuration(ms) {
+  if (ms === undefined || ms === null) return "—";
+  return ms >= 60000
+    ? `${(ms / 60000).toFixed(1)} min`
+    : `${(ms / 1000).toFixed(1)} s`;
+}
+
+function formatCounts(counts = {}) {
+  return (
+    SEVERITY_ORDER.filter((s) => counts[s] > 0)
+      .map((s) => `${SEVERITY_ICONS[s]} ${counts[s]}`)
+      .join(" ") || "✅ none"
+  );
+}
+
+function pullRequestLink(run) {
+  return `<a href="https://github.com/${escapeHtml(run.repo)}/pull/${
+    run.pr
+  }">${escapeHtml(run.repo)}#${run.pr}</a>`;
+}
+
+function reviewsTable(runs) {
+  if (runs.length === 0) {
+    return `<p class="muted">No reviews recorded yet.</p>`;
+  }
+
+  const rows = runs.map(
+    (run) => `<tr>
+  <td>${formatTime(run.finishedAt)}</td>
+  <td>${pullRequestLink(run)}</td>
+  <td><code>${escapeHtml((run.headSha || "").substring(0, 7))}</code></td>
+  <td>${run.score}/100 ${getScoreEmoji(run.score)}</td>
+  <td>${getRiskLevel(run.counts)}</td>
+  <td>${formatCounts(run.counts)}</td>
+  <td>${formatDuration(run.durationMs)}</td>
+  <td><a href="/dashboard/reviews/${escapeHtml(run.id)}">Findings</a></td>
+</tr>`
+  );
+
+  return `<table>
+<tr><th>Finished</th><th>Pull request</th><th>Head</th><th>Score</th><th>Risk</th><th>Issues</th><th>Duration</th><th></th></tr>
+${rows.join("\n")}
+</table>`;
+}
+
+function queueCards(status) {
+  const failed = status.jobs.recent.filter((job) => job.status === "failed");
+  return `<div class="cards">
+  <div class="card"><b>${status.running}</b>running</div>
+  <div class="card"><b>${status.pending}</b>pending</div>
+  <div class="card"><b>${status.retrying}</b>retrying</div>
+  <div class="card"><b class="${failed.length > 0 ? "error" : ""}">${
+    failed.length
+  }</b>recently failed</div>
+  <div class="card"><b>${status.concurrency}</b>concurrency${
+    status.persistent ? " · 💾" : ""
+  }</div>
+</div>`;
+}
+
+function overviewPage({ runs, queueStatus, repo }) {
+  return layout(
+    repo ? `Reviews of ${repo}` : "Recent reviews",
+    `${queueCards(queueStatus)}
+<h2>Reviews</h2>
+${reviewsTable(runs)}`
+  );
+}
+
+function reviewPage(run) {
+  const byAnalyzer = new Map();
+  for (const finding of run.findings) {
+    const analyzer = finding.analyzer || "unknown";
+    if (!byAnalyzer.has(analyzer)) byAnalyzer.set(analyzer, new Map());
+    const byFile = byAnalyzer.get(analyzer);
+    if (!byFile.has(finding.path)) byFile.set(finding.path, []);
+    byFile.get(finding.path).push(finding);
+  }
+
+  const sections = [...byAnalyzer].map(([analyzer, byFile]) => {
+    const files = [...byFile].map(([filePath, findings]) => {
+      const rows = findings
+        .sort(
+          (a, b) =>
+            SEVERITY_ORDER.indexOf(a.severity) -
+              SEVERITY_ORDER.indexOf(b.severity) || a.line - b.line
+        )
+        .map(
+          (f) => `<tr>
+  <td><a href="https://github.com/${escapeHtml(run.repo)}/blob/${escapeHtml(
+            run.headSha
+          )}/${escapeHtml(filePath)}#L${f.line}">${f.line}</a></td>
+  <td>${SEVERITY_ICONS[f.severity] || ""} ${escapeHtml(f.severity)}</td>
+  <td><code>${escapeHtml(f.rule)}</code></td>
+  <td>${escapeHtml(f.title || "")}</td>
+</tr>`
+        );
+      return `<h3><code>${escapeHtml(filePath)}</code></h3>
+<table>
+<tr><th>Line</th><th>Severity</th><th>Rule</th><th>Finding</th></tr>
+${rows.join("\n")}
+</table>`;
+    });
+
+    return `<h2>${escapeHtml(ANALYZER_LABELS[analyzer] || analyzer)} (${
+      run.analyzers[analyzer]?.findings ?? byFile.size
+    })</h2>
+${files.join("\n")}`;
+  });
+
+  return layout(
+    `Review of ${run.repo}#${run.pr}`,
+    `<p>${pullRequestLink(run)} at <code>${escapeHtml(
+      run.headSha
+    )}</code> into <code>${escapeHtml(
+      run.baseRef
+    )}</code> · finished ${formatTime(run.finishedAt)} in ${formatDuration(
+      run.durationMs
+    )}</p>
+<div class="cards">
+  <div class="card"><b>${run.score}/100 ${getScoreEmoji(
+      run.score
+    )}</b>score (model v${run.scoreVersion})</div>
+  <div class="card"><b>${getRiskLevel(run.counts)}</b>risk</div>
+  <div class="card"><b>${run.findings.length}</b>findings</div>
+</div>
+${formatTimings(run)}
+${
+  sections.length > 0
+    ? sections.join("\n")
+    : `<p>✅ No issues found in this review.</p>`
+}
+<p><a href="/dashboard/repos/${escapeHtml(
+      run.repo
+    )}">Settings and history of ${escapeHtml(run.repo)}</a></p>`
+  );
+}
+
+// Time per review stage and per analyzer; runs recorded before timings were
+// kept have neither
+function formatTimings(run) {
+  const rows = (timings = {}) =>
+    Object.entries(timings)
+      .map(
+        ([name, ms]) =>
+          `<tr><td>${escapeHtml(name)}</td><td>${formatDuration(ms)}</td></tr>`
+      )
+      .join("\n");
+  if (Object.keys(run.stages || {}).length === 0) return "";
+
+  const failures = (run.publishFailures || []).map(
+    (failure) =>
+      `<li>${escapeHtml(failure.step)}: ${failure.count} request(s) failed</li>`
+  );
+
+  return `<h2>⏱️ Timing</h2>
+<table>
+<tr><th>Stage</th><th>Duration</th></tr>
+${rows(run.stages)}
+</table>
+${
+  Object.keys(run.analyzerDurations || {}).length > 0
+    ? `<h3>Analyzers (in parallel during analysis)</h3>
+<table>
+<tr><th>Analyzer</th><th>Duration</th></tr>
+${rows(run.analyzerDurations)}
+</table>`
+    : ""
+}
+${
+  failures.length > 0
+    ? `<p class="error">Some results could not be posted to GitHub:</p><ul class="error">${failures.join(
+        ""
+      )}</ul>`
+    : ""
+}`;
+}
+
+function queuePage(status) {
+  const jobRows = (jobs) =>
+    jobs.length === 0
+      ? `<p class="muted">None.</p>`
+      : `<table>
+<tr><th>Pull request</th><th>Head</th><th>Status</th><th>Attempts</th><th>Queued</th><th>Finished</th><th>Error</th></tr>
+${jobs
+  .map(
+    (job) => `<tr>
+  <td>${escapeHtml(job.key)}</td>
+  <td><code>${escapeHtml((job.headSha || "").substring(0, 7))}</code></td>
+  <td>${escapeHtml(job.status)}</td>
+  <td>${job.attempts}</td>
+  <td>${formatTime(job.enqueuedAt)}</td>
+  <td>${formatTime(job.finishedAt)}</td>
+  <td class="error">${escapeHtml(job.error || "")}</td>
+</tr>`
+  )
+  .join("\n")}
+</table>`;
+
+  return layout(
+    "Review queue",
+    `${queueCards(status)}
+<h2>Running</h2>
+${jobRows(status.jobs.running)}
+<h2>Pending</h2>
+${jobRows(status.jobs.pending)}
+<h2>Recently finished</h2>
+${jobRows(status.jobs.recent)}`
+  );
+}
+
+function repositoriesPage(repositories) {
+  if (repositories.length === 0) {
+    return layout(
+      "Repositories",
+      `<p class="muted">No repository has been reviewed yet.</p>`
+    );
+  }
+
+  return layout(
+    "Repositories",
+    `<table>
+<tr><th>Repository</th><th>Last review</th><th>Last score</th></tr>
+${repositories
+  .map(
+    ({ repo, lastRun }) => `<tr>
+  <td><a href="/dashboard/repos/${escapeHtml(repo)}">${escapeHtml(
+      repo
+    )}</a></td>
+  <td>${formatTime(lastRun.finishedAt)} (${pullRequestLink(lastRun)})</td>
+  <td>${lastRun.score}/100 ${getScoreEmoji(lastRun.score)}</td>
+</tr>`
+  )
+  .join("\n")}
+</table>`
+  );
+}
+
+function repositoryPage({ repo, settings, trend, runs }) {
+  const trendRows = trend.map(
+    (period) => `<tr>
+  <td>${escapeHtml(period.period)}</td>
+  <td>${period.pullRequests}</td>
+  <td>${period.averageScore}</td>
+  <td>${period.minScore}–${period.maxScore}</td>
+  <td>${formatCounts(period.counts)}</td>
+</tr>`
+  );
+
+  return layout(
+    repo,
+    `<h2>⚙️ Settings</h2>
+${formatSettings(settings)}
+<h2>📈 Weekly trend</h2>
+<p class="muted">Reviews scored by scoring model v${SCORING_MODEL_VERSION}</p>
+${
+  trendRows.length > 0
+    ? `<table>
+<tr><th>Week of</th><th>PRs</th><th>Average score</th><th>Range</th><th>Issues</th></tr>
+${trendRows.join("\n")}
+</table>`
+    : `<p class="muted">No reviews scored by this model yet.</p>`
+}
+<h2>Recent reviews</h2>
+${reviewsTable(runs)}`
+  );
+}
+
+function formatSettings(settings) {
+  if (settings.error) {
+    return `<p class="error">Could not load the settings: ${escapeHtml(
+      settings.error
+    )}</p>`;
+  }
+
+  return `<p>${
+    settings.source
+      ? `From <code>${escapeHtml(settings.source)}</code> on <code>${escapeHtml(
+          settings.ref
+        )}</code>`
+      : `No <code>.reviewbot.yml</code> on <code>${escapeHtml(
+          settings.ref
+        )}</code>; the defaults apply`
+  }. Effective settings:</p>
+${
+  settings.errors.length > 0
+    ? `<ul class="error">${settings.errors
+        .map((e) => `<li>${escapeHtml(e)}</li>`)
+        .join("")}</ul>`
+    : ""
+}
+<pre>${escapeHtml(settings.yaml)}</pre>`;
+}
+
+function notFoundPage(message) {
+  return layout("Not found", `<p>${escapeHtml(message)}</p>`);
+}
+
+module.exports = {
+  escapeHtml,
+  overviewPage,
+  reviewPage,
+  queuePage,
+  repositoriesPage,
+  repositoryPage,
+  notFoundPage,
+};
@@ -0,0 +1,281 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { SCORING_MODEL_VERSION } = require("../utils/scoring");
+
+// Records every completed review (score, per-analyzer findings, timings) and
+// answers the trend queries behind the history API. Runs are kept in memory,
+// newest last; with `persistPath` set each run is also appended to a JSON
+// Lines file that is read back on start. Only the newest `maxRuns` runs are
+// kept, and the file is compacted once it holds twice that many.
+
+const DEFAULT_OPTIONS = {
+  persistPath: null,
+  maxRuns: 20000,
+};
+
+const SEVERITIES = ["critical", "high", "medium", "low"];
+const INTERVALS = { day: 10, week: 10, month: 7 }; // ISO date prefix lengths
+
+function createHistoryStore(options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const runs = [];
+  let fileRuns = 0; // lines in the persist file, compacted beyond 2x maxRuns
+
+  function record(run) {
+    const entry = {
+      id: crypto.randomUUID(),
+      repo: run.repo.toLowerCase(),
+      pr: run.pr,
+      installationId: run.installationId,
+      headSha: run.headSha,
+      baseRef: run.baseRef,
+      startedAt: run.startedAt,
+      finishedAt: run.finishedAt || new Date().toISOString(),
+      durationMs: run.durationMs,
+      stages: run.stages || {},
+      analyzerDurations: run.analyzerDurations || {},
+      publishFailures: run.publishFailures || [],
+      score: run.score,
+      scoreVersion: run.scoreVersion ?? SCORING_MODEL_VERSION,
+      counts: run.counts,
+      analyzers: countByAnalyzer(run.issues),
+      findings: run.issues.map((issue) => ({
+        analyzer: issue.analyzer || "unknown",
+        rule: issue.rule,
+        title: issue.title,
+        severity: issue.severity,
+        category: issue.category,
+        path: issue.path,
+        line: issue.line,
+      })),
+    };
+
+    runs.push(entry);
+    if (runs.length > settings.maxRuns) {
+      runs.splice(0, runs.length - settings.maxRuns);
+    }
+    append(entry);
+    return entry;
+  }
+
+  function append(entry) {
+    if (!settings.persistPath) return;
+
+    try {
+      if (fileRuns >= settings.maxRuns * 2) {
+        compact();
+        return;
+      }
+      fs.mkdirSync(path.dirname(settings.persistPath), { recursive: true });
+      fs.appendFileSync(settings.persistPath, JSON.stringify(entry) + "\n");
+      fileRuns++;
+    } catch (error) {
+      console.error("Failed to persist review history:", error.message);
+    }
+  }
+
+  // Rewrites the file with only the runs still held in memory
+  function compact() {
+    const tmpPath = `${settings.persistPath}.tmp`;
+    fs.writeFileSync(
+      tmpPath,
+      runs.map((entry) => JSON.stringify(entry) + "\n").join("")
+    );
+    fs.renameSync(tmpPath, settings.persistPath);
+    fileRuns = runs.length;
+  }
+
+  // Loads the runs recorded before a restart; unreadable lines are skipped.
+  function restore() {
+    if (!settings.persistPath || !fs.existsSync(settings.persistPath)) return 0;
+
+    let lines;
+    try {
+      lines = fs.readFileSync(settings.persistPath, "utf-8").split("\n");
+    } catch (error) {
+      console.error("Failed to restore review history:", error.message);
+      return 0;
+    }
+
+    const restored = [];
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        // Runs recorded before scores were versioned used model 1
+        restored.push({ scoreVersion: 1, ...JSON.parse(line) });
+      } catch {
+        // A line cut short by a crash mid-write
+      }
+    }
+    fileRuns = restored.length;
+    runs.splice(0, runs.length, ...restored.slice(-settings.maxRuns));
+
+    console.log(`♻️ Restored ${runs.length} review(s) of history`);
+    return runs.length;
+  }
+
+  // The newest runs across all repositories, or of one repository
+  function recentRuns({ repo, limit = 50 } = {}) {
+    return (repo ? repoRuns(repo) : runs).slice(-limit).reverse();
+  }
+
+  function getRun(id) {
+    return runs.find((run) => run.id === id) || null;
+  }
+
+  // Reviewed repositories with their latest run, most recently reviewed first
+  function repositories() {
+    const latest = new Map();
+    runs.forEach((run) => latest.set(run.repo, run));
+    return [...latest.values()].reverse().map((run) => ({
+      repo: run.repo,
+      lastRun: run,
+    }));
+  }
+
+  // Runs of one PR, newest first
+  function pullRequestHistory(repo, pr) {
+    return repoRuns(repo)
+      .filter((run) => run.pr === Number(pr))
+      .reverse();
+  }
+
+  // Score and findings per day, week or month. Each PR counts once per
+  // period, with its last run in that period, so a PR pushed to many times
+  // does not outweigh the others. Only runs scored by `scoreVersion` count,
+  // as scores from different models are not comparable.
+  function scoreTrend(
+    repo,
+    { since, interval = "week", scoreVersion = SCORING_MODEL_VERSION } = {}
+  ) {
+    const periods = new Map();
+    const scoredRuns = repoRuns(repo, since).filter(
+      (run) => run.scoreVersion === scoreVersion
+    );
+
+    for (const run of latestPerPullRequest(scoredRuns, (run) =>
+      periodOf(run.finishedAt, interval)
+    )) {
+      const period = periodOf(run.finishedAt, interval);
+      if (!periods.has(period)) {
+        periods.set(period, { period, runs: [], counts: emptyCounts() });
+      }
+      const bucket = periods.get(period);
+      bucket.runs.push(run);
+      SEVERITIES.forEach((s) => (bucket.counts[s] += run.counts[s] || 0));
+    }
+
+    return [...periods.values()]
+      .sort((a, b) => a.period.localeCompare(b.period))
+      .map(({ period, runs: periodRuns, counts }) => {
+        const scores = periodRuns.map((run) => run.score);
+        return {
+          period,
+          pullRequests: periodRuns.length,
+          averageScore: round(
+            scores.reduce((sum, score) => sum + score, 0) / scores.length
+          ),
+          minScore: Math.min(...scores),
+          maxScore: Math.max(...scores),
+          counts,
+        };
+      });
+  }
+
+  // The rules, or files, with the most findings in the latest run of each PR
+  function topRules(repo, { since, limit = 10 } = {}) {
+    return rank(repo, since, limit, (finding) => finding.rule, "rule");
+  }
+
+  function topFiles(repo, { since, limit = 10 } = {}) {
+    return rank(repo, since, limit, (finding) => finding.path, "path");
+  }
+
+  function rank(repo, since, limit, keyOf, label) {
+    const totals = new Map();
+
+    for (const run of latestPerPullRequest(repoRuns(repo, since))) {
+      for (const finding of run.findings) {
+        const key = keyOf(finding);
+        if (!totals.has(key)) {
+          totals.set(key, {
+            [label]: key,
+            findings: 0,
+            pullRequests: new Set(),
+            counts: emptyCounts(),
+          });
+        }
+        const total = totals.get(key);
+        total.findings++;
+        total.pullRequests.add(run.pr);
+        if (finding.severity in total.counts) total.counts[finding.severity]++;
+      }
+    }
+
+    return [...totals.values()]
+      .sort(
+        (a, b) => b.findings - a.findings || a[label].localeCompare(b[label])
+      )
+      .slice(0, limit)
+      .map((total) => ({ ...total, pullRequests: total.pullRequests.size }));
+  }
+
+  function repoRuns(repo, since) {
+    const key = repo.toLowerCase();
+    return runs.filter(
+      (run) => run.repo === key && (!since || run.finishedAt >= since)
+    );
+  }
+
+  return {
+    record,
+    restore,
+    recentRuns,
+    getRun,
+    repositories,
+    pullRequestHistory,
+    scoreTrend,
+    topRules,
+    topFiles,
+  };
+}
+
+// The last run of each PR, or of each PR per group when `groupOf` is given
+function latestPerPullRequest(runs, groupOf = () => "") {
+  const latest = new Map();
+  runs.forEach((run) => latest.set(`${groupOf(run)}#${run.pr}`, run));
+  return [...latest.values()];
+}
+
+// "2024-05-07" for days, the Monday starting the week for weeks, "2024-05"
+// for months
+function periodOf(timestamp, interval) {
+  if (interval !== "week") {
+    return timestamp.substring(0, INTERVALS[interval]);
+  }
+  const date = new Date(timestamp.substring(0, 10));
+  date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  return date.toISOString().substring(0, 10);
+}
+
+function countByAnalyzer(issues) {
+  const analyzers = {};
+  for (const issue of issues) {
+    const name = issue.analyzer || "unknown";
+    if (!analyzers[name]) analyzers[name] = { findings: 0, ...emptyCounts() };
+    analyzers[name].findings++;
+    if (issue.severity in analyzers[name]) analyzers[name][issue.severity]++;
+  }
+  return analyzers;
+}
+
+function emptyCounts() {
+  return { critical: 0, high: 0, medium: 0, low: 0 };
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+module.exports = { createHistoryStore, INTERVALS };
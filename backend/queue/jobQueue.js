@@ -0,0 +1,214 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// In-process queue for PR reviews. Jobs are keyed by repo and PR so that at
+// most one review of a PR runs at a time, a newer head SHA supersedes older
+// pending or running reviews, and a global cap bounds concurrent reviews.
+// With `persistPath` set, unfinished jobs are written to a JSON file and
+// picked up again after a restart. `onSuperseded(payload)` is called for
+// every job a newer one replaces, whether it was running or still pending.
+
+const DEFAULT_OPTIONS = {
+  concurrency: 2,
+  maxAttempts: 3,
+  baseDelayMs: 5000,
+  maxDelayMs: 5 * 60 * 1000,
+  historySize: 50,
+  persistPath: null,
+  onSuperseded: null,
+};
+
+function createJobQueue(handler, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const pending = []; // jobs waiting to run, in FIFO order
+  const running = new Map(); // key -> { job, controller }
+  const history = []; // most recent finished jobs, newest first
+
+  function enqueue(key, headSha, payload) {
+    const job = {
+      id: crypto.randomUUID(),
+      key,
+      headSha,
+      payload,
+      status: "pending",
+      attempts: 0,
+      enqueuedAt: new Date().toISOString(),
+      nextRunAt: null,
+      error: null,
+    };
+
+    // Only the newest head SHA of a PR is worth reviewing
+    for (let i = pending.length - 1; i >= 0; i--) {
+      if (pending[i].key === key) {
+        finish(pending.splice(i, 1)[0], "superseded");
+      }
+    }
+    const active = running.get(key);
+    if (active && active.job.headSha !== headSha) {
+      console.log(
+        `⏹️ Superseding running review of ${key} (${active.job.headSha})`
+      );
+      active.controller.abort();
+    }
+
+    pending.push(job);
+    console.log(`📥 Queued review of ${key} @ ${headSha.substring(0, 7)}`);
+    persist();
+    drain();
+    return job;
+  }
+
+  function drain() {
+    const now = Date.now();
+
+    for (
+      let i = 0;
+      i < pending.length && running.size < settings.concurrency;
+
+    ) {
+      const job = pending[i];
+      const ready = !job.nextRunAt || Date.parse(job.nextRunAt) <= now;
+
+      if (!ready || running.has(job.key)) {
+        i++;
+        continue;
+      }
+
+      pending.splice(i, 1);
+      run(job);
+    }
+  }
+
+  async function run(job) {
+    const controller = new AbortController();
+    running.set(job.key, { job, controller });
+    job.status = "running";
+    job.attempts++;
+    job.startedAt = new Date().toISOString();
+    persist();
+
+    try {
+      await handler(job.payload, {
+        jobId: job.id,
+        signal: controller.signal,
+        attempt: job.attempts,
+        finalAttempt: job.attempts >= settings.maxAttempts,
+      });
+      finish(job, "completed");
+    } catch (error) {
+      const newer = pending.some((other) => other.key === job.key);
+      if (controller.signal.aborted || newer) {
+        finish(job, "superseded");
+      } else if (job.attempts < settings.maxAttempts) {
+        scheduleRetry(job, error);
+      } else {
+        job.error = error.message;
+        finish(job, "failed");
+      }
+    } finally {
+      running.delete(job.key);
+      persist();
+      drain();
+    }
+  }
+
+  function scheduleRetry(job, error) {
+    const delay = Math.min(
+      settings.maxDelayMs,
+      settings.baseDelayMs * 2 ** (job.attempts - 1)
+    );
+    job.status = "retrying";
+    job.error = error.message;
+    job.nextRunAt = new Date(Date.now() + delay).toISOString();
+    pending.push(job);
+    console.log(
+      `🔁 Review of ${job.key} failed (attempt ${job.attempts}/${settings.maxAttempts}), retrying in ${delay}ms`
+    );
+
+    setTimeout(drain, delay).unref();
+  }
+
+  function finish(job, status) {
+    job.status = status;
+    job.finishedAt = new Date().toISOString();
+    history.unshift(describe(job));
+    history.length = Math.min(history.length, settings.historySize);
+
+    if (status === "superseded" && settings.onSuperseded) {
+      Promise.resolve()
+        .then(() => settings.onSuperseded(job.payload))
+        .catch((error) =>
+          console.error("onSuperseded handler failed:", error.message)
+        );
+    }
+  }
+
+  function describe(job) {
+    const { payload, ...rest } = job;
+    return rest;
+  }
+
+  function persist() {
+    if (!settings.persistPath) return;
+
+    const unfinished = [
+      ...[...running.values()].map(({ job }) => job),
+      ...pending,
+    ];
+    const tmpPath = `${settings.persistPath}.tmp`;
+
+    try {
+      fs.mkdirSync(path.dirname(settings.persistPath), { recursive: true });
+      fs.writeFileSync(tmpPath, JSON.stringify(unfinished));
+      fs.renameSync(tmpPath, settings.persistPath);
+    } catch (error) {
+      console.error("Failed to persist job queue:", error.message);
+    }
+  }
+
+  // Re-queues jobs that were pending or in flight when the process stopped.
+  function restore() {
+    if (!settings.persistPath || !fs.existsSync(settings.persistPath)) return 0;
+
+    let jobs;
+    try {
+      jobs = JSON.parse(fs.readFileSync(settings.persistPath, "utf-8"));
+    } catch (error) {
+      console.error("Failed to restore job queue:", error.message);
+      return 0;
+    }
+
+    for (const job of jobs) {
+      job.status = "pending";
+      job.nextRunAt = null;
+      pending.push(job);
+    }
+
+    console.log(`♻️ Restored ${jobs.length} queued review(s)`);
+    drain();
+    return jobs.length;
+  }
+
+  function status() {
+    const counts = { pending: 0, retrying: 0 };
+    pending.forEach((job) => counts[job.status]++);
+
+    return {
+      concurrency: settings.concurrency,
+      persistent: Boolean(settings.persistPath),
+      running: running.size,
+      pending: counts.pending,
+      retrying: counts.retrying,
+      jobs: {
+        running: [...running.values()].map(({ job }) => describe(job)),
+        pending: pending.map(describe),
+        recent: history,
+      },
+    };
+  }
+
+  return { enqueue, restore, status };
+}
+
+module.exports = { createJobQueue };
@@ -0,0 +1,191 @@
+const { analyzeStaticIssues } = require("./analyzers/staticAnalyzer");
+const { analyzeSecurityIssues } = require("./analyzers/securityAnalyzer");
+const { analyzeComplexity } = require("./analyzers/complexityAnalyzer");
+const { analyzeSecrets, redactSecrets } = require("./analyzers/secretScanner");
+const { performAIReview } = require("./analyzers/aiReviewer");
+const { analyzeDependencies } = require("./analyzers/dependencyAnalyzer");
+const {
+  isDependencyFile,
+  isLockfile,
+} = require("./analyzers/dependencies/manifests");
+const { scoreChanges } = require("./utils/scoring");
+const { filterIssuesToDiff } = require("./utils/diffFilter");
+const { applySuppressions, fingerprintIssue } = require("./utils/suppressions");
+const { attachSuggestions } = require("./utils/suggestions");
+const { applySeverityOverrides } = require("./utils/config");
+const { metrics } = require("./utils/metrics");
+
+// The analysis half of a review, shared by the webhook and the CLI: runs
+// every enabled analyzer over the changed files, masks secrets, applies
+// severity overrides and suppressions, keeps the findings on changed lines
+// and scores them. Posting the results is up to the caller.
+//
+// `files` are the changed files with `content` (null when not fetched).
+// Options:
+//   readFile(path, "base" | "head")  text of a file on either side, or null
+//   staticOptions                    overrides `analyzers.static`
+//   baseline, ignoredRules           see applySuppressions
+//   signal                           aborts before the analyzers run
+//
+// `durations` in the result holds each analyzer's wall time in ms;
+// `scoreBreakdown` explains `score` under model `scoreVersion`.
+async function analyzeChanges(changedFiles, files, config, options = {}) {
+  const analyzers = config.analyzers;
+  const fetchedFiles = files.filter((f) => f.content);
+  const reviewableFiles = fetchedFiles.filter((f) => !isLockfile(f.path));
+  const dependencyFiles = fetchedFiles.filter((f) => isDependencyFile(f.path));
+  options.signal?.throwIfAborted();
+
+  // Run all analyzers in parallel
+  console.log("🔍 Running analysis...");
+  const durations = {};
+  const [
+    staticReview,
+    securityIssues,
+    secretIssues,
+    dependencyReview,
+    complexityIssues,
+    aiReviews,
+  ] = await Promise.all([
+    analyzers.static.enabled
+      ? timeAnalyzer("static", durations, () =>
+          analyzeStaticIssues(
+            reviewableFiles,
+            options.staticOptions || analyzers.static
+          )
+        )
+      : { issues: [], skipped: [], notices: [] },
+    analyzers.security.enabled
+      ? timeAnalyzer("security", durations, () =>
+          analyzeSecurityIssues(reviewableFiles, analyzers.security)
+        )
+      : [],
+    analyzers.secrets.enabled
+      ? timeAnalyzer("secrets", durations, () =>
+          analyzeSecrets(reviewableFiles, analyzers.secrets)
+        )
+      : [],
+    analyzers.dependencies.enabled
+      ? timeAnalyzer("dependencies", durations, () =>
+          analyzeDependencies(dependencyFiles, {
+            readFile: options.readFile || (async () => null),
+          })
+        )
+      : { issues: [], changes: [] },
+    analyzers.complexity.enabled
+      ? timeAnalyzer("complexity", durations, () =>
+          analyzeComplexity(reviewableFiles, analyzers.complexity)
+        )
+      : [],
+    analyzers.ai.enabled
+      ? timeAnalyzer("ai", durations, () =>
+          performAIReview(reviewableFiles, changedFiles, analyzers.ai)
+        )
+      : [],
+  ]);
+
+  // Combine all issues, applying per-repo severity overrides and
+  // suppressions, and keep only those on lines that changed. Secrets are
+  // masked in every finding's text, e.g. an AI finding quoting a line.
+  const { issues: unsuppressedIssues, suppressed } = applySuppressions(
+    applySeverityOverrides(
+      [
+        ...tagAnalyzer(staticReview.issues, "static"),
+        ...tagAnalyzer(securityIssues, "security"),
+        ...tagAnalyzer(secretIssues, "secrets"),
+        ...tagAnalyzer(dependencyReview.issues, "dependencies"),
+        ...tagAnalyzer(complexityIssues, "complexity"),
+        ...tagAnalyzer(aiReviews, "ai"),
+      ].map(redactIssue),
+      config
+    ),
+    fetchedFiles,
+    { baseline: options.baseline, ignoredRules: options.ignoredRules }
+  );
+  const { issues: diffIssues, debt: existingIssues } = filterIssuesToDiff(
+    unsuppressedIssues,
+    changedFiles,
+    config.diff
+  );
+  // The fingerprint survives line shifts, so later runs of the same PR
+  // recognize the finding after edits above it
+  const contents = new Map(fetchedFiles.map((f) => [f.path, f.content]));
+  const issues = attachSuggestions(diffIssues, fetchedFiles, changedFiles).map(
+    (issue) => ({
+      ...issue,
+      fingerprint: fingerprintIssue(issue, contents.get(issue.path)),
+    })
+  );
+  issues.forEach((issue) =>
+    metrics.analyzerFindings.inc({
+      analyzer: issue.analyzer,
+      severity: issue.severity,
+    })
+  );
+
+  // Scored against every changed file, fetched or not, so oversized files
+  // still count toward the change size and test matching
+  const { score, version, breakdown } = scoreChanges(
+    issues,
+    changedFiles.filter((f) => !isLockfile(f.path)),
+    config.scoring
+  );
+
+  return {
+    issues,
+    existingIssues,
+    suppressed,
+    score,
+    scoreVersion: version,
+    scoreBreakdown: breakdown,
+    counts: countBySeverity(issues),
+    staticReview,
+    dependencyReview,
+    fetchedFiles,
+    durations,
+  };
+}
+
+// Runs one analyzer, recording its wall time in `durations` (ms) and in the
+// analyzer duration histogram
+async function timeAnalyzer(analyzer, durations, run) {
+  const start = Date.now();
+  try {
+    return await run();
+  } finally {
+    durations[analyzer] = Date.now() - start;
+    metrics.analyzerDuration.observe({ analyzer }, durations[analyzer] / 1000);
+  }
+}
+
+// Records which analyzer reported each finding, e.g. for the review history
+function tagAnalyzer(issues, analyzer) {
+  return issues.map((issue) => ({ ...issue, analyzer }));
+}
+
+function redactIssue(issue) {
+  const redacted = {
+    ...issue,
+    title: redactSecrets(issue.title),
+    description: redactSecrets(issue.description),
+    suggestion: redactSecrets(issue.suggestion),
+  };
+  // A masked replacement would no longer apply cleanly
+  if (
+    issue.fix &&
+    redactSecrets(issue.fix.replacement) !== issue.fix.replacement
+  ) {
+    delete redacted.fix;
+  }
+  return redacted;
+}
+
+function countBySeverity(issues) {
+  const counts = { critical: 0, high: 0, medium: 0, low: 0 };
+  issues.forEach((i) => {
+    if (i.severity in counts) counts[i.severity]++;
+  });
+  return counts;
+}
+
+module.exports = { analyzeChanges, countBySeverity };
@@ -0,0 +1,100 @@
+const fs = require("fs");
+const { parseDependencyFile } = require("../analyzers/dependencies/manifests");
+const { DEFAULT_DB_PATH } = require("../analyzers/dependencies/advisories");
+
+// Refreshes the local advisory database from the OSV API for every
+// dependency of the given manifests:
+//
+//   npm run update-advisories -- package.json services/api/requirements.txt
+//
+// Records are merged by ID into ADVISORY_DB_PATH (default
+// backend/data/advisories.json), so packages queried earlier are kept.
+
+const OSV_QUERY_URL = "https://api.osv.dev/v1/query";
+
+async function main() {
+  const manifests = process.argv.slice(2);
+  if (manifests.length === 0) manifests.push("package.json");
+
+  const packages = new Map(); // "ecosystem:name" -> { ecosystem, name }
+  for (const manifestPath of manifests) {
+    const parsed = parseDependencyFile(
+      manifestPath,
+      fs.readFileSync(manifestPath, "utf-8")
+    );
+    if (!parsed) {
+      console.log(`⚠️ Skipping ${manifestPath}: not a supported manifest`);
+      continue;
+    }
+    for (const name of parsed.dependencies.keys()) {
+      packages.set(`${parsed.ecosystem}:${name}`, {
+        ecosystem: parsed.ecosystem,
+        name,
+      });
+    }
+  }
+
+  const dbPath = process.env.ADVISORY_DB_PATH || DEFAULT_DB_PATH;
+  const records = new Map(readDatabase(dbPath).map((r) => [r.id, r]));
+  const before = records.size;
+
+  for (const pkg of packages.values()) {
+    try {
+      const vulns = await queryPackage(pkg);
+      vulns.forEach((record) => records.set(record.id, record));
+      console.log(`  🔎 ${pkg.ecosystem}/${pkg.name}: ${vulns.length}`);
+    } catch (error) {
+      console.log(`⚠️ ${pkg.ecosystem}/${pkg.name}: ${error.message}`);
+    }
+  }
+
+  fs.writeFileSync(
+    dbPath,
+    JSON.stringify(
+      {
+        vulnerabilities: [...records.values()].sort((a, b) =>
+          a.id.localeCompare(b.id)
+        ),
+      },
+      null,
+      2
+    ) + "\n"
+  );
+  console.log(
+    `✅ ${records.size} advisories in ${dbPath} (${
+      records.size - before
+    } new) for ${packages.size} package(s)`
+  );
+}
+
+async function queryPackage(pkg) {
+  const vulns = [];
+  let pageToken;
+
+  do {
+    const response = await fetch(OSV_QUERY_URL, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ package: pkg, page_token: pageToken }),
+      signal: AbortSignal.timeout(30000),
+    });
+    if (!response.ok) throw new Error(`OSV API returned ${response.status}`);
+
+    const data = await response.json();
+    vulns.push(...(data.vulns || []));
+    pageToken = data.next_page_token;
+  } while (pageToken);
+
+  return vulns;
+}
+
+function readDatabase(dbPath) {
+  if (!fs.existsSync(dbPath)) return [];
+  const raw = JSON.parse(fs.readFileSync(dbPath, "utf-8"));
+  return Array.isArray(raw) ? raw : raw.vulnerabilities || [];
+}
+
+main().catch((error) => {
+  console.error("❌ Advisory update failed:", error.message);
+  process.exit(1);
+});
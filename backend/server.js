@@ -1,30 +1,130 @@
 require("dotenv").config();
+const {
+  installStructuredLogging,
+  withLogContext,
+  logContext,
+} = require("./utils/logger");
+
+installStructuredLogging({
+  format: process.env.LOG_FORMAT || "json",
+  level: process.env.LOG_LEVEL || "info",
+});
+
 const express = require("express");
 const crypto = require("crypto");
 const fs = require("fs"); // Added fs to read the private key locally
 const path = require("path"); // Added path
-const { handlePullRequestEvent } = require("./webhookHandler");
+const {
+  handlePullRequestEvent,
+  queueCheckRun,
+  closeSupersededCheckRun,
+} = require("./webhookHandler");
+const { handleCommentEvent } = require("./commandHandler");
+const { createJobQueue } = require("./queue/jobQueue");
+const {
+  createDeliveryTracker,
+  eventTimestamp,
+  DEFAULT_TTL_MS: DELIVERY_TTL_MS,
+} = require("./utils/deliveryTracker");
+const { isValidSignature } = require("./utils/webhookSignature");
+const { createSarifStore } = require("./utils/sarifStore");
+const { createHistoryStore, INTERVALS } = require("./history/historyStore");
+const { createDashboard } = require("./dashboard/dashboard");
+const { metrics, onCollect, renderMetrics } = require("./utils/metrics");
+const { SCORING_MODEL_VERSION } = require("./utils/scoring");
+const { Octokit } = require("@octokit/rest");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// SARIF of the latest review of each PR, optionally kept on disk
+const sarifStore = createSarifStore({
+  dir: process.env.SARIF_STORE_PATH || null,
+});
+
+// Every completed review, for the history and trends API
+const historyStore = createHistoryStore({
+  persistPath: process.env.HISTORY_PATH || null,
+});
+
+// Reviews run through a queue: one at a time per PR, a global concurrency cap,
+// retries with backoff and optional persistence across restarts
+const reviewQueue = createJobQueue(
+  // Log lines of a review carry the delivery that asked for it, the PR
+  // and the queue job
+  (payload, options) =>
+    withLogContext(
+      {
+        deliveryId: payload.reviewbot?.deliveryId,
+        repo: payload.repository.full_name,
+        pr: payload.pull_request.number,
+        headSha: payload.pull_request.head.sha,
+        jobId: options.jobId,
+        attempt: options.attempt,
+      },
+      () =>
+        handlePullRequestEvent(payload, {
+          ...options,
+          sarifStore,
+          historyStore,
+        })
+    ),
+  {
+    concurrency: parseInt(process.env.QUEUE_CONCURRENCY, 10) || 2,
+    maxAttempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS, 10) || 3,
+    persistPath: process.env.QUEUE_PERSIST_PATH || null,
+    onSuperseded: closeSupersededCheckRun,
+  }
+);
+
+// The check run is created before the job is queued so the PR shows a
+// queued ReviewBot check while it waits; its ID travels in the payload, so
+// retries and restored jobs reuse it
+async function enqueueReview(payload) {
+  const checkRunId = await queueCheckRun(payload);
+  return reviewQueue.enqueue(
+    `${payload.repository.full_name}#${payload.pull_request.number}`,
+    payload.pull_request.head.sha,
+    {
+      ...payload,
+      reviewbot: {
+        ...payload.reviewbot,
+        deliveryId: logContext().deliveryId,
+        checkRunId,
+      },
+    }
+  );
+}
+
+onCollect(() => {
+  const status = reviewQueue.status();
+  for (const state of ["running", "pending", "retrying"]) {
+    metrics.queueJobs.set({ state }, status[state]);
+  }
+});
+
+// Signature checks can only be skipped by explicitly opting in, never just by
+// running outside production
+const INSECURE_SKIP_VERIFY =
+  process.env.WEBHOOK_INSECURE_SKIP_VERIFY === "true";
+const deliveries = createDeliveryTracker({
+  persistPath: process.env.DELIVERY_LOG_PATH || null,
+});
+
 // Middleware to verify GitHub webhook signature
 function verifyGitHubSignature(req, res, next) {
+  if (INSECURE_SKIP_VERIFY) return next();
+
   const signature = req.headers["x-hub-signature-256"];
   const secret = process.env.GITHUB_WEBHOOK_SECRET;
 
-  if (!signature || !secret) {
+  if (!signature || !secret || !req.rawBody) {
     console.log("⚠️ Missing signature or secret");
-    if (process.env.NODE_ENV === "development") return next();
     return res.status(401).send("Unauthorized");
   }
 
   try {
-    const hmac = crypto.createHmac("sha256", secret);
-    const digest =
-      "sha256=" + hmac.update(JSON.stringify(req.body)).digest("hex");
-
-    if (signature !== digest) {
+    if (!isValidSignature(req.rawBody, signature, secret)) {
       console.log("❌ Invalid signature");
       return res.status(401).send("Invalid signature");
     }
@@ -36,8 +136,69 @@ function verifyGitHubSignature(req, res, next) {
   next();
 }
 
-// Parse JSON payloads
-app.use(express.json());
+// Rejects deliveries whose X-GitHub-Delivery ID has been seen before
+function rejectReplayedDeliveries(req, res, next) {
+  const deliveryId = req.headers["x-github-delivery"];
+
+  if (!deliveryId) {
+    if (INSECURE_SKIP_VERIFY) return next();
+    console.log("⚠️ Missing delivery ID");
+    return res.status(400).send("Missing delivery ID");
+  }
+
+  // Delivery IDs are only remembered for DELIVERY_TTL_MS, so older events
+  // are refused outright, going by the timestamps in the signed payload
+  const sentAt = eventTimestamp(req.body);
+  if (sentAt !== null && Date.now() - sentAt > DELIVERY_TTL_MS) {
+    console.log(`⌛ Rejected stale delivery ${deliveryId}`);
+    return res.status(409).send("Delivery is too old");
+  }
+
+  if (!deliveries.record(deliveryId)) {
+    console.log(`🔁 Rejected replayed delivery ${deliveryId}`);
+    return res.status(409).send("Delivery already processed");
+  }
+
+  next();
+}
+
+const verifyWebhook = [verifyGitHubSignature, rejectReplayedDeliveries];
+
+// Reports can quote code from private repositories, so callers must send a
+// GitHub token (`Authorization: Bearer <token>`) that can read the repository
+async function requireRepoAccess(req, res, next) {
+  const match = /^(?:Bearer|token) (.+)$/i.exec(
+    req.headers.authorization || ""
+  );
+  if (!match) {
+    return res.status(401).json({ error: "A GitHub token is required" });
+  }
+
+  try {
+    await new Octokit({ auth: match[1] }).repos.get({
+      owner: req.params.owner,
+      repo: req.params.repo,
+    });
+  } catch (error) {
+    // GitHub answers 404 for private repositories the token cannot see
+    if ([401, 403, 404].includes(error.status)) {
+      return res.status(404).json({ error: "Repository not found" });
+    }
+    return next(error);
+  }
+
+  next();
+}
+
+// Parse JSON payloads, keeping the raw body for signature verification
+app.use(
+  express.json({
+    limit: "25mb",
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 
 // Health check endpoint
 app.get("/", (req, res) => {
@@ -49,12 +210,158 @@ app.get("/", (req, res) => {
   });
 });
 
+// SARIF report of the most recent review of a PR, as a download
+app.get(
+  "/repos/:owner/:repo/pulls/:number/sarif",
+  requireRepoAccess,
+  (req, res) => {
+    const { owner, repo, number } = req.params;
+    const report = sarifStore.get(owner, repo, number);
+    if (!report) {
+      return res.status(404).json({ error: "No review of this PR yet" });
+    }
+
+    res.set("X-ReviewBot-Head-Sha", report.headSha);
+    res.set("Last-Modified", new Date(report.createdAt).toUTCString());
+    res.attachment(`reviewbot-${repo}-${number}.sarif`);
+    res.type("application/sarif+json");
+    res.send(JSON.stringify(report.sarif, null, 2));
+  }
+);
+
+// Review history: all runs of a PR, and per-repo score trends, most common
+// rules and files with the most findings. `since` takes an ISO date;
+// `interval` is day, week or month; `limit` caps the rankings.
+function parseHistoryQuery(query) {
+  const options = {};
+
+  if (query.since !== undefined) {
+    const since = new Date(query.since);
+    if (Number.isNaN(since.getTime())) {
+      return { error: "`since` must be an ISO date" };
+    }
+    options.since = since.toISOString();
+  }
+  if (query.interval !== undefined) {
+    if (!(query.interval in INTERVALS)) {
+      return {
+        error: `\`interval\` must be one of ${Object.keys(INTERVALS).join(
+          ", "
+        )}`,
+      };
+    }
+    options.interval = query.interval;
+  }
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      return { error: "`limit` must be a whole number from 1 to 100" };
+    }
+    options.limit = limit;
+  }
+  if (query.scoreVersion !== undefined) {
+    const scoreVersion = Number(query.scoreVersion);
+    if (!Number.isInteger(scoreVersion) || scoreVersion < 1) {
+      return { error: "`scoreVersion` must be a scoring model version" };
+    }
+    options.scoreVersion = scoreVersion;
+  }
+
+  return { options };
+}
+
+function historyRoute(query) {
+  return [
+    requireRepoAccess,
+    (req, res) => {
+      const { options, error } = parseHistoryQuery(req.query);
+      if (error) return res.status(400).json({ error });
+
+      const repo = `${req.params.owner}/${req.params.repo}`;
+      res.json(query(repo, options, req.params));
+    },
+  ];
+}
+
+app.get(
+  "/repos/:owner/:repo/pulls/:number/history",
+  historyRoute((repo, options, { number }) => ({
+    runs: historyStore.pullRequestHistory(repo, number),
+  }))
+);
+
+app.get(
+  "/repos/:owner/:repo/trends",
+  historyRoute((repo, options) => ({
+    interval: options.interval || "week",
+    scoreVersion: options.scoreVersion || SCORING_MODEL_VERSION,
+    periods: historyStore.scoreTrend(repo, options),
+  }))
+);
+
+app.get(
+  "/repos/:owner/:repo/rules/top",
+  historyRoute((repo, options) => ({
+    rules: historyStore.topRules(repo, options),
+  }))
+);
+
+app.get(
+  "/repos/:owner/:repo/files/top",
+  historyRoute((repo, options) => ({
+    files: historyStore.topFiles(repo, options),
+  }))
+);
+
+// Admin dashboard: recent reviews, findings, queue status and repo settings
+app.use("/dashboard", createDashboard({ historyStore, reviewQueue }));
+
+// Prometheus metrics. With METRICS_TOKEN set, scrapers must send it as a
+// bearer token.
+app.get("/metrics", (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token) {
+    const expected = Buffer.from(`Bearer ${token}`);
+    const received = Buffer.from(req.headers.authorization || "");
+    if (
+      received.length !== expected.length ||
+      !crypto.timingSafeEqual(received, expected)
+    ) {
+      return res.status(401).send("Unauthorized");
+    }
+  }
+
+  res.type("text/plain; version=0.0.4");
+  res.send(renderMetrics());
+});
+
+// Everything logged while handling a delivery carries its ID, and the PR's
+// repo and number when there is one
+function withDeliveryContext(req, res, next) {
+  const payload = req.body || {};
+  const pullRequest = payload.pull_request || payload.issue;
+  withLogContext(
+    {
+      deliveryId: req.headers["x-github-delivery"],
+      githubEvent: req.headers["x-github-event"],
+      repo: payload.repository?.full_name,
+      pr: pullRequest?.number,
+    },
+    next
+  );
+}
+
 // GitHub webhook endpoint
-app.post("/webhook", verifyGitHubSignature, async (req, res) => {
+app.post("/webhook", verifyWebhook, withDeliveryContext, async (req, res) => {
   const event = req.headers["x-github-event"];
   const payload = req.body;
+  metrics.webhookDeliveries.inc({ event: event || "unknown" });
 
-  console.log(`\n📬 Received GitHub event: ${event}`);
+  console.log(
+    `\n📬 Received GitHub event: ${event} (delivery ${
+      req.headers["x-github-delivery"] || "unknown"
+    })`
+  );
 
   res.status(200).send("Webhook received");
 
@@ -66,12 +373,20 @@ app.post("/webhook", verifyGitHubSignature, async (req, res) => {
         console.log(
           `🔍 Processing PR #${payload.pull_request.number} (${action})`
         );
-        handlePullRequestEvent(payload).catch((error) => {
-          console.error("❌ Error processing PR in background:", error);
-        });
+        await enqueueReview(payload);
       } else {
         console.log(`⏭️ Skipping action: ${action}`);
       }
+    } else if (
+      event === "issue_comment" ||
+      event === "pull_request_review_comment"
+    ) {
+      // Slash commands; the bot's own replies are never treated as commands
+      if (payload.action === "created" && payload.sender.type !== "Bot") {
+        handleCommentEvent(event, payload, { enqueueReview }).catch((error) => {
+          console.error("❌ Error handling comment command:", error);
+        });
+      }
     } else if (event === "ping") {
       console.log("🏓 Ping received - webhook is configured correctly!");
     } else if (
@@ -118,11 +433,48 @@ app.listen(PORT, () => {
 Environment:
   • Node: ${process.version}
   • Auth Method: ${authMethod}
+  • AI Provider: ${process.env.AI_PROVIDER || "groq"}${
+    process.env.AI_MODEL ? ` (${process.env.AI_MODEL})` : ""
+  }
   • Groq API Key: ${process.env.GROQ_API_KEY ? "✅ Set" : "❌ Missing"}
   • Webhook Secret: ${
-    process.env.GITHUB_WEBHOOK_SECRET ? "✅ Set" : "❌ Missing"
+    INSECURE_SKIP_VERIFY
+      ? "⚠️ Verification DISABLED (WEBHOOK_INSECURE_SKIP_VERIFY)"
+      : process.env.GITHUB_WEBHOOK_SECRET
+      ? "✅ Set"
+      : "❌ Missing"
+  }
+  • Review Queue: ${
+    process.env.QUEUE_PERSIST_PATH
+      ? `💾 ${process.env.QUEUE_PERSIST_PATH}`
+      : "🧠 In-memory"
+  }
+  • Logs: ${
+    (process.env.LOG_FORMAT || "json") === "json" ? "🧾 JSON" : "📝 Pretty"
+  } · Metrics: ${process.env.METRICS_TOKEN ? "🔒" : "🔓"} /metrics
+  • Dashboard: ${
+    process.env.DASHBOARD_PASSWORD
+      ? `✅ http://localhost:${PORT}/dashboard`
+      : "❌ Disabled (set DASHBOARD_PASSWORD)"
+  }
+  • Delivery IDs: ${
+    process.env.DELIVERY_LOG_PATH
+      ? `💾 ${process.env.DELIVERY_LOG_PATH}`
+      : "🧠 In-memory"
+  }
+  • Review History: ${
+    process.env.HISTORY_PATH ? `💾 ${process.env.HISTORY_PATH}` : "🧠 In-memory"
+  }
+  • SARIF Reports: ${
+    process.env.SARIF_STORE_PATH
+      ? `💾 ${process.env.SARIF_STORE_PATH}`
+      : "🧠 In-memory"
   }
   `);
+
+  deliveries.restore();
+  historyStore.restore();
+  reviewQueue.restore();
 });
 
 // Graceful shutdown
@@ -0,0 +1,134 @@
+const babelParser = require("@babel/parser");
+const path = require("path");
+
+// Shared JS/TS parsing for the AST-based analyzers. Parsing is lenient
+// (error recovery on) because review targets are often mid-refactor.
+
+const FUNCTION_TYPES = new Set([
+  "FunctionDeclaration",
+  "FunctionExpression",
+  "ArrowFunctionExpression",
+  "ObjectMethod",
+  "ClassMethod",
+  "ClassPrivateMethod",
+]);
+
+const SKIPPED_KEYS = new Set([
+  "loc",
+  "start",
+  "end",
+  "extra",
+  "leadingComments",
+  "trailingComments",
+  "innerComments",
+  "comments",
+  "tokens",
+]);
+
+function parseSource(content, filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  const plugins = [];
+
+  if (ext === ".ts" || ext === ".mts" || ext === ".cts") {
+    plugins.push("typescript");
+  } else if (ext === ".tsx") {
+    plugins.push("typescript", "jsx");
+  } else {
+    plugins.push("jsx");
+  }
+
+  return babelParser.parse(content, {
+    sourceType: "unambiguous",
+    errorRecovery: true,
+    allowReturnOutsideFunction: true,
+    allowAwaitOutsideFunction: true,
+    allowImportExportEverywhere: true,
+    plugins: [
+      ...plugins,
+      "classProperties",
+      "decorators-legacy",
+      "topLevelAwait",
+    ],
+  });
+}
+
+function isFunctionNode(node) {
+  return Boolean(node) && FUNCTION_TYPES.has(node.type);
+}
+
+function childNodes(node) {
+  const children = [];
+
+  for (const key of Object.keys(node)) {
+    if (SKIPPED_KEYS.has(key)) continue;
+    const value = node[key];
+
+    if (Array.isArray(value)) {
+      value.forEach((item) => {
+        if (item && typeof item.type === "string") children.push(item);
+      });
+    } else if (value && typeof value.type === "string") {
+      children.push(value);
+    }
+  }
+
+  return children;
+}
+
+// Depth-first walk. `visit(node, parent)` may return false to skip the
+// node's children.
+function walk(node, visit, parent = null) {
+  if (visit(node, parent) === false) return;
+  for (const child of childNodes(node)) walk(child, visit, node);
+}
+
+function nodeName(node) {
+  if (!node) return null;
+  switch (node.type) {
+    case "Identifier":
+    case "PrivateName":
+      return node.name || (node.id && node.id.name);
+    case "StringLiteral":
+    case "NumericLiteral":
+      return String(node.value);
+    case "MemberExpression":
+    case "OptionalMemberExpression": {
+      const object = nodeName(node.object);
+      const property = nodeName(node.property);
+      return object && property ? `${object}.${property}` : property;
+    }
+    case "ThisExpression":
+      return "this";
+    default:
+      return null;
+  }
+}
+
+// Best-effort readable name for a function node given its parent.
+function functionName(node, parent) {
+  if (node.id && node.id.name) return node.id.name;
+  if (node.key) return nodeName(node.key) || "<computed>";
+
+  if (parent) {
+    if (parent.type === "VariableDeclarator") return nodeName(parent.id);
+    if (parent.type === "AssignmentExpression") return nodeName(parent.left);
+    if (parent.type === "ObjectProperty" || parent.type === "ClassProperty") {
+      return nodeName(parent.key);
+    }
+    if (parent.type === "CallExpression") {
+      const callee = nodeName(parent.callee);
+      if (callee) return `${callee} callback`;
+    }
+  }
+
+  return "<anonymous>";
+}
+
+module.exports = {
+  parseSource,
+  isFunctionNode,
+  childNodes,
+  walk,
+  nodeName,
+  functionName,
+};
@@ -0,0 +1,182 @@
+// Publishes review results as a GitHub Check Run so branch protection can
+// require a passing ReviewBot check before merging.
+
+const CHECK_NAME = "ReviewBot";
+const MAX_ANNOTATIONS_PER_REQUEST = 50;
+
+const DEFAULT_POLICY = {
+  failOnCritical: true,
+  failOnHigh: false,
+  minScore: 0,
+};
+
+const ANNOTATION_LEVELS = {
+  critical: "failure",
+  high: "failure",
+  medium: "warning",
+  low: "notice",
+};
+
+// Opens the run as "queued" when a review is enqueued, or straight away as
+// "in_progress"
+async function startCheckRun(
+  octokit,
+  owner,
+  repo,
+  headSha,
+  status = "in_progress"
+) {
+  try {
+    const { data } = await octokit.checks.create({
+      owner,
+      repo,
+      name: CHECK_NAME,
+      head_sha: headSha,
+      status,
+      started_at:
+        status === "in_progress" ? new Date().toISOString() : undefined,
+    });
+    console.log(`☑️ Started check run ${data.id} (${status})`);
+    return data.id;
+  } catch (error) {
+    // Usually means the app was installed without the checks permission
+    console.log(`⚠️ Could not create check run: ${error.message}`);
+    return null;
+  }
+}
+
+// Moves a queued run to "in_progress" when its review starts
+async function markCheckRunInProgress(octokit, owner, repo, checkRunId) {
+  try {
+    await octokit.checks.update({
+      owner,
+      repo,
+      check_run_id: checkRunId,
+      status: "in_progress",
+      started_at: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("Failed to update check run:", error.message);
+  }
+}
+
+function decideConclusion(score, counts, policy = {}) {
+  const rules = { ...DEFAULT_POLICY, ...policy };
+  const reasons = [];
+
+  if (rules.failOnCritical && counts.critical > 0) {
+    reasons.push(`${counts.critical} critical issue(s)`);
+  }
+  if (rules.failOnHigh && counts.high > 0) {
+    reasons.push(`${counts.high} high severity issue(s)`);
+  }
+  if (score < rules.minScore) {
+    reasons.push(`score ${score} is below the minimum of ${rules.minScore}`);
+  }
+
+  return {
+    conclusion: reasons.length > 0 ? "failure" : "success",
+    reasons,
+  };
+}
+
+function toAnnotation(issue) {
+  return {
+    path: issue.path,
+    start_line: issue.line,
+    end_line: issue.line,
+    annotation_level: ANNOTATION_LEVELS[issue.severity] || "notice",
+    title: issue.title.substring(0, 255),
+    message: issue.description || issue.title,
+  };
+}
+
+async function completeCheckRun(
+  octokit,
+  owner,
+  repo,
+  checkRunId,
+  { issues, score, counts, policy }
+) {
+  if (!checkRunId) return;
+
+  const { conclusion, reasons } = decideConclusion(score, counts, policy);
+  const annotations = issues
+    .filter((issue) => issue.path && issue.line)
+    .map(toAnnotation);
+
+  const output = {
+    title: `Score ${score}/100 - ${issues.length} issue(s)`,
+    summary: [
+      `**Critical:** ${counts.critical} · **High:** ${counts.high} · **Medium:** ${counts.medium} · **Low:** ${counts.low}`,
+      reasons.length > 0
+        ? `\n❌ Failing because of ${reasons.join(", ")}.`
+        : "\n✅ All ReviewBot checks passed.",
+    ].join("\n"),
+  };
+
+  try {
+    // The API accepts at most 50 annotations per request; earlier batches are
+    // appended while the run is still in progress, the last one completes it.
+    for (
+      let i = MAX_ANNOTATIONS_PER_REQUEST;
+      i < annotations.length;
+      i += MAX_ANNOTATIONS_PER_REQUEST
+    ) {
+      await octokit.checks.update({
+        owner,
+        repo,
+        check_run_id: checkRunId,
+        output: {
+          ...output,
+          annotations: annotations.slice(i, i + MAX_ANNOTATIONS_PER_REQUEST),
+        },
+      });
+    }
+
+    await octokit.checks.update({
+      owner,
+      repo,
+      check_run_id: checkRunId,
+      status: "completed",
+      conclusion,
+      completed_at: new Date().toISOString(),
+      output: {
+        ...output,
+        annotations: annotations.slice(0, MAX_ANNOTATIONS_PER_REQUEST),
+      },
+    });
+    console.log(`☑️ Completed check run (${conclusion})`);
+  } catch (error) {
+    console.error("Failed to complete check run:", error.message);
+  }
+}
+
+// Closes the run without a verdict when the review itself could not finish,
+// so a ReviewBot outage does not block merges.
+async function abortCheckRun(octokit, owner, repo, checkRunId, title, summary) {
+  if (!checkRunId) return;
+
+  try {
+    await octokit.checks.update({
+      owner,
+      repo,
+      check_run_id: checkRunId,
+      status: "completed",
+      conclusion: "neutral",
+      completed_at: new Date().toISOString(),
+      output: { title, summary },
+    });
+  } catch (error) {
+    console.error("Failed to close check run:", error.message);
+  }
+}
+
+module.exports = {
+  CHECK_NAME,
+  startCheckRun,
+  markCheckRunInProgress,
+  decideConclusion,
+  completeCheckRun,
+  abortCheckRun,
+};
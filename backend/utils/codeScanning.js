@@ -0,0 +1,40 @@
+// Uploads a review's findings to GitHub code scanning so they show up in the
+// repository's Security tab, where they can be triaged and dismissed. Enabled
+// by `codeScanning.upload` in .reviewbot.yml; the app needs the
+// `security_events` write permission.
+
+const zlib = require("zlib");
+const { promisify } = require("util");
+
+const gzip = promisify(zlib.gzip);
+const TOOL_NAME = "ReviewBot";
+
+// Resolves to the SARIF upload ID, or null when the upload was rejected.
+async function uploadSarif(octokit, owner, repo, { sarif, commitSha, ref }) {
+  try {
+    const { data } = await octokit.codeScanning.uploadSarif({
+      owner,
+      repo,
+      commit_sha: commitSha,
+      ref,
+      // The API takes the SARIF gzipped and base64 encoded
+      sarif: (await gzip(JSON.stringify(sarif))).toString("base64"),
+      tool_name: TOOL_NAME,
+    });
+    console.log(`🛡️ Uploaded SARIF to code scanning (${data.id})`);
+    return data.id;
+  } catch (error) {
+    // Usually means code scanning is not available for the repository or the
+    // app lacks the security_events permission
+    console.log(`⚠️ Could not upload SARIF: ${error.message}`);
+    return null;
+  }
+}
+
+function codeScanningUrl(owner, repo, prNumber) {
+  return `https://github.com/${owner}/${repo}/security/code-scanning?query=${encodeURIComponent(
+    `pr:${prNumber} tool:${TOOL_NAME}`
+  )}`;
+}
+
+module.exports = { uploadSarif, codeScanningUrl };
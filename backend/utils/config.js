@@ -0,0 +1,368 @@
+const yaml = require("js-yaml");
+const minimatch = require("minimatch");
+
+const CONFIG_PATH = ".reviewbot.yml";
+
+const SEVERITIES = ["critical", "high", "medium", "low"];
+const CATEGORIES = ["bug", "security", "performance", "quality", "style"];
+
+// Everything is optional in .reviewbot.yml; analyzers and scoring fall back
+// to their own built-in defaults for any value not set here.
+const DEFAULT_CONFIG = {
+  analyzers: {
+    static: { enabled: true, rules: {} },
+    security: { enabled: true },
+    secrets: { enabled: true, allowlist: [] },
+    dependencies: { enabled: true },
+    complexity: { enabled: true },
+    ai: { enabled: true },
+  },
+  severity: {},
+  ignore: [],
+  diff: { includeContext: false, existingDebt: "summary" },
+  check: { enabled: true },
+  review: {},
+  limits: {},
+  // Uploading needs the app's security_events permission, so it is opt-in
+  codeScanning: { upload: false },
+  baseline: { path: ".reviewbot-baseline.json" },
+  scoring: {},
+};
+
+// A review event policy; `review.branches` maps base branches to overrides
+// of the same shape.
+const REVIEW_POLICY_SCHEMA = {
+  advisory: "boolean",
+  requestChangesOn: "string[]",
+  requestChangesBelowScore: "number",
+  approveAtScore: "number",
+  dismissStale: "boolean",
+};
+
+// Allowed shape of the config file. Leaves are type names or lists of allowed
+// values, objects nest.
+const CONFIG_SCHEMA = {
+  analyzers: {
+    static: {
+      enabled: "boolean",
+      rules: "object",
+      linters: "string[]",
+      // "repo" lints with the repository's own ESLint config
+      eslintConfig: ["builtin", "repo"],
+      severityMap: { error: SEVERITIES, warn: SEVERITIES },
+      categories: "object",
+    },
+    security: { enabled: "boolean" },
+    secrets: {
+      enabled: "boolean",
+      allowlist: "string[]",
+      entropyThreshold: "number",
+    },
+    dependencies: { enabled: "boolean" },
+    complexity: {
+      enabled: "boolean",
+      maxFunctionLength: "number",
+      maxComplexity: "number",
+      maxCognitiveComplexity: "number",
+      maxNestingDepth: "number",
+      maxParams: "number",
+    },
+    ai: {
+      enabled: "boolean",
+      maxFiles: "count",
+      maxChunksPerFile: "number",
+      provider: ["groq", "openai", "mock"],
+      model: "string",
+    },
+  },
+  severity: "object",
+  ignore: "string[]",
+  diff: {
+    includeContext: "boolean",
+    existingDebt: ["summary", "drop"],
+  },
+  baseline: { path: "string" },
+  check: {
+    enabled: "boolean",
+    failOnCritical: "boolean",
+    failOnHigh: "boolean",
+    minScore: "number",
+  },
+  review: { ...REVIEW_POLICY_SCHEMA, branches: "object" },
+  limits: {
+    maxFiles: "count",
+    maxFileBytes: "count",
+    fetchConcurrency: "count",
+    maxInlineComments: "count",
+    commentsPerReview: "count",
+  },
+  codeScanning: { upload: "boolean" },
+  scoring: {
+    penalties: {
+      critical: "number",
+      high: "number",
+      medium: "number",
+      low: "number",
+    },
+    analyzerWeights: {
+      static: "number",
+      security: "number",
+      secrets: "number",
+      dependencies: "number",
+      complexity: "number",
+      ai: "number",
+    },
+    repeatDecay: "number",
+    referenceLines: "number",
+    largePrLines: "number",
+    largePrPenalty: "number",
+    untestedLines: "number",
+    untestedPenalty: "number",
+    testBonus: "number",
+  },
+};
+
+async function loadRepoConfig(octokit, owner, repo, ref) {
+  let raw;
+
+  try {
+    const { data } = await octokit.repos.getContent({
+      owner,
+      repo,
+      path: CONFIG_PATH,
+      ref,
+    });
+    raw = Buffer.from(data.content, "base64").toString("utf-8");
+  } catch (error) {
+    if (error.status === 404) {
+      return { config: cloneDefaults(), errors: [], source: null };
+    }
+    console.log(`⚠️ Could not fetch ${CONFIG_PATH}: ${error.message}`);
+    return {
+      config: cloneDefaults(),
+      errors: [`Could not read \`${CONFIG_PATH}\`: ${error.message}`],
+      source: null,
+    };
+  }
+
+  const { config, errors } = parseConfig(raw);
+  console.log(
+    `⚙️ Loaded ${CONFIG_PATH} from ${ref}${
+      errors.length > 0 ? ` (${errors.length} problem(s))` : ""
+    }`
+  );
+  return { config, errors, source: CONFIG_PATH };
+}
+
+// Server-side caps on settings that cost API calls, model tokens or memory.
+// Larger values are lowered to the cap.
+const MAXIMUMS = {
+  "analyzers.ai.maxFiles": 50,
+  "limits.maxFiles": 3000,
+  "limits.maxFileBytes": 10 * 1024 * 1024,
+  "limits.fetchConcurrency": 16,
+  "limits.maxInlineComments": 200,
+  "limits.commentsPerReview": 50,
+};
+
+function parseConfig(raw) {
+  let parsed;
+
+  try {
+    parsed = yaml.load(raw);
+  } catch (error) {
+    return {
+      config: cloneDefaults(),
+      errors: [
+        `\`${CONFIG_PATH}\` is not valid YAML: ${
+          error.reason || error.message
+        }`,
+      ],
+    };
+  }
+
+  if (parsed === undefined || parsed === null) {
+    return { config: cloneDefaults(), errors: [] };
+  }
+
+  const errors = [];
+  const valid = validate(parsed, CONFIG_SCHEMA, "", errors);
+
+  if (valid.severity) {
+    for (const [rule, level] of Object.entries(valid.severity)) {
+      if (level !== "off" && !SEVERITIES.includes(level)) {
+        errors.push(
+          `\`severity.${rule}\` must be one of ${[...SEVERITIES, "off"].join(
+            ", "
+          )}`
+        );
+        delete valid.severity[rule];
+      }
+    }
+  }
+
+  const categories = valid.analyzers?.static?.categories;
+  if (categories) {
+    for (const [rule, category] of Object.entries(categories)) {
+      if (!CATEGORIES.includes(category)) {
+        errors.push(
+          `\`analyzers.static.categories.${rule}\` must be one of ${CATEGORIES.join(
+            ", "
+          )}`
+        );
+        delete categories[rule];
+      }
+    }
+  }
+
+  if (valid.review) {
+    const { branches } = valid.review;
+    for (const branch of Object.keys(branches || {})) {
+      branches[branch] = validate(
+        branches[branch],
+        REVIEW_POLICY_SCHEMA,
+        `review.branches.${branch}`,
+        errors
+      );
+    }
+    for (const [policy, keyPath] of [
+      [valid.review, "review"],
+      ...Object.entries(branches || {}).map(([branch, policy]) => [
+        policy,
+        `review.branches.${branch}`,
+      ]),
+    ]) {
+      const invalid = (policy.requestChangesOn || []).filter(
+        (level) => !SEVERITIES.includes(level)
+      );
+      if (invalid.length > 0) {
+        errors.push(
+          `\`${keyPath}.requestChangesOn\` may only list ${SEVERITIES.join(
+            ", "
+          )}`
+        );
+        delete policy.requestChangesOn;
+      }
+    }
+  }
+
+  return { config: mergeConfig(cloneDefaults(), valid), errors };
+}
+
+// Keeps only the values that match the schema, recording a message for each
+// value that is dropped so the rest of the file still applies.
+function validate(value, schema, prefix, errors) {
+  if (!isPlainObject(value)) {
+    errors.push(`\`${prefix || CONFIG_PATH}\` must be a mapping`);
+    return {};
+  }
+
+  const result = {};
+
+  for (const [key, entry] of Object.entries(value)) {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    const expected = schema[key];
+
+    if (expected === undefined) {
+      errors.push(`Unknown option \`${keyPath}\``);
+    } else if (isPlainObject(expected)) {
+      result[key] = validate(entry, expected, keyPath, errors);
+    } else if (matchesType(entry, expected)) {
+      result[key] = entry;
+      if (entry > MAXIMUMS[keyPath]) {
+        errors.push(
+          `\`${keyPath}\` is capped at ${MAXIMUMS[keyPath]}; that was used instead`
+        );
+        result[key] = MAXIMUMS[keyPath];
+      }
+    } else {
+      errors.push(`\`${keyPath}\` must be ${describeType(expected)}`);
+    }
+  }
+
+  return result;
+}
+
+function matchesType(value, type) {
+  if (Array.isArray(type)) return type.includes(value);
+
+  switch (type) {
+    case "boolean":
+      return typeof value === "boolean";
+    case "string":
+      return typeof value === "string" && value.length > 0;
+    case "number":
+      return typeof value === "number" && Number.isFinite(value) && value >= 0;
+    case "count":
+      return Number.isInteger(value) && value > 0;
+    case "object":
+      return isPlainObject(value);
+    case "string[]":
+      return Array.isArray(value) && value.every((v) => typeof v === "string");
+    default:
+      return false;
+  }
+}
+
+function describeType(type) {
+  if (Array.isArray(type)) return `one of ${type.join(", ")}`;
+
+  return {
+    boolean: "true or false",
+    string: "a non-empty string",
+    number: "a non-negative number",
+    count: "a whole number greater than 0",
+    object: "a mapping",
+    "string[]": "a list of strings",
+  }[type];
+}
+
+function mergeConfig(base, override) {
+  const result = { ...base };
+
+  for (const [key, value] of Object.entries(override)) {
+    result[key] =
+      isPlainObject(value) && isPlainObject(base[key])
+        ? mergeConfig(base[key], value)
+        : value;
+  }
+
+  return result;
+}
+
+function cloneDefaults() {
+  return JSON.parse(JSON.stringify(DEFAULT_CONFIG));
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function isIgnored(filePath, config) {
+  return (config.ignore || []).some((pattern) =>
+    minimatch(filePath, pattern, { dot: true })
+  );
+}
+
+// Remaps or drops issues according to the `severity` section, keyed by rule id.
+function applySeverityOverrides(issues, config) {
+  const overrides = config.severity || {};
+
+  return issues
+    .map((issue) => {
+      const override = overrides[issue.rule];
+      if (!override) return issue;
+      if (override === "off") return null;
+      return { ...issue, severity: override };
+    })
+    .filter((issue) => issue !== null);
+}
+
+module.exports = {
+  CONFIG_PATH,
+  DEFAULT_CONFIG,
+  loadRepoConfig,
+  parseConfig,
+  isIgnored,
+  applySeverityOverrides,
+};
@@ -0,0 +1,115 @@
+const fs = require("fs");
+const path = require("path");
+
+// Remembers recent X-GitHub-Delivery IDs so a captured delivery cannot be
+// replayed. Entries expire after `ttlMs` and the oldest are evicted beyond
+// `maxEntries`, keeping memory bounded. With `persistPath` set each ID is
+// also appended to a JSON Lines file that is read back on start, so a
+// restart does not reopen the window; the file is compacted once it holds
+// twice `maxEntries` lines.
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_MAX_ENTRIES = 10000;
+
+function createDeliveryTracker({
+  ttlMs = DEFAULT_TTL_MS,
+  maxEntries = DEFAULT_MAX_ENTRIES,
+  persistPath = null,
+} = {}) {
+  const seen = new Map(); // delivery id -> first seen (ms), insertion ordered
+  let fileEntries = 0; // lines in the persist file
+
+  function prune(now) {
+    for (const [id, seenAt] of seen) {
+      if (now - seenAt < ttlMs && seen.size <= maxEntries) break;
+      seen.delete(id);
+    }
+  }
+
+  // Returns false when the delivery was already recorded.
+  function record(deliveryId) {
+    const now = Date.now();
+    prune(now);
+
+    if (seen.has(deliveryId)) return false;
+    seen.set(deliveryId, now);
+    append(deliveryId, now);
+    return true;
+  }
+
+  function append(id, seenAt) {
+    if (!persistPath) return;
+
+    try {
+      if (fileEntries >= maxEntries * 2) {
+        compact();
+        return;
+      }
+      fs.mkdirSync(path.dirname(persistPath), { recursive: true });
+      fs.appendFileSync(persistPath, JSON.stringify({ id, seenAt }) + "\n");
+      fileEntries++;
+    } catch (error) {
+      console.error("Failed to persist delivery ID:", error.message);
+    }
+  }
+
+  // Rewrites the file with only the IDs still held in memory
+  function compact() {
+    const tmpPath = `${persistPath}.tmp`;
+    fs.writeFileSync(
+      tmpPath,
+      [...seen]
+        .map(([id, seenAt]) => JSON.stringify({ id, seenAt }) + "\n")
+        .join("")
+    );
+    fs.renameSync(tmpPath, persistPath);
+    fileEntries = seen.size;
+  }
+
+  // Loads the IDs seen before a restart; unreadable lines are skipped.
+  function restore() {
+    if (!persistPath || !fs.existsSync(persistPath)) return 0;
+
+    let lines;
+    try {
+      lines = fs.readFileSync(persistPath, "utf-8").split("\n");
+    } catch (error) {
+      console.error("Failed to restore delivery IDs:", error.message);
+      return 0;
+    }
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        const { id, seenAt } = JSON.parse(line);
+        seen.delete(id);
+        seen.set(id, seenAt);
+        fileEntries++;
+      } catch {
+        // A line cut short by a crash mid-write
+      }
+    }
+    prune(Date.now());
+
+    console.log(`♻️ Restored ${seen.size} recent delivery ID(s)`);
+    return seen.size;
+  }
+
+  return { record, restore, size: () => seen.size };
+}
+
+// The newest of a webhook event's own timestamps, in ms, or null when it has
+// none. The payload is signed, so unlike a header this cannot be forged.
+function eventTimestamp(payload) {
+  const times = [
+    payload?.comment?.updated_at,
+    payload?.pull_request?.updated_at,
+    payload?.issue?.updated_at,
+  ]
+    .map((value) => Date.parse(value))
+    .filter((time) => !Number.isNaN(time));
+
+  return times.length > 0 ? Math.max(...times) : null;
+}
+
+module.exports = { createDeliveryTracker, eventTimestamp, DEFAULT_TTL_MS };
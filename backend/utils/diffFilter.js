@@ -0,0 +1,61 @@
+// Splits analyzer findings by where they land relative to the PR diff. Only
+// lines present in the diff can carry inline review comments; anything else
+// is pre-existing code the PR did not touch.
+
+function buildLineIndex(changedFiles) {
+  const index = new Map();
+
+  for (const file of changedFiles) {
+    const added = new Set();
+    const context = new Set();
+
+    for (const line of file.changedLines) {
+      if (line.type === "add") added.add(line.lineNumber);
+      else context.add(line.lineNumber);
+    }
+
+    index.set(file.path, { added, context });
+  }
+
+  return index;
+}
+
+function locateIssue(issue, lineIndex) {
+  const lines = lineIndex.get(issue.path);
+  if (!lines || !issue.line) return "existing";
+  if (lines.added.has(issue.line)) return "added";
+  if (lines.context.has(issue.line)) return "context";
+  return "existing";
+}
+
+// Returns `issues` (findings the PR introduced, safe to post inline) and
+// `debt` (findings on lines the PR did not change). Context-line findings go
+// to `issues` only when `includeContext` is set; `existingDebt: drop`
+// discards debt instead of reporting it.
+function filterIssuesToDiff(issues, changedFiles, options = {}) {
+  const { includeContext = false, existingDebt = "summary" } = options;
+  const lineIndex = buildLineIndex(changedFiles);
+  const introduced = [];
+  const debt = [];
+
+  for (const issue of issues) {
+    const location = locateIssue(issue, lineIndex);
+
+    if (location === "added" || (location === "context" && includeContext)) {
+      introduced.push(issue);
+    } else {
+      debt.push(issue);
+    }
+  }
+
+  console.log(
+    `  ✂️ Diff filter: ${introduced.length} on changed lines, ${debt.length} pre-existing`
+  );
+
+  return {
+    issues: introduced,
+    debt: existingDebt === "drop" ? [] : debt,
+  };
+}
+
+module.exports = { filterIssuesToDiff };
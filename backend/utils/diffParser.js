@@ -10,18 +10,29 @@ function parseDiffData(diffString) {
       if (!filePath || filePath === "/dev/null") return null;
 
       const changedLines = [];
+      const hunks = [];
 
       file.chunks.forEach((chunk) => {
+        const hunkLines = [];
+
         chunk.changes.forEach((change) => {
           if (change.type === "add" || change.type === "normal") {
-            // ln2 is the line number in the new file, critical for GitHub comments
-            changedLines.push({
-              lineNumber: change.ln2,
+            // Line number in the new file, critical for GitHub comments.
+            // parse-diff reports it as `ln` for additions and `ln2` for context.
+            hunkLines.push({
+              lineNumber: change.type === "add" ? change.ln : change.ln2,
               content: change.content.substring(1).trim(),
               type: change.type,
             });
           }
         });
+
+        changedLines.push(...hunkLines);
+        hunks.push({
+          start: chunk.newStart,
+          end: chunk.newStart + Math.max(chunk.newLines - 1, 0),
+          changedLines: hunkLines,
+        });
       });
 
       return {
@@ -29,20 +40,50 @@ function parseDiffData(diffString) {
         additions: file.additions,
         deletions: file.deletions,
         changedLines,
+        hunks,
         language: detectLanguage(filePath),
       };
     })
     .filter((f) => f !== null);
 }
 
+// Same structure from the PR files API, which pages past the 300-file limit
+// of the diff media type. Each file also carries its head blob `sha` and
+// `status`; GitHub omits the patch of binary and very large files, which
+// then have no hunks.
+function parsePullRequestFiles(prFiles) {
+  return prFiles.flatMap((prFile) => {
+    const from =
+      prFile.status === "added"
+        ? "/dev/null"
+        : `a/${prFile.previous_filename || prFile.filename}`;
+    const to =
+      prFile.status === "removed" ? "/dev/null" : `b/${prFile.filename}`;
+
+    return parseDiffData(`--- ${from}\n+++ ${to}\n${prFile.patch || ""}`).map(
+      (file) => ({
+        ...file,
+        additions: prFile.additions,
+        deletions: prFile.deletions,
+        status: prFile.status,
+        sha: prFile.sha,
+      })
+    );
+  });
+}
+
 function detectLanguage(filename) {
   const ext = path.extname(filename).toLowerCase().substring(1);
 
   const languageMap = {
     js: "javascript",
     jsx: "javascript",
+    mjs: "javascript",
+    cjs: "javascript",
     ts: "typescript",
     tsx: "typescript",
+    mts: "typescript",
+    cts: "typescript",
     py: "python",
     java: "java",
     go: "go",
@@ -56,9 +97,11 @@ function detectLanguage(filename) {
     yml: "yaml",
     yaml: "yaml",
     md: "markdown",
+    sh: "shell",
+    bash: "shell",
   };
 
   return languageMap[ext] || "unknown";
 }
 
-module.exports = { parseDiff: parseDiffData };
+module.exports = { parseDiff: parseDiffData, parsePullRequestFiles };
@@ -0,0 +1,108 @@
+const util = require("util");
+const { AsyncLocalStorage } = require("async_hooks");
+
+// Structured JSON logs. Each line carries the correlation fields of the work
+// it belongs to (delivery ID, repo, PR, job), set with `withLogContext` and
+// carried across awaits. `installStructuredLogging` routes console.* through
+// the same format so existing messages are JSON too; LOG_FORMAT=pretty keeps
+// plain console output for local development.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const context = new AsyncLocalStorage();
+let format = "pretty";
+let minLevel = LEVELS.info;
+const originalConsole = {
+  log: console.log,
+  info: console.info,
+  warn: console.warn,
+  error: console.error,
+  debug: console.debug,
+};
+
+// Runs `fn` with `fields` added to the log context of everything it does
+function withLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+function logContext() {
+  return context.getStore() || {};
+}
+
+function write(level, message, fields = {}) {
+  if (LEVELS[level] < minLevel) return;
+
+  if (format !== "json") {
+    const args = Object.keys(fields).length > 0 ? [message, fields] : [message];
+    originalConsole[level === "debug" ? "log" : level](...args);
+    return;
+  }
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: message,
+    ...logContext(),
+    ...serializeFields(fields),
+  };
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(JSON.stringify(entry) + "\n");
+}
+
+function serializeFields(fields) {
+  const serialized = {};
+  for (const [key, value] of Object.entries(fields)) {
+    serialized[key] = value instanceof Error ? serializeError(value) : value;
+  }
+  return serialized;
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.status ? { status: error.status } : {}),
+    stack: error.stack,
+  };
+}
+
+const logger = {
+  debug: (message, fields) => write("debug", message, fields),
+  info: (message, fields) => write("info", message, fields),
+  warn: (message, fields) => write("warn", message, fields),
+  error: (message, fields) => write("error", message, fields),
+};
+
+// console.* arguments become the message; an Error argument is attached as
+// `error` with its stack.
+function consoleWriter(level) {
+  return (...args) => {
+    const error = args.find((arg) => arg instanceof Error);
+    const message = util
+      .format(...args.map((arg) => (arg === error ? error.message : arg)))
+      .trim();
+    write(level, message, error ? { error } : {});
+  };
+}
+
+function installStructuredLogging({
+  format: logFormat = "json",
+  level = "info",
+} = {}) {
+  format = logFormat;
+  minLevel = LEVELS[level] ?? LEVELS.info;
+  if (format !== "json") return;
+
+  console.log = consoleWriter("info");
+  console.info = consoleWriter("info");
+  console.warn = consoleWriter("warn");
+  console.error = consoleWriter("error");
+  console.debug = consoleWriter("debug");
+}
+
+module.exports = {
+  logger,
+  withLogContext,
+  logContext,
+  installStructuredLogging,
+};
@@ -0,0 +1,237 @@
+// In-process Prometheus metrics, served as text by GET /metrics. Counters
+// and histograms are updated where the work happens; gauges such as queue
+// depth are read when scraped through `onCollect`.
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+const registry = new Map(); // name -> metric
+const collectors = [];
+
+function labelKey(labels = {}) {
+  return JSON.stringify(
+    Object.keys(labels)
+      .sort()
+      .map((name) => [name, String(labels[name])])
+  );
+}
+
+function formatLabels(entries, extra = []) {
+  const all = [...entries, ...extra];
+  if (all.length === 0) return "";
+  return `{${all
+    .map(
+      ([name, value]) =>
+        `${name}="${value
+          .replace(/\\/g, "\\\\")
+          .replace(/"/g, '\\"')
+          .replace(/\n/g, "\\n")}"`
+    )
+    .join(",")}}`;
+}
+
+function register(name, help, type, metric) {
+  registry.set(name, { name, help, type, ...metric });
+  return metric;
+}
+
+function counter(name, help) {
+  const values = new Map();
+  return register(name, help, "counter", {
+    values,
+    inc(labels = {}, amount = 1) {
+      const key = labelKey(labels);
+      values.set(key, (values.get(key) || 0) + amount);
+    },
+  });
+}
+
+function gauge(name, help) {
+  const values = new Map();
+  return register(name, help, "gauge", {
+    values,
+    set(labels, value) {
+      values.set(labelKey(labels), value);
+    },
+  });
+}
+
+function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+  const series = new Map(); // label key -> { counts, sum, count }
+  return register(name, help, "histogram", {
+    series,
+    buckets,
+    observe(labels, value) {
+      const key = labelKey(labels);
+      if (!series.has(key)) {
+        series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+      }
+      const entry = series.get(key);
+      buckets.forEach((bound, i) => {
+        if (value <= bound) entry.counts[i]++;
+      });
+      entry.sum += value;
+      entry.count++;
+    },
+  });
+}
+
+// `fn` runs before every scrape, e.g. to set gauges from current state
+function onCollect(fn) {
+  collectors.push(fn);
+}
+
+function renderMetrics() {
+  collectors.forEach((fn) => fn());
+
+  const lines = [];
+  for (const metric of registry.values()) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+    if (metric.type === "histogram") {
+      for (const [key, entry] of metric.series) {
+        const labels = JSON.parse(key);
+        metric.buckets.forEach((bound, i) => {
+          lines.push(
+            `${metric.name}_bucket${formatLabels(labels, [
+              ["le", String(bound)],
+            ])} ${entry.counts[i]}`
+          );
+        });
+        lines.push(
+          `${metric.name}_bucket${formatLabels(labels, [["le", "+Inf"]])} ${
+            entry.count
+          }`,
+          `${metric.name}_sum${formatLabels(labels)} ${entry.sum}`,
+          `${metric.name}_count${formatLabels(labels)} ${entry.count}`
+        );
+      }
+    } else {
+      for (const [key, value] of metric.values) {
+        lines.push(`${metric.name}${formatLabels(JSON.parse(key))} ${value}`);
+      }
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+const metrics = {
+  webhookDeliveries: counter(
+    "reviewbot_webhook_deliveries_total",
+    "Webhook deliveries received, by event"
+  ),
+  reviews: counter(
+    "reviewbot_reviews_total",
+    "Review attempts by outcome (success, partial, error, superseded)"
+  ),
+  reviewDuration: histogram(
+    "reviewbot_review_duration_seconds",
+    "Wall time of a review from start to check run completion"
+  ),
+  stageDuration: histogram(
+    "reviewbot_review_stage_duration_seconds",
+    "Wall time of each stage of a review"
+  ),
+  analyzerDuration: histogram(
+    "reviewbot_analyzer_duration_seconds",
+    "Wall time of each analyzer per review"
+  ),
+  analyzerFindings: counter(
+    "reviewbot_analyzer_findings_total",
+    "Findings reported on changed lines, by analyzer and severity"
+  ),
+  publishFailures: counter(
+    "reviewbot_publish_failures_total",
+    "Review results that could not be posted to GitHub, by step"
+  ),
+  githubRequests: counter(
+    "reviewbot_github_requests_total",
+    "GitHub API requests by method, route and response status"
+  ),
+  githubRequestErrors: counter(
+    "reviewbot_github_request_errors_total",
+    "GitHub API requests that failed, by method, route and status"
+  ),
+  aiRequests: counter(
+    "reviewbot_ai_requests_total",
+    "AI provider completions by provider, model and outcome"
+  ),
+  aiTokens: counter(
+    "reviewbot_ai_tokens_total",
+    "AI tokens used by provider, model and type (prompt, completion)"
+  ),
+  queueJobs: gauge(
+    "reviewbot_queue_jobs",
+    "Reviews in the queue by state (running, pending, retrying)"
+  ),
+};
+
+// Counts every request an Octokit client makes, by route template so the
+// number of series stays bounded
+function instrumentOctokit(octokit) {
+  octokit.hook.wrap("request", async (request, options) => {
+    const labels = { method: options.method, route: routeLabel(options.url) };
+    try {
+      const response = await request(options);
+      metrics.githubRequests.inc({ ...labels, status: response.status });
+      return response;
+    } catch (error) {
+      const status = error.status || "network";
+      metrics.githubRequests.inc({ ...labels, status });
+      metrics.githubRequestErrors.inc({ ...labels, status });
+      throw error;
+    }
+  });
+  return octokit;
+}
+
+// Route templates pass through; absolute URLs, which `octokit.paginate`
+// requests for every page after the first, lose their host and query and
+// have their owner, repository and numeric IDs collapsed, e.g.
+// "https://api.github.com/repositories/42/pulls/7/files?page=2" becomes
+// "/repositories/{id}/pulls/{id}/files".
+function routeLabel(url) {
+  if (!/^https?:\/\//.test(url)) return url;
+  return new URL(url).pathname
+    .replace(/^\/repos\/[^/]+\/[^/]+/, "/repos/{owner}/{repo}")
+    .replace(/\/\d+(?=\/|$)/g, "/{id}");
+}
+
+// Times the stages of one review. `stage(name)` ends the running stage and
+// starts the next; `finish()` resolves the timings in milliseconds and
+// records them in the stage histogram.
+function startStageTimer() {
+  const stages = {};
+  let current = null;
+  let currentStart = 0;
+  const startedAt = Date.now();
+
+  function end() {
+    if (!current) return;
+    stages[current] = (stages[current] || 0) + (Date.now() - currentStart);
+    current = null;
+  }
+
+  return {
+    stage(name) {
+      end();
+      current = name;
+      currentStart = Date.now();
+    },
+    finish() {
+      end();
+      for (const [stage, ms] of Object.entries(stages)) {
+        metrics.stageDuration.observe({ stage }, ms / 1000);
+      }
+      return { stages, totalMs: Date.now() - startedAt };
+    },
+  };
+}
+
+module.exports = {
+  metrics,
+  onCollect,
+  renderMetrics,
+  instrumentOctokit,
+  startStageTimer,
+};
@@ -0,0 +1,163 @@
+// Lists a PR's changed files and fetches their head contents in a way that
+// scales to large PRs: the files API is paged instead of requesting one
+// diff, contents come from the git blob API (no 1 MB limit like the contents
+// API) with a bounded number of requests in flight, and file count and size
+// caps come from the `limits` section of .reviewbot.yml.
+
+const { parsePullRequestFiles } = require("./diffParser");
+
+const DEFAULT_LIMITS = {
+  maxFiles: 1000,
+  maxFileBytes: 1024 * 1024,
+  fetchConcurrency: 8,
+};
+
+async function listChangedFiles(octokit, owner, repo, prNumber) {
+  const prFiles = await octokit.paginate(octokit.pulls.listFiles, {
+    owner,
+    repo,
+    pull_number: prNumber,
+    per_page: 100,
+  });
+  return parsePullRequestFiles(prFiles);
+}
+
+// Runs `fn` over `items` with at most `limit` calls in flight; results keep
+// the order of `items`.
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  await Promise.all(
+    Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker)
+  );
+  return results;
+}
+
+// Blob sizes by path at `ref` from a single recursive tree listing, or null
+// when the tree is too big for GitHub to return in full.
+async function loadBlobSizes(octokit, owner, repo, ref) {
+  try {
+    const { data } = await octokit.git.getTree({
+      owner,
+      repo,
+      tree_sha: ref,
+      recursive: "true",
+    });
+    if (data.truncated) return null;
+
+    return new Map(
+      data.tree
+        .filter((entry) => entry.type === "blob")
+        .map((entry) => [entry.path, entry.size])
+    );
+  } catch (error) {
+    console.log(`⚠️ Could not list the tree at ${ref}: ${error.message}`);
+    return null;
+  }
+}
+
+// Resolves to { files, skipped }: `files` is `changedFiles` with `content`
+// set (null when not fetched) and `skipped` lists files left out by a limit
+// as { path, reason }. Files matching `alwaysFetch` ignore the caps.
+async function fetchFileContents(
+  octokit,
+  owner,
+  repo,
+  changedFiles,
+  { ref, limits = {}, alwaysFetch = () => false }
+) {
+  const { maxFiles, maxFileBytes, fetchConcurrency } = {
+    ...DEFAULT_LIMITS,
+    ...limits,
+  };
+  const sizes = await loadBlobSizes(octokit, owner, repo, ref);
+  const skipped = [];
+  let budget = maxFiles;
+
+  const files = await mapWithConcurrency(
+    changedFiles,
+    fetchConcurrency,
+    async (file) => {
+      if (file.status === "removed" || !file.sha) {
+        return { ...file, content: null };
+      }
+
+      const exempt = alwaysFetch(file);
+      if (!exempt) {
+        if (budget <= 0) {
+          skipped.push({ path: file.path, reason: `over ${maxFiles} files` });
+          return { ...file, content: null };
+        }
+        budget--;
+
+        const size = sizes && sizes.get(file.path);
+        if (size > maxFileBytes) {
+          skipped.push({
+            path: file.path,
+            reason: `${formatBytes(size)}, over ${formatBytes(maxFileBytes)}`,
+          });
+          return { ...file, content: null };
+        }
+      }
+
+      const content = await fetchBlob(octokit, owner, repo, file);
+      // Without a tree listing the size is only known once fetched
+      if (
+        !exempt &&
+        content !== null &&
+        !sizes &&
+        Buffer.byteLength(content) > maxFileBytes
+      ) {
+        skipped.push({
+          path: file.path,
+          reason: `over ${formatBytes(maxFileBytes)}`,
+        });
+        return { ...file, content: null };
+      }
+      return { ...file, content };
+    }
+  );
+
+  if (skipped.length > 0) {
+    console.log(`📦 ${skipped.length} file(s) over the configured limits`);
+  }
+  return { files, skipped };
+}
+
+// The blob's text, or null for binary files and failed requests
+async function fetchBlob(octokit, owner, repo, file) {
+  try {
+    const { data } = await octokit.git.getBlob({
+      owner,
+      repo,
+      file_sha: file.sha,
+    });
+    const content = Buffer.from(data.content, data.encoding || "base64");
+    if (content.includes(0)) return null;
+    return content.toString("utf-8");
+  } catch (error) {
+    console.log(`⚠️ Could not fetch ${file.path}: ${error.message}`);
+    return null;
+  }
+}
+
+function formatBytes(bytes) {
+  return bytes >= 1024 * 1024
+    ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+    : `${Math.round(bytes / 1024)} KB`;
+}
+
+module.exports = {
+  DEFAULT_LIMITS,
+  listChangedFiles,
+  fetchFileContents,
+  mapWithConcurrency,
+};
@@ -0,0 +1,111 @@
+// Chooses the GitHub review event ReviewBot submits (REQUEST_CHANGES,
+// APPROVE or COMMENT) from the score and severity counts, following the
+// `review` section of .reviewbot.yml, and dismisses ReviewBot's own earlier
+// blocking review once a later push no longer warrants it.
+
+const minimatch = require("minimatch");
+
+const DEFAULT_POLICY = {
+  advisory: false,
+  requestChangesOn: ["critical"],
+  requestChangesBelowScore: 0,
+  approveAtScore: null, // ReviewBot never approves unless this is set
+  dismissStale: true,
+};
+
+// The repo-wide policy with the first matching `branches` entry layered on
+// top. Branch keys are exact names or globs such as `release/*`.
+function resolveReviewPolicy(reviewConfig = {}, baseBranch) {
+  const { branches = {}, ...repoPolicy } = reviewConfig;
+  const branchKey = Object.keys(branches).find(
+    (pattern) => pattern === baseBranch || minimatch(baseBranch, pattern)
+  );
+
+  return {
+    ...DEFAULT_POLICY,
+    ...repoPolicy,
+    ...(branchKey ? branches[branchKey] : {}),
+  };
+}
+
+// Returns { event, reasons }; reasons explain a non-COMMENT event.
+function decideReviewEvent(score, counts, policy = DEFAULT_POLICY) {
+  if (policy.advisory) return { event: "COMMENT", reasons: [] };
+
+  const reasons = [];
+  for (const severity of policy.requestChangesOn) {
+    if (counts[severity] > 0) {
+      reasons.push(`${counts[severity]} ${severity} issue(s)`);
+    }
+  }
+  if (score < policy.requestChangesBelowScore) {
+    reasons.push(
+      `score ${score} is below the minimum of ${policy.requestChangesBelowScore}`
+    );
+  }
+  if (reasons.length > 0) return { event: "REQUEST_CHANGES", reasons };
+
+  if (policy.approveAtScore !== null && score >= policy.approveAtScore) {
+    return {
+      event: "APPROVE",
+      reasons: [
+        `score ${score} meets the approval threshold of ${policy.approveAtScore}`,
+      ],
+    };
+  }
+
+  return { event: "COMMENT", reasons: [] };
+}
+
+const REVIEW_STATES = {
+  REQUEST_CHANGES: "CHANGES_REQUESTED",
+  APPROVE: "APPROVED",
+};
+
+// Dismisses ReviewBot's earlier REQUEST_CHANGES or APPROVE review once the
+// latest run reaches a different verdict. `standingReview` comes from the
+// summary comment's state, so only reviews this app submitted are dismissed.
+async function dismissStaleReview(
+  octokit,
+  owner,
+  repo,
+  prNumber,
+  standingReview,
+  headSha
+) {
+  try {
+    const { data: review } = await octokit.pulls.getReview({
+      owner,
+      repo,
+      pull_number: prNumber,
+      review_id: standingReview.id,
+    });
+    if (review.state !== REVIEW_STATES[standingReview.event]) return false;
+
+    const sha = headSha.substring(0, 7);
+    await octokit.pulls.dismissReview({
+      owner,
+      repo,
+      pull_number: prNumber,
+      review_id: standingReview.id,
+      message:
+        standingReview.event === "REQUEST_CHANGES"
+          ? `The blocking issues were fixed as of ${sha}.`
+          : `New issues were found as of ${sha}.`,
+      event: "DISMISS",
+    });
+    console.log(`🔓 Dismissed earlier ${review.state} review ${review.id}`);
+    return true;
+  } catch (error) {
+    // Usually means the app lacks permission to dismiss reviews
+    console.log(`⚠️ Could not dismiss review: ${error.message}`);
+    return false;
+  }
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  resolveReviewPolicy,
+  decideReviewEvent,
+  dismissStaleReview,
+};
@@ -0,0 +1,302 @@
+const { fingerprintIssue } = require("./suppressions");
+
+// Tracks what ReviewBot posted on a PR in earlier runs so a new push updates
+// the existing review instead of piling up duplicates. State lives in hidden
+// HTML comments: one marker on the summary comment (carrying the keys of the
+// open findings and ReviewBot's standing review) and one on every inline
+// comment (carrying that finding's key, path, line and rule).
+
+const SUMMARY_MARKER = "<!-- reviewbot:summary -->";
+const STATE_PATTERN = /<!-- reviewbot:state ([A-Za-z0-9+/=]+) -->/;
+const FINDING_PATTERN = /<!-- reviewbot:finding ([A-Za-z0-9+/=]+) -->/;
+const IGNORE_PATTERN = /<!-- reviewbot:ignore ([^\s]+) -->/g;
+const OUTDATED_PREFIX =
+  "✅ **Outdated:** this issue no longer appears in the latest push.\n\n";
+
+// The summary state keeps a short prefix of each key, for at most
+// MAX_STATE_FINDINGS findings, so it stays far below GitHub's 65,536
+// character comment limit however many findings a PR has
+const STATE_KEY_LENGTH = 10;
+const MAX_STATE_FINDINGS = 1000;
+
+// The finding's fingerprint, which does not change when lines are added or
+// removed above it
+function findingKey(issue) {
+  return issue.fingerprint || fingerprintIssue(issue);
+}
+
+function parseFindingKey(key) {
+  const match = /^(.*):(\d+):(.*)$/.exec(key);
+  if (!match) return null;
+  return { path: match[1], line: parseInt(match[2], 10), rule: match[3] };
+}
+
+// Markers are only trusted on comments this GitHub App wrote itself, so
+// anyone else pasting one into a comment cannot steer the bot. Issue
+// comments name the app in `performed_via_github_app`; review comments do
+// not, so those are matched by the app's bot account, "<slug>[bot]", with
+// the slug from GITHUB_APP_NAME.
+function isOwnComment(comment) {
+  const app = comment.performed_via_github_app;
+  if (app) return String(app.id) === String(process.env.GITHUB_APP_ID);
+
+  const botLogin = `${process.env.GITHUB_APP_NAME || "sanjay-reviewbot"}[bot]`;
+  return (
+    Boolean(comment.user) &&
+    comment.user.type === "Bot" &&
+    String(comment.user.login).toLowerCase() === botLogin.toLowerCase()
+  );
+}
+
+// { key, path, line, rule } of the finding an inline comment was posted
+// for, or null. Markers from before keys were fingerprints hold a
+// "path:line:rule" string.
+function readFindingMarker(body) {
+  const match = body && body.match(FINDING_PATTERN);
+  const finding = match ? decode(match[1]) : null;
+  if (typeof finding === "string") {
+    const legacy = parseFindingKey(finding);
+    return legacy && { key: finding, ...legacy };
+  }
+  return finding && finding.key ? finding : null;
+}
+
+function ignoreMarker(rule) {
+  return `<!-- reviewbot:ignore ${rule} -->`;
+}
+
+function encode(value) {
+  return Buffer.from(JSON.stringify(value)).toString("base64");
+}
+
+function decode(encoded) {
+  try {
+    return JSON.parse(Buffer.from(encoded, "base64").toString("utf-8"));
+  } catch (error) {
+    return null;
+  }
+}
+
+function findingMarker(issue) {
+  const finding = {
+    key: findingKey(issue),
+    path: issue.path,
+    line: issue.line,
+    rule: issue.rule || issue.title,
+  };
+  return `<!-- reviewbot:finding ${encode(finding)} -->`;
+}
+
+function stateKey(issue) {
+  return findingKey(issue).substring(0, STATE_KEY_LENGTH);
+}
+
+// `standingReview` is { id, event } of ReviewBot's latest review that still
+// counts (a REQUEST_CHANGES or APPROVE), or null. Past MAX_STATE_FINDINGS
+// the state is marked truncated and the next run reports no new/fixed counts.
+function summaryMarker(issues, standingReview = null) {
+  const state = {
+    keys: issues.slice(0, MAX_STATE_FINDINGS).map(stateKey),
+    truncated: issues.length > MAX_STATE_FINDINGS,
+    review: standingReview,
+  };
+  return `${SUMMARY_MARKER}\n<!-- reviewbot:state ${encode(state)} -->`;
+}
+
+async function loadPreviousReview(octokit, owner, repo, prNumber) {
+  const [comments, reviewComments] = await Promise.all([
+    octokit.paginate(octokit.issues.listComments, {
+      owner,
+      repo,
+      issue_number: prNumber,
+      per_page: 100,
+    }),
+    octokit.paginate(octokit.pulls.listReviewComments, {
+      owner,
+      repo,
+      pull_number: prNumber,
+      per_page: 100,
+    }),
+  ]);
+
+  const ownComments = comments.filter((c) => c.body && isOwnComment(c));
+  const summaryComment =
+    ownComments.find((c) => c.body.includes(SUMMARY_MARKER)) || null;
+
+  // Rules silenced on this PR with `/reviewbot ignore <rule>`, answered in
+  // the conversation or in an inline thread
+  const ignoredRules = new Set();
+  const ownReviewComments = reviewComments.filter(
+    (c) => c.body && isOwnComment(c)
+  );
+  for (const comment of [...ownComments, ...ownReviewComments]) {
+    for (const match of comment.body.matchAll(IGNORE_PATTERN)) {
+      ignoredRules.add(match[1]);
+    }
+  }
+
+  // States from before keys were fingerprints (`findings`) or cut short at
+  // MAX_STATE_FINDINGS cannot be compared with this run
+  let previousKeys = null;
+  let standingReview = null;
+  if (summaryComment) {
+    const match = summaryComment.body.match(STATE_PATTERN);
+    const state = match && decode(match[1]);
+    if (state && state.keys && !state.truncated) {
+      previousKeys = new Set(state.keys);
+    }
+    standingReview = (state && state.review) || null;
+  }
+
+  // Keyed by finding; only top-level comments start a thread
+  const postedFindings = new Map();
+  for (const comment of reviewComments) {
+    if (comment.in_reply_to_id || !isOwnComment(comment)) continue;
+    const finding = readFindingMarker(comment.body);
+    if (finding && !postedFindings.has(finding.key)) {
+      postedFindings.set(finding.key, comment);
+    }
+  }
+
+  return {
+    summaryComment,
+    previousKeys,
+    postedFindings,
+    ignoredRules,
+    standingReview,
+  };
+}
+
+// New / fixed / still-open counts relative to the previous run, or null on
+// the first review of a PR.
+function diffAgainstPrevious(issues, previous) {
+  if (!previous || !previous.previousKeys) return null;
+
+  const currentKeys = new Set(issues.map(stateKey));
+  let added = 0;
+  let stillOpen = 0;
+
+  for (const key of currentKeys) {
+    if (previous.previousKeys.has(key)) stillOpen++;
+    else added++;
+  }
+
+  const fixed = [...previous.previousKeys].filter(
+    (key) => !currentKeys.has(key)
+  ).length;
+
+  return { new: added, fixed, stillOpen };
+}
+
+// Resolves the review threads of findings that no longer reproduce. When the
+// GraphQL API is unavailable the comment is edited to mark it outdated.
+async function resolveFixedThreads(
+  octokit,
+  owner,
+  repo,
+  prNumber,
+  issues,
+  previous
+) {
+  if (!previous || previous.postedFindings.size === 0) return 0;
+
+  const currentKeys = new Set(issues.map(findingKey));
+  const fixedComments = [...previous.postedFindings.entries()]
+    .filter(([key]) => !currentKeys.has(key))
+    .map(([, comment]) => comment);
+
+  if (fixedComments.length === 0) return 0;
+
+  let threads = null;
+  try {
+    threads = await listReviewThreads(octokit, owner, repo, prNumber);
+  } catch (error) {
+    console.log(`⚠️ Could not list review threads: ${error.message}`);
+  }
+
+  let resolved = 0;
+  for (const comment of fixedComments) {
+    const thread = threads && threads.get(comment.id);
+    if (thread && thread.isResolved) continue;
+
+    try {
+      if (thread) {
+        await octokit.graphql(
+          `mutation($threadId: ID!) {
+            resolveReviewThread(input: { threadId: $threadId }) {
+              thread { id }
+            }
+          }`,
+          { threadId: thread.id }
+        );
+      } else {
+        if (comment.body.startsWith(OUTDATED_PREFIX)) continue;
+        await octokit.pulls.updateReviewComment({
+          owner,
+          repo,
+          comment_id: comment.id,
+          body: `${OUTDATED_PREFIX}${comment.body}`,
+        });
+      }
+      resolved++;
+    } catch (error) {
+      console.log(
+        `⚠️ Could not resolve thread for ${comment.path}: ${error.message}`
+      );
+    }
+  }
+
+  console.log(`🧹 Resolved ${resolved} fixed finding thread(s)`);
+  return resolved;
+}
+
+// Maps the database id of each thread's first comment to the thread.
+async function listReviewThreads(octokit, owner, repo, prNumber) {
+  const threads = new Map();
+  let cursor = null;
+
+  do {
+    const result = await octokit.graphql(
+      `query($owner: String!, $repo: String!, $number: Int!, $cursor: String) {
+        repository(owner: $owner, name: $repo) {
+          pullRequest(number: $number) {
+            reviewThreads(first: 100, after: $cursor) {
+              pageInfo { hasNextPage endCursor }
+              nodes {
+                id
+                isResolved
+                comments(first: 1) { nodes { databaseId } }
+              }
+            }
+          }
+        }
+      }`,
+      { owner, repo, number: prNumber, cursor }
+    );
+
+    const page = result.repository.pullRequest.reviewThreads;
+    for (const thread of page.nodes) {
+      const first = thread.comments.nodes[0];
+      if (first) threads.set(first.databaseId, thread);
+    }
+    cursor =
+      page.pageInfo && page.pageInfo.hasNextPage
+        ? page.pageInfo.endCursor
+        : null;
+  } while (cursor);
+
+  return threads;
+}
+
+module.exports = {
+  SUMMARY_MARKER,
+  findingKey,
+  isOwnComment,
+  readFindingMarker,
+  findingMarker,
+  ignoreMarker,
+  summaryMarker,
+  loadPreviousReview,
+  diffAgainstPrevious,
+  resolveFixedThreads,
+};
@@ -0,0 +1,189 @@
+// Converts findings to SARIF 2.1.0, the format GitHub code scanning and most
+// CI dashboards read. Fingerprints use the same scheme as the baseline file,
+// so a finding keeps its identity when lines shift.
+
+const { fingerprintIssue } = require("./suppressions");
+const { SECURITY_RULES, cweUrl } = require("../analyzers/security/rules");
+const { version } = require("../../package.json");
+
+const SARIF_SCHEMA = "https://json.schemastore.org/sarif-2.1.0.json";
+const INFORMATION_URI = "https://github.com/apps/sanjay-reviewbot";
+
+const LEVELS = {
+  critical: "error",
+  high: "error",
+  medium: "warning",
+  low: "note",
+};
+
+// Read by code scanning to rank security alerts (CVSS-like, 0-10)
+const SECURITY_SEVERITY = {
+  critical: "9.5",
+  high: "8.0",
+  medium: "5.5",
+  low: "3.0",
+};
+
+// `files` supplies file contents for fingerprints; `uriBase` prefixes paths
+// for tools that need them relative to somewhere other than the repo root.
+function buildSarif(issues, files = [], { uriBase } = {}) {
+  const contents = new Map(files.map((f) => [f.path, f.content]));
+  const rules = [];
+  const ruleIndex = new Map();
+
+  const results = issues.map((issue) => {
+    const ruleId = issue.rule || "reviewbot";
+    if (!ruleIndex.has(ruleId)) {
+      ruleIndex.set(ruleId, rules.length);
+      rules.push(toRule(ruleId, issue));
+    }
+
+    const result = {
+      ruleId,
+      ruleIndex: ruleIndex.get(ruleId),
+      level: LEVELS[issue.severity] || "note",
+      message: {
+        text: issue.description
+          ? `${issue.title}\n\n${issue.description}`
+          : issue.title,
+      },
+      locations: [
+        {
+          physicalLocation: {
+            artifactLocation: {
+              uri: uriBase ? `${uriBase}/${issue.path}` : issue.path,
+            },
+            region: { startLine: issue.line || 1 },
+          },
+        },
+      ],
+      partialFingerprints: {
+        "reviewbot/v1": fingerprintIssue(issue, contents.get(issue.path)),
+      },
+      properties: {
+        severity: issue.severity,
+        category: issue.category,
+        ...(issue.confidence ? { confidence: issue.confidence } : {}),
+      },
+    };
+
+    if (issue.fix) {
+      result.fixes = [
+        {
+          description: { text: "Suggested fix" },
+          artifactChanges: [
+            {
+              artifactLocation: { uri: issue.path },
+              replacements: [
+                {
+                  deletedRegion: {
+                    startLine: issue.fix.startLine,
+                    endLine: issue.fix.endLine,
+                  },
+                  insertedContent: { text: issue.fix.replacement },
+                },
+              ],
+            },
+          ],
+        },
+      ];
+    }
+
+    return result;
+  });
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: "2.1.0",
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: "ReviewBot",
+            informationUri: INFORMATION_URI,
+            version,
+            rules,
+          },
+        },
+        results,
+      },
+    ],
+  };
+}
+
+// Rules whose findings each carry their own title, so the first finding's
+// title would be a misleading rule name
+const GENERIC_RULES = {
+  "ai-review": "AI review finding",
+  "eslint/parse-error": "File could not be parsed",
+  "function-complexity": "Function is too complex",
+  "dependency/lockfile-mismatch": "Lockfile out of sync with the manifest",
+  "dependency/loose-range": "Loose dependency version range",
+  "dependency/vulnerable": "Dependency with a known vulnerability",
+};
+
+// Rule metadata comes from the security rule catalog where the rule is in
+// it, so it is the same whichever finding of the rule comes first.
+function toRule(ruleId, issue) {
+  const known = SECURITY_RULES[ruleId];
+  const cwe = (known && known.cwe) || issue.cwe;
+  const title =
+    GENERIC_RULES[ruleId] ||
+    (known && known.title) ||
+    (ruleId.startsWith("eslint/")
+      ? `ESLint rule ${ruleId.slice("eslint/".length)}`
+      : issue.title);
+  const helpUri =
+    (known && known.documentation) ||
+    issue.documentation ||
+    (cwe ? cweUrl(cwe) : undefined);
+
+  const tags = [issue.category];
+  if (cwe) {
+    if (issue.category !== "security") tags.push("security");
+    tags.push(`external/cwe/${cwe.toLowerCase()}`);
+  }
+
+  return {
+    id: ruleId,
+    name: ruleName(ruleId),
+    shortDescription: { text: title },
+    ...(known
+      ? {
+          fullDescription: { text: known.description },
+          help: {
+            text: [known.description, known.suggestion, helpUri]
+              .filter(Boolean)
+              .join("\n\n"),
+            markdown: formatHelp(known, helpUri),
+          },
+        }
+      : {}),
+    helpUri,
+    defaultConfiguration: { level: LEVELS[issue.severity] || "note" },
+    properties: {
+      tags,
+      ...(issue.category === "security"
+        ? { "security-severity": SECURITY_SEVERITY[issue.severity] }
+        : {}),
+    },
+  };
+}
+
+// PascalCase name from the rule ID, e.g. eslint/no-unused-vars -> EslintNoUnusedVars
+function ruleName(ruleId) {
+  return ruleId
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map((part) => part[0].toUpperCase() + part.slice(1))
+    .join("");
+}
+
+function formatHelp(rule, helpUri) {
+  const parts = [rule.description];
+  if (rule.suggestion) parts.push("```\n" + rule.suggestion + "\n```");
+  if (helpUri) parts.push(`[Learn more](${helpUri})`);
+  return parts.join("\n\n");
+}
+
+module.exports = { buildSarif };
@@ -0,0 +1,67 @@
+const fs = require("fs");
+const path = require("path");
+
+// Keeps the SARIF report of the most recent review of each PR so it can be
+// downloaded as an artifact. Reports live in memory, bounded by `maxEntries`;
+// with `dir` set they are also written there, one file per PR, and survive a
+// restart.
+
+const DEFAULT_MAX_ENTRIES = 200;
+
+function createSarifStore({
+  dir = null,
+  maxEntries = DEFAULT_MAX_ENTRIES,
+} = {}) {
+  const reports = new Map(); // "owner/repo#number" -> entry, insertion ordered
+
+  function reportKey(owner, repo, prNumber) {
+    return `${owner}/${repo}#${prNumber}`.toLowerCase();
+  }
+
+  function reportPath(key) {
+    // Encoding keeps owner and repo names from escaping `dir`
+    return path.join(dir, `${encodeURIComponent(key)}.sarif.json`);
+  }
+
+  function save(owner, repo, prNumber, { headSha, sarif }) {
+    const key = reportKey(owner, repo, prNumber);
+    const entry = { headSha, createdAt: new Date().toISOString(), sarif };
+
+    reports.delete(key);
+    reports.set(key, entry);
+    for (const oldest of reports.keys()) {
+      if (reports.size <= maxEntries) break;
+      reports.delete(oldest);
+    }
+
+    if (dir) {
+      try {
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(reportPath(key), JSON.stringify(entry));
+      } catch (error) {
+        console.log(`⚠️ Could not save SARIF for ${key}: ${error.message}`);
+      }
+    }
+    return entry;
+  }
+
+  // The latest { headSha, createdAt, sarif } for the PR, or null
+  function get(owner, repo, prNumber) {
+    const key = reportKey(owner, repo, prNumber);
+    if (reports.has(key)) return reports.get(key);
+    if (!dir) return null;
+
+    try {
+      return JSON.parse(fs.readFileSync(reportPath(key), "utf-8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.log(`⚠️ Could not read SARIF for ${key}: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  return { save, get };
+}
+
+module.exports = { createSarifStore };
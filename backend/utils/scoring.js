@@ -1,42 +1,227 @@
-function calculateScore(issues, files) {
-  let score = 100;
+// Scores a change from 0 to 100 and explains the result. The model is
+// versioned (SCORING_MODEL_VERSION) so that scores from different models are
+// never compared; bump it whenever a change to this file moves scores.
+//
+// Model v2:
+// - each finding costs its severity's penalty, weighted by how reliable the
+//   reporting analyzer is and by the finding's own confidence
+// - repeats of a rule cost less each time (`repeatDecay`), so one noisy rule
+//   cannot sink a PR on its own
+// - medium and low findings are normalized by change size: past
+//   `referenceLines` changed lines (additions and deletions) their cost
+//   shrinks with the square root of the size; critical and high findings
+//   always cost in full
+// - changed source files are matched to changed test files, and the share of
+//   changed source lines with a matching test decides the test credit
 
-  const severityPenalties = {
+const SCORING_MODEL_VERSION = 2;
+
+const DEFAULT_SCORING = {
+  penalties: {
     critical: 25,
     high: 10,
     medium: 4,
     low: 1,
-  };
+  },
+  analyzerWeights: {
+    static: 1,
+    security: 1,
+    secrets: 1,
+    dependencies: 1,
+    complexity: 0.75,
+    ai: 0.6,
+  },
+  repeatDecay: 0.5,
+  referenceLines: 200,
+  largePrLines: 1000,
+  largePrPenalty: 5,
+  untestedLines: 50,
+  untestedPenalty: 15,
+  testBonus: 5,
+};
 
-  const totalLinesAdded = files.reduce((sum, f) => sum + f.additions, 0);
+const CONFIDENCE_WEIGHTS = { high: 1, medium: 0.8, low: 0.5 };
+const SIZE_NORMALIZED = ["medium", "low"];
 
-  // Deduct points for each issue
-  issues.forEach((issue) => {
-    score -= severityPenalties[issue.severity] || 2;
-  });
+const TEST_FILE_PATTERNS = [
+  /(^|\/)(__tests__|__mocks__|tests?|specs?)\//,
+  /\.(test|spec)\.[^/]+$/,
+  /_(test|spec)\.[^/]+$/,
+  /(^|\/)test_[^/]+\.py$/,
+  /(Test|Tests|Spec)\.(java|kt|scala|cs|php|swift)$/,
+];
+const SOURCE_EXTENSIONS =
+  /\.(m?[jt]sx?|cjs|py|rb|go|java|kt|scala|cs|php|swift|rs|c|cc|cpp|h|hpp)$/;
+
+function isTestFile(filePath) {
+  return TEST_FILE_PATTERNS.some((pattern) => pattern.test(filePath));
+}
 
-  // Small penalty for large PRs
-  if (totalLinesAdded > 200) {
-    score -= 5;
+// "src/utils/Foo.test.ts" -> "foo": the name a source file and its tests
+// have in common
+function testStem(filePath, isTest) {
+  let stem = filePath
+    .split("/")
+    .pop()
+    .replace(/\.[^.]+$/, "");
+  if (isTest) {
+    stem = stem
+      .replace(/[._-](test|spec)$/i, "")
+      .replace(/^test_/i, "")
+      .replace(/(?<=[a-z0-9])(Tests?|Spec)$/, "");
   }
+  return stem.toLowerCase();
+}
 
-  // Bonus/Penalty for Test files
-  const hasTestChanges = files.some(
-    (f) =>
-      f.path.includes("test") ||
-      f.path.includes("spec") ||
-      f.path.includes("__tests__")
+// Changed source files and whether a changed test file covers each. A test
+// covers a source file when their names match, e.g. src/cart.js and
+// test/cart.test.js or tests/test_cart.py.
+function matchTests(files) {
+  const testStems = new Set(
+    files
+      .filter((f) => isTestFile(f.path) && f.status !== "removed")
+      .map((f) => testStem(f.path, true))
   );
 
-  // Large code change without any corresponding test file changes is a red flag
-  if (!hasTestChanges && totalLinesAdded > 50) {
-    score -= 15;
-  } else if (hasTestChanges) {
-    score += 5; // Small bonus for including tests
+  return files
+    .filter(
+      (f) =>
+        !isTestFile(f.path) &&
+        SOURCE_EXTENSIONS.test(f.path) &&
+        f.status !== "removed"
+    )
+    .map((f) => ({
+      path: f.path,
+      lines: (f.additions || 0) + (f.deletions || 0),
+      tested: testStems.has(testStem(f.path, false)),
+    }));
+}
+
+function resolveWeights(options = {}) {
+  return {
+    ...DEFAULT_SCORING,
+    ...options,
+    penalties: { ...DEFAULT_SCORING.penalties, ...(options.penalties || {}) },
+    analyzerWeights: {
+      ...DEFAULT_SCORING.analyzerWeights,
+      ...(options.analyzerWeights || {}),
+    },
+  };
+}
+
+// Resolves to { score, version, breakdown } where breakdown explains every
+// point: `categories` maps each finding category to { findings, points },
+// and `adjustments` lists change-size and test terms as { reason, points }.
+function scoreChanges(issues, files, options = {}) {
+  const weights = resolveWeights(options);
+  const changedLines = files.reduce(
+    (sum, f) => sum + (f.additions || 0) + (f.deletions || 0),
+    0
+  );
+  const sizeFactor = Math.min(
+    1,
+    Math.sqrt(weights.referenceLines / Math.max(changedLines, 1))
+  );
+
+  // Most expensive first, so the decay applies to the cheaper repeats
+  const weighted = issues
+    .map((issue) => ({
+      issue,
+      points:
+        (weights.penalties[issue.severity] ?? 2) *
+        (weights.analyzerWeights[issue.analyzer] ?? 1) *
+        (CONFIDENCE_WEIGHTS[issue.confidence] ?? 1) *
+        (SIZE_NORMALIZED.includes(issue.severity) ? sizeFactor : 1),
+    }))
+    .sort((a, b) => b.points - a.points);
+
+  const seenRules = new Map();
+  const categories = {};
+  for (const { issue, points } of weighted) {
+    const rule = issue.rule || issue.title;
+    const repeats = seenRules.get(rule) || 0;
+    seenRules.set(rule, repeats + 1);
+
+    const category = issue.category || "quality";
+    if (!categories[category])
+      categories[category] = { findings: 0, points: 0 };
+    categories[category].findings++;
+    categories[category].points += points * weights.repeatDecay ** repeats;
   }
+  for (const category of Object.values(categories)) {
+    category.points = round(category.points);
+  }
+
+  const adjustments = [];
+  if (changedLines > weights.largePrLines) {
+    adjustments.push({
+      reason: `${changedLines} changed lines, over ${weights.largePrLines}`,
+      points: -weights.largePrPenalty,
+    });
+  }
+
+  const sources = matchTests(files);
+  const sourceLines = sources.reduce((sum, f) => sum + f.lines, 0);
+  const testedLines = sources
+    .filter((f) => f.tested)
+    .reduce((sum, f) => sum + f.lines, 0);
+  const coverage = sourceLines > 0 ? testedLines / sourceLines : 0;
+  const tested = sources.filter((f) => f.tested).length;
+
+  if (sourceLines > weights.untestedLines && coverage < 1) {
+    adjustments.push({
+      reason: `${sources.length - tested} of ${
+        sources.length
+      } changed source file(s) without matching test changes`,
+      points: -round(weights.untestedPenalty * (1 - coverage)),
+    });
+  }
+  if (coverage > 0) {
+    adjustments.push({
+      reason: `${tested} changed source file(s) with matching test changes`,
+      points: round(weights.testBonus * coverage),
+    });
+  }
+
+  const findingPoints = Object.values(categories).reduce(
+    (sum, c) => sum + c.points,
+    0
+  );
+  const adjustmentPoints = adjustments.reduce((sum, a) => sum + a.points, 0);
+  const score = Math.max(
+    0,
+    Math.min(100, Math.round(100 - findingPoints + adjustmentPoints))
+  );
+
+  return {
+    score,
+    version: SCORING_MODEL_VERSION,
+    breakdown: {
+      changedLines,
+      sizeFactor: round(sizeFactor),
+      categories,
+      adjustments: adjustments.filter((a) => a.points !== 0),
+      testCoverage: {
+        sourceFiles: sources.length,
+        tested,
+        ratio: round(coverage),
+      },
+    },
+  };
+}
+
+function calculateScore(issues, files, options = {}) {
+  return scoreChanges(issues, files, options).score;
+}
 
-  // Ensure score is between 0 and 100
-  return Math.max(0, Math.min(100, Math.round(score)));
+function round(value) {
+  return Math.round(value * 100) / 100;
 }
 
-module.exports = { calculateScore };
+module.exports = {
+  SCORING_MODEL_VERSION,
+  scoreChanges,
+  calculateScore,
+  isTestFile,
+  matchTests,
+};
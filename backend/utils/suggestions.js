@@ -0,0 +1,74 @@
+// Turns an issue's `fix` ({ startLine, endLine, replacement }, plus the
+// `original` text it was computed against when known) into a GitHub
+// suggested change the author can apply with one click. A fix is only used
+// when it still applies cleanly to the head version of the file: its lines
+// exist, match `original`, sit inside one diff hunk (GitHub rejects
+// multi-line comments that span hunks) and include the flagged line.
+
+function splitLines(content) {
+  return content.replace(/\r\n/g, "\n").split("\n");
+}
+
+function resolveSuggestion(issue, file, changedFile) {
+  const { fix } = issue;
+  if (!fix || !file || !file.content || !changedFile) return null;
+
+  const { startLine, endLine, replacement } = fix;
+  if (
+    startLine < 1 ||
+    endLine < startLine ||
+    issue.line < startLine ||
+    issue.line > endLine
+  ) {
+    return null;
+  }
+
+  const lines = splitLines(file.content);
+  if (endLine > lines.length) return null;
+  const current = lines.slice(startLine - 1, endLine).join("\n");
+  if (fix.original !== undefined && fix.original !== current) return null;
+  if (replacement === current) return null;
+
+  const inOneHunk = changedFile.hunks.some(
+    (hunk) => startLine >= hunk.start && endLine <= hunk.end
+  );
+  if (!inOneHunk) return null;
+
+  return { startLine, endLine, code: replacement };
+}
+
+// Sets `suggestedChange` on every issue whose fix applies cleanly
+function attachSuggestions(issues, files, changedFiles) {
+  let attached = 0;
+
+  const result = issues.map((issue) => {
+    const suggestedChange = resolveSuggestion(
+      issue,
+      files.find((f) => f.path === issue.path),
+      changedFiles.find((f) => f.path === issue.path)
+    );
+    if (!suggestedChange) return issue;
+
+    attached++;
+    return { ...issue, suggestedChange };
+  });
+
+  if (attached > 0) console.log(`  🩹 ${attached} one-click suggestion(s)`);
+  return result;
+}
+
+// A ```suggestion block, fenced with more backticks than the code contains
+function formatSuggestionBlock(code) {
+  const longestRun = Math.max(
+    2,
+    ...(code.match(/`+/g) || []).map((run) => run.length)
+  );
+  const fence = "`".repeat(longestRun + 1);
+  return `${fence}suggestion\n${code}${code ? "\n" : ""}${fence}`;
+}
+
+module.exports = {
+  attachSuggestions,
+  resolveSuggestion,
+  formatSuggestionBlock,
+};
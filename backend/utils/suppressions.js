@@ -0,0 +1,186 @@
+const crypto = require("crypto");
+
+// Findings can be suppressed three ways, all applied centrally so every
+// analyzer honours them:
+//   - in-code directives, e.g.
+//       // reviewbot-ignore-next-line path-traversal -- import path, not user input
+//     (`-line` for the same line, `-file` for the whole file, no rules = all)
+//   - a committed baseline file of accepted findings, matched by fingerprint
+//   - rules ignored on the PR with `/reviewbot ignore <rule>`
+
+const DEFAULT_BASELINE_PATH = ".reviewbot-baseline.json";
+
+const DIRECTIVE_PATTERN =
+  /(?:\/\/|\/\*|#|<!--|--)\s*reviewbot-ignore(-next-line|-line|-file)\b([^\n]*)/;
+
+function parseDirective(text) {
+  const match = DIRECTIVE_PATTERN.exec(text);
+  if (!match) return null;
+
+  const rest = match[2].replace(/\s*(?:\*\/|-->)\s*$/, "");
+  const [rulePart, ...reasonParts] = rest.split(/\s--\s?/);
+  const rules = rulePart
+    .split(/[\s,]+/)
+    .map((rule) => rule.trim())
+    .filter(Boolean);
+
+  return {
+    scope: match[1].substring(1), // "next-line" | "line" | "file"
+    rules,
+    reason: reasonParts.join(" -- ").trim() || null,
+  };
+}
+
+// Collects directives per line: line number -> [{ rules, reason }], with
+// file-wide directives under line 0.
+function collectDirectives(content) {
+  const directives = new Map();
+  const add = (line, directive) => {
+    if (!directives.has(line)) directives.set(line, []);
+    directives.get(line).push(directive);
+  };
+
+  content.split("\n").forEach((text, index) => {
+    const directive = parseDirective(text);
+    if (!directive) return;
+
+    const lineNumber = index + 1;
+    if (directive.scope === "file") add(0, directive);
+    else if (directive.scope === "line") add(lineNumber, directive);
+    else add(lineNumber + 1, directive);
+  });
+
+  return directives;
+}
+
+function ruleMatches(rules, issue) {
+  return (
+    rules.length === 0 ||
+    rules.includes(issue.rule) ||
+    // ESLint rules may be written without their `eslint/` prefix
+    rules.some((rule) => `eslint/${rule}` === issue.rule)
+  );
+}
+
+// Stable across line shifts: built from the path, the rule and the trimmed
+// text of the flagged line rather than the line number.
+function fingerprintIssue(issue, content) {
+  const lineText =
+    content && issue.line
+      ? (content.split("\n")[issue.line - 1] || "").trim()
+      : "";
+  return crypto
+    .createHash("sha256")
+    .update(`${issue.path}\0${issue.rule || issue.title}\0${lineText}`)
+    .digest("hex")
+    .substring(0, 20);
+}
+
+async function loadBaseline(octokit, owner, repo, ref, baselinePath) {
+  const filePath = baselinePath || DEFAULT_BASELINE_PATH;
+
+  try {
+    const { data } = await octokit.repos.getContent({
+      owner,
+      repo,
+      path: filePath,
+      ref,
+    });
+    return parseBaseline(Buffer.from(data.content, "base64").toString("utf-8"));
+  } catch (error) {
+    if (error.status !== 404) {
+      console.log(`⚠️ Could not load baseline ${filePath}: ${error.message}`);
+    }
+    return new Map();
+  }
+}
+
+// Maps fingerprint -> accepted finding entry.
+function parseBaseline(raw) {
+  const baseline = new Map();
+  const parsed = JSON.parse(raw);
+
+  for (const entry of parsed.findings || []) {
+    if (entry && entry.fingerprint) baseline.set(entry.fingerprint, entry);
+  }
+
+  return baseline;
+}
+
+// Produces a baseline file body accepting every given finding.
+function buildBaseline(issues, files) {
+  const contents = new Map(files.map((f) => [f.path, f.content]));
+
+  return {
+    version: 1,
+    findings: issues.map((issue) => ({
+      fingerprint: fingerprintIssue(issue, contents.get(issue.path)),
+      rule: issue.rule,
+      path: issue.path,
+      title: issue.title,
+      reason: "Accepted when the baseline was created",
+    })),
+  };
+}
+
+// Returns the remaining `issues` and the `suppressed` ones, each tagged with
+// the source and reason of its suppression.
+function applySuppressions(issues, files, { baseline, ignoredRules } = {}) {
+  const contents = new Map(files.map((f) => [f.path, f.content]));
+  const directivesByPath = new Map();
+  const kept = [];
+  const suppressed = [];
+
+  for (const issue of issues) {
+    const content = contents.get(issue.path);
+
+    if (content && !directivesByPath.has(issue.path)) {
+      directivesByPath.set(issue.path, collectDirectives(content));
+    }
+    const directives = directivesByPath.get(issue.path);
+    const inline =
+      directives &&
+      [
+        ...(directives.get(issue.line) || []),
+        ...(directives.get(0) || []),
+      ].find((directive) => ruleMatches(directive.rules, issue));
+
+    if (inline) {
+      suppressed.push({ issue, source: "inline", reason: inline.reason });
+      continue;
+    }
+
+    if (ignoredRules && ignoredRules.has(issue.rule)) {
+      suppressed.push({
+        issue,
+        source: "command",
+        reason: "`/reviewbot ignore` on this PR",
+      });
+      continue;
+    }
+
+    const accepted = baseline && baseline.get(fingerprintIssue(issue, content));
+    if (accepted) {
+      suppressed.push({ issue, source: "baseline", reason: accepted.reason });
+      continue;
+    }
+
+    kept.push(issue);
+  }
+
+  if (suppressed.length > 0) {
+    console.log(`  🙈 Suppressed ${suppressed.length} finding(s)`);
+  }
+
+  return { issues: kept, suppressed };
+}
+
+module.exports = {
+  DEFAULT_BASELINE_PATH,
+  parseDirective,
+  fingerprintIssue,
+  loadBaseline,
+  parseBaseline,
+  buildBaseline,
+  applySuppressions,
+};
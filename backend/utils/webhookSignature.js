@@ -0,0 +1,18 @@
+const crypto = require("crypto");
+
+// Checks an X-Hub-Signature-256 header: an HMAC of the exact bytes GitHub
+// sent, not of a re-serialized body, compared in constant time.
+function isValidSignature(rawBody, signature, secret) {
+  const digest = Buffer.from(
+    "sha256=" +
+      crypto.createHmac("sha256", secret).update(rawBody).digest("hex")
+  );
+  const received = Buffer.from(signature);
+
+  return (
+    received.length === digest.length &&
+    crypto.timingSafeEqual(received, digest)
+  );
+}
+
+module.exports = { isValidSignature };
@@ -1,11 +1,50 @@
 const { Octokit } = require("@octokit/rest");
 const { createAppAuth } = require("@octokit/auth-app"); // NEW Import
-const { parseDiff } = require("./utils/diffParser");
-const { analyzeStaticIssues } = require("./analyzers/staticAnalyzer");
-const { analyzeSecurityIssues } = require("./analyzers/securityAnalyzer");
-const { analyzeComplexity } = require("./analyzers/complexityAnalyzer");
-const { performAIReview } = require("./analyzers/aiReviewer");
-const { calculateScore } = require("./utils/scoring");
+const {
+  listChangedFiles,
+  fetchFileContents,
+} = require("./utils/pullRequestFiles");
+const {
+  loadRepoEslintConfig,
+} = require("./analyzers/linters/repoEslintConfig");
+const { isDependencyFile } = require("./analyzers/dependencies/manifests");
+const { analyzeChanges, countBySeverity } = require("./reviewPipeline");
+const {
+  resolveReviewPolicy,
+  decideReviewEvent,
+  dismissStaleReview,
+} = require("./utils/reviewPolicy");
+const { loadBaseline } = require("./utils/suppressions");
+const { cweUrl } = require("./analyzers/security/rules");
+const { formatSuggestionBlock } = require("./utils/suggestions");
+const {
+  findingKey,
+  findingMarker,
+  summaryMarker,
+  loadPreviousReview,
+  diffAgainstPrevious,
+  resolveFixedThreads,
+} = require("./utils/reviewState");
+const {
+  startCheckRun,
+  markCheckRunInProgress,
+  completeCheckRun,
+  abortCheckRun,
+} = require("./utils/checkRun");
+const { loadRepoConfig, isIgnored } = require("./utils/config");
+const { buildSarif } = require("./utils/sarif");
+const { uploadSarif, codeScanningUrl } = require("./utils/codeScanning");
+const { logger } = require("./utils/logger");
+const {
+  metrics,
+  instrumentOctokit,
+  startStageTimer,
+} = require("./utils/metrics");
+
+const FULL_REVIEW_MAX_AI_FILES = 50;
+const DEFAULT_MAX_INLINE_COMMENTS = 90;
+const DEFAULT_COMMENTS_PER_REVIEW = 30;
+const SEVERITY_RANK = { critical: 0, high: 1, medium: 2, low: 3 };
 
 // --- Centralized Octokit Initialization for App Authentication ---
 
@@ -29,14 +68,75 @@ async function getInstallationOctokit(installationId) {
 
   const installationAuthentication = await auth({ type: "installation" });
 
-  return new Octokit({
-    auth: installationAuthentication.token,
-  });
+  return instrumentOctokit(
+    new Octokit({
+      auth: installationAuthentication.token,
+    })
+  );
+}
+
+// Creates the check run of a review that is being enqueued, as "queued", when
+// the repository's config asks for one. Resolves to its ID, or null.
+async function queueCheckRun(payload) {
+  const { repository, pull_request } = payload;
+
+  try {
+    const octokit = await getInstallationOctokit(payload.installation.id);
+    const { config } = await loadRepoConfig(
+      octokit,
+      repository.owner.login,
+      repository.name,
+      pull_request.base.ref
+    );
+    if (!config.check.enabled) return null;
+
+    return await startCheckRun(
+      octokit,
+      repository.owner.login,
+      repository.name,
+      pull_request.head.sha,
+      "queued"
+    );
+  } catch (error) {
+    console.error("Could not create queued check run:", error.message);
+    return null;
+  }
+}
+
+// Closes the check run of a review that a newer push superseded, whether it
+// was running or still waiting in the queue
+async function closeSupersededCheckRun(payload) {
+  const checkRunId = payload.reviewbot?.checkRunId;
+  if (!checkRunId) return;
+
+  try {
+    const octokit = await getInstallationOctokit(payload.installation.id);
+    await abortCheckRun(
+      octokit,
+      payload.repository.owner.login,
+      payload.repository.name,
+      checkRunId,
+      "Superseded by a newer push",
+      "A newer commit was pushed before this review finished."
+    );
+  } catch (error) {
+    console.error("Could not close superseded check run:", error.message);
+  }
 }
 
 // --- Main Handler Function ---
 
-async function handlePullRequestEvent(payload) {
+// `signal` aborts the review when a newer push supersedes it. Errors are
+// rethrown so the job queue can retry; the check run is closed and the error
+// comment posted only once `finalAttempt` fails. The SARIF report of each review is kept in
+// `sarifStore` and the run recorded in `historyStore`, when given.
+async function handlePullRequestEvent(
+  payload,
+  { signal, finalAttempt = true, sarifStore = null, historyStore = null } = {}
+) {
+  const startedAt = new Date();
+  const timer = startStageTimer();
+  timer.stage("auth");
   const { repository, pull_request } = payload;
   const owner = repository.owner.login;
   const repo = repository.name;
@@ -50,84 +150,288 @@ async function handlePullRequestEvent(payload) {
   console.log(`\n📊 Analyzing PR #${prNumber} in ${owner}/${repo}`);
   console.log(`🔗 ${pull_request.html_url}`);
 
+  let checkRunId = null;
+  const publishFailures = [];
+
   try {
-    // Step 1: Get PR diff
-    const { data: diffData } = await octokit.pulls.get({
+    // Step 0: Load .reviewbot.yml from the base branch and open the check run
+    timer.stage("config");
+    const { config, errors: configErrors } = await loadRepoConfig(
+      octokit,
       owner,
       repo,
-      pull_number: prNumber,
-      mediaType: { format: "diff" },
-    });
+      pull_request.base.ref
+    );
+    const analyzers = config.analyzers;
 
-    // Step 2: Parse diff to extract changed files and lines
-    const changedFiles = parseDiff(diffData);
+    // `/reviewbot full` lifts the AI file limit for this run
+    if (payload.reviewbot?.full) {
+      analyzers.ai = { ...analyzers.ai, maxFiles: FULL_REVIEW_MAX_AI_FILES };
+    }
+
+    // The run is usually created as "queued" when the review was enqueued,
+    // and every attempt reuses it
+    checkRunId = payload.reviewbot?.checkRunId || null;
+    if (checkRunId) {
+      await markCheckRunInProgress(octokit, owner, repo, checkRunId);
+    } else if (config.check.enabled) {
+      checkRunId = await startCheckRun(
+        octokit,
+        owner,
+        repo,
+        pull_request.head.sha
+      );
+    }
+
+    // Steps 1-2: List the changed files and lines, page by page
+    timer.stage("list_files");
+    const changedFiles = (
+      await listChangedFiles(octokit, owner, repo, prNumber)
+    ).filter((file) => !isIgnored(file.path, config));
     if (changedFiles.length === 0) {
       console.log("⏭️ No code changes detected");
+      timer.stage("check_run");
+      await completeCheckRun(octokit, owner, repo, checkRunId, {
+        issues: [],
+        score: 100,
+        counts: countBySeverity([]),
+        policy: config.check,
+      });
+      recordOutcome("skipped", timer);
       return;
     }
 
-    // Step 3: Get file contents for analysis
-    const filesWithContent = await Promise.all(
-      changedFiles.map(async (file) => {
-        if (file.additions > 500) return { ...file, content: null };
-
-        try {
-          const { data } = await octokit.repos.getContent({
-            owner,
-            repo,
-            path: file.path,
-            ref: pull_request.head.sha,
-          });
-
-          const content = Buffer.from(data.content, "base64").toString("utf-8");
-          return { ...file, content };
-        } catch (error) {
-          console.log(`⚠️ Could not fetch ${file.path}: ${error.message}`);
-          return { ...file, content: null };
-        }
-      })
+    // Step 3: Get file contents for analysis within the configured limits.
+    // Dependency files are always fetched, however large; lockfiles only go
+    // to the dependency review.
+    timer.stage("fetch_files");
+    const { files: filesWithContent, skipped: oversizedFiles } =
+      await fetchFileContents(octokit, owner, repo, changedFiles, {
+        ref: pull_request.head.sha,
+        limits: config.limits,
+        alwaysFetch: (file) => isDependencyFile(file.path),
+      });
+
+    // `eslintConfig: repo` lints with the ESLint config from the base commit
+    timer.stage("load_context");
+    const staticOptions = { ...analyzers.static };
+    const linterNotices = [];
+    if (analyzers.static.enabled && analyzers.static.eslintConfig === "repo") {
+      try {
+        const { config: eslintConfig, notice } = await loadRepoEslintConfig(
+          octokit,
+          owner,
+          repo,
+          pull_request.base.sha
+        );
+        staticOptions.repoEslintConfig = eslintConfig;
+        if (notice) linterNotices.push(notice);
+      } catch (error) {
+        console.error("Error loading repository ESLint config:", error.message);
+      }
+      if (!staticOptions.repoEslintConfig && linterNotices.length === 0) {
+        linterNotices.push(
+          "`eslintConfig: repo` is set but no ESLint config could be loaded from the base branch; ReviewBot's built-in rules were used"
+        );
+      }
+    }
+
+    // What earlier runs posted, and rules silenced via `/reviewbot ignore`
+    let previous = null;
+    try {
+      previous = await loadPreviousReview(octokit, owner, repo, prNumber);
+    } catch (error) {
+      console.log(`⚠️ Could not load previous review: ${error.message}`);
+    }
+    const ignoredRules = new Set([
+      ...(previous ? previous.ignoredRules : []),
+      ...(payload.reviewbot?.ignoredRules || []),
+    ]);
+
+    const baseline = await loadBaseline(
+      octokit,
+      owner,
+      repo,
+      pull_request.base.ref,
+      config.baseline.path
     );
 
-    const reviewableFiles = filesWithContent.filter((f) => f.content);
-
-    // Step 4: Run all analyzers in parallel
-    console.log("🔍 Running analysis...");
-    const [staticIssues, securityIssues, complexityIssues, aiReviews] =
-      await Promise.all([
-        analyzeStaticIssues(reviewableFiles),
-        analyzeSecurityIssues(reviewableFiles),
-        analyzeComplexity(reviewableFiles),
-        performAIReview(reviewableFiles, changedFiles),
-      ]);
-
-    // Step 5: Combine all issues
-    const allIssues = [
-      ...staticIssues,
-      ...securityIssues,
-      ...complexityIssues,
-      ...aiReviews,
-    ];
-
-    // Step 6: Post review comments (Inline)
-    if (allIssues.length > 0) {
+    // Steps 4-5: Run the analyzers and keep the findings on changed lines
+    timer.stage("analysis");
+    const {
+      issues: allIssues,
+      existingIssues,
+      suppressed,
+      score,
+      scoreVersion,
+      scoreBreakdown,
+      counts,
+      staticReview,
+      dependencyReview,
+      fetchedFiles,
+      durations: analyzerDurations,
+    } = await analyzeChanges(changedFiles, filesWithContent, config, {
+      staticOptions,
+      baseline,
+      ignoredRules,
+      signal,
+      readFile: (filePath, side) =>
+        fetchFileContent(
+          octokit,
+          owner,
+          repo,
+          filePath,
+          side === "base" ? pull_request.base.sha : pull_request.head.sha
+        ),
+    });
+
+    // Nothing has been posted yet, so a superseded review can stop cleanly
+    signal?.throwIfAborted();
+
+    // Step 6: Submit the review with the event the base branch's policy picks,
+    // posting inline comments not already posted by an earlier run, and
+    // resolve threads whose issue has gone away
+    const reviewPolicy = resolveReviewPolicy(
+      config.review,
+      pull_request.base.ref
+    );
+    const reviewDecision = decideReviewEvent(score, counts, reviewPolicy);
+
+    timer.stage("review_comments");
+    const { standingReview, overflow, failedBatches } =
       await postReviewComments(
         octokit,
         owner,
         repo,
         prNumber,
         pull_request.head.sha,
-        allIssues
+        allIssues,
+        previous,
+        {
+          decision: reviewDecision,
+          policy: reviewPolicy,
+          limits: config.limits,
+        }
       );
+    if (failedBatches > 0) {
+      publishFailures.push({ step: "review_comments", count: failedBatches });
     }
+    timer.stage("resolve_threads");
+    await resolveFixedThreads(
+      octokit,
+      owner,
+      repo,
+      prNumber,
+      allIssues,
+      previous
+    );
+
+    // Export the findings as SARIF for download and, when enabled, for the
+    // repository's code scanning alerts
+    timer.stage("sarif");
+    const sarif = buildSarif(allIssues, fetchedFiles);
+    sarifStore?.save(owner, repo, prNumber, {
+      headSha: pull_request.head.sha,
+      sarif,
+    });
+    const sarifUploadId = config.codeScanning.upload
+      ? await uploadSarif(octokit, owner, repo, {
+          sarif,
+          commitSha: pull_request.head.sha,
+          ref: `refs/pull/${prNumber}/head`,
+        })
+      : null;
 
     // Step 7: Post summary comment
-    const score = calculateScore(allIssues, reviewableFiles);
     // Note: The PUBLIC_LINK environment variable should be set to your GitHub App's installation link
-    await postSummaryComment(octokit, owner, repo, prNumber, allIssues, score);
+    timer.stage("summary_comment");
+    const summaryPosted = await postSummaryComment(
+      octokit,
+      owner,
+      repo,
+      prNumber,
+      allIssues,
+      score,
+      {
+        scoreVersion,
+        scoreBreakdown,
+        configErrors,
+        existingIssues,
+        suppressed,
+        previous,
+        dependencyChanges: dependencyReview.changes,
+        skippedLinters: staticReview.skipped,
+        linterNotices: [...linterNotices, ...staticReview.notices],
+        reviewDecision,
+        standingReview,
+        overflow,
+        oversizedFiles,
+        codeScanningLink: sarifUploadId
+          ? codeScanningUrl(owner, repo, prNumber)
+          : null,
+      }
+    );
+
+    if (!summaryPosted) {
+      publishFailures.push({ step: "summary_comment", count: 1 });
+    }
 
-    console.log("✅ Review completed successfully!");
+    // Step 8: Complete the check run with annotations and a conclusion
+    timer.stage("check_run");
+    await completeCheckRun(octokit, owner, repo, checkRunId, {
+      issues: allIssues,
+      score,
+      counts,
+      policy: config.check,
+    });
+
+    const timing = recordOutcome(
+      publishFailures.length > 0 ? "partial" : "success",
+      timer,
+      {
+        score,
+        counts,
+        findings: allIssues.length,
+        analyzerDurations,
+        publishFailures,
+      }
+    );
+    historyStore?.record({
+      repo: repository.full_name,
+      pr: prNumber,
+      installationId,
+      headSha: pull_request.head.sha,
+      baseRef: pull_request.base.ref,
+      startedAt: startedAt.toISOString(),
+      durationMs: timing.totalMs,
+      stages: timing.stages,
+      analyzerDurations,
+      publishFailures,
+      score,
+      scoreVersion,
+      counts,
+      issues: allIssues,
+    });
   } catch (error) {
-    console.error("❌ Error analyzing PR:", error);
+    // A superseded review's check run is closed by the queue; one that will
+    // be retried stays in progress
+    if (signal?.aborted) {
+      recordOutcome("superseded", timer);
+      throw error;
+    }
+
+    recordOutcome("error", timer, { error });
+    if (!finalAttempt) throw error;
+
+    await abortCheckRun(
+      octokit,
+      owner,
+      repo,
+      checkRunId,
+      "ReviewBot could not complete the review",
+      error.message
+    );
+
     try {
       await octokit.issues.createComment({
         owner,
@@ -138,49 +442,178 @@ async function handlePullRequestEvent(payload) {
     } catch (commentError) {
       console.error("Failed to post error comment:", commentError);
     }
+    throw error;
   }
 }
 
+const OUTCOME_MESSAGES = {
+  success: "✅ Review completed successfully!",
+  partial: "⚠️ Review completed, but some results could not be posted",
+  skipped: "⏭️ Review finished early: no code changes",
+  superseded: "⏹️ Review superseded by a newer push",
+  error: "❌ Error analyzing PR",
+};
+
+// Counts the review attempt by outcome and logs it with the time spent in
+// each stage. Returns the timings ({ stages, totalMs }).
+function recordOutcome(outcome, timer, fields = {}) {
+  const timing = timer.finish();
+  metrics.reviews.inc({ outcome });
+  metrics.reviewDuration.observe({ outcome }, timing.totalMs / 1000);
+
+  const level =
+    outcome === "error" ? "error" : outcome === "partial" ? "warn" : "info";
+  logger[level](OUTCOME_MESSAGES[outcome], {
+    event: "review.finished",
+    outcome,
+    durationMs: timing.totalMs,
+    stages: timing.stages,
+    ...fields,
+  });
+  return timing;
+}
+
 // NOTE: The utility functions (postReviewComments, postSummaryComment, formatIssueComment,
 // getScoreEmoji, getTopConcerns, getRecommendation) remain the same except that
 // postSummaryComment now references the PUBLIC_LINK env variable.
 
+// Posts inline comments for findings not already posted by an earlier run,
+// most severe first, spread over reviews of `commentsPerReview` comments up
+// to `maxInlineComments` in total. Resolves to { standingReview, overflow,
+// failedBatches }: ReviewBot's standing review ({ id, event } or null), the
+// findings that could not be posted inline and how many reviews GitHub
+// rejected. A REQUEST_CHANGES or APPROVE verdict is only
+// resubmitted when it changes.
 async function postReviewComments(
   octokit,
   owner,
   repo,
   prNumber,
   commitSha,
-  issues
+  issues,
+  previous,
+  {
+    decision = { event: "COMMENT", reasons: [] },
+    policy = {},
+    limits = {},
+  } = {}
 ) {
-  const comments = issues
+  const maxInlineComments =
+    limits.maxInlineComments ?? DEFAULT_MAX_INLINE_COMMENTS;
+  const commentsPerReview = Math.max(
+    limits.commentsPerReview ?? DEFAULT_COMMENTS_PER_REVIEW,
+    1
+  );
+  const previousReview = previous ? previous.standingReview : null;
+  const alreadyPosted = previous ? previous.postedFindings : new Map();
+
+  const toPost = issues
     .filter((issue) => issue.line && issue.path)
-    .map((issue) => ({
-      path: issue.path,
-      line: issue.line,
-      body: formatIssueComment(issue),
-    }));
+    .filter((issue) => !alreadyPosted.has(findingKey(issue)))
+    .sort(
+      (a, b) =>
+        SEVERITY_RANK[a.severity] - SEVERITY_RANK[b.severity] ||
+        a.path.localeCompare(b.path) ||
+        a.line - b.line
+    );
+  const overflow = toPost.slice(maxInlineComments);
+
+  const batches = [];
+  const inline = toPost.slice(0, maxInlineComments);
+  for (let i = 0; i < inline.length; i += commentsPerReview) {
+    batches.push(inline.slice(i, i + commentsPerReview));
+  }
+
+  const verdictChanged =
+    decision.event !== "COMMENT" &&
+    (!previousReview || previousReview.event !== decision.event);
+  // The verdict rides on the first review; one is submitted even without
+  // comments when it changes. A verdict that already stands is not repeated.
+  if (batches.length === 0 && verdictChanged) batches.push([]);
 
-  const commentsToPost = comments.slice(0, 30);
+  let standingReview = previousReview;
+  let failedBatches = 0;
+  if (batches.length === 0) console.log("💬 No inline comments to post");
 
-  if (commentsToPost.length === 0) {
-    console.log("💬 No inline comments to post");
-    return;
+  for (const [index, batch] of batches.entries()) {
+    const event = index === 0 && verdictChanged ? decision.event : "COMMENT";
+    try {
+      const { data: review } = await octokit.pulls.createReview({
+        owner,
+        repo,
+        pull_number: prNumber,
+        commit_id: commitSha,
+        event,
+        body: formatReviewBody(event, decision, index, batches.length),
+        comments: batch.map((issue) => ({
+          path: issue.path,
+          body: `${formatIssueComment(issue)}\n${findingMarker(issue)}`,
+          ...commentRange(issue),
+        })),
+      });
+      console.log(`💬 Posted ${batch.length} inline comments (${event})`);
+      if (event !== "COMMENT") {
+        standingReview = { id: review.id, event };
+      }
+    } catch (error) {
+      // The findings still reach the PR through the summary
+      logger.error("Failed to post review comments", {
+        event: "review.publish_failed",
+        step: "review_comments",
+        comments: batch.length,
+        error,
+      });
+      metrics.publishFailures.inc({ step: "review_comments" });
+      failedBatches++;
+      overflow.push(...batch);
+    }
   }
 
-  try {
-    await octokit.pulls.createReview({
+  // An earlier verdict this run no longer reaches is dismissed
+  if (
+    previousReview &&
+    previousReview.event !== decision.event &&
+    policy.dismissStale !== false
+  ) {
+    const dismissed = await dismissStaleReview(
+      octokit,
       owner,
       repo,
-      pull_number: prNumber,
-      commit_id: commitSha,
-      event: "COMMENT",
-      comments: commentsToPost,
-    });
-    console.log(`💬 Posted ${commentsToPost.length} inline comments`);
-  } catch (error) {
-    console.error("Failed to post review comments:", error.message);
+      prNumber,
+      previousReview,
+      commitSha
+    );
+    if (dismissed && standingReview === previousReview) standingReview = null;
   }
+
+  if (overflow.length > 0) {
+    console.log(`📋 ${overflow.length} finding(s) listed in the summary only`);
+  }
+  return { standingReview, overflow, failedBatches };
+}
+
+function formatReviewBody(event, decision, index, total) {
+  if (event === "REQUEST_CHANGES") {
+    return `🛑 ReviewBot requests changes: ${decision.reasons.join(", ")}.`;
+  }
+  if (event === "APPROVE") {
+    return `✅ ReviewBot approves: ${decision.reasons.join(", ")}.`;
+  }
+  if (total > 1) return `ReviewBot findings, part ${index + 1} of ${total}`;
+  return undefined;
+}
+
+// A suggested change is anchored to the lines it replaces
+function commentRange(issue) {
+  const change = issue.suggestedChange;
+  if (!change) return { line: issue.line };
+  if (change.startLine === change.endLine) return { line: change.endLine };
+  return {
+    start_line: change.startLine,
+    line: change.endLine,
+    start_side: "RIGHT",
+    side: "RIGHT",
+  };
 }
 
 async function postSummaryComment(
@@ -189,21 +622,11 @@ async function postSummaryComment(
   repo,
   prNumber,
   issues,
-  score
+  score,
+  report = {}
 ) {
-  const critical = issues.filter((i) => i.severity === "critical").length;
-  const high = issues.filter((i) => i.severity === "high").length;
-  const medium = issues.filter((i) => i.severity === "medium").length;
-  const low = issues.filter((i) => i.severity === "low").length;
-
-  const riskLevel =
-    critical > 0
-      ? "🔴 HIGH"
-      : high > 0
-      ? "🟠 MEDIUM"
-      : medium > 0
-      ? "🟡 LOW"
-      : "🟢 MINIMAL";
+  const { critical, high, medium, low } = countBySeverity(issues);
+  const riskLevel = getRiskLevel({ critical, high, medium });
 
   // Use the public GitHub App link for the footer
   const publicLink =
@@ -212,7 +635,11 @@ async function postSummaryComment(
       process.env.GITHUB_APP_NAME || "sanjay-reviewbot"
     }`;
 
+  const previous = report.previous;
+  const changes = diffAgainstPrevious(issues, previous);
+
   const summary = `
+${summaryMarker(issues, report.standingReview)}
 ## 🤖 ReviewBot Analysis Summary
 
 **Overall Score:** ${score}/100 ${getScoreEmoji(score)}
@@ -224,27 +651,112 @@ ${high > 0 ? `- 🟠 **${high} High** (Important fixes needed)` : ""}
 ${medium > 0 ? `- 🟡 **${medium} Medium** (Should address)` : ""}
 ${low > 0 ? `- ⚪ **${low} Low** (Suggestions)` : ""}
 ${issues.length === 0 ? "✅ No issues found! Great work! 🎉" : ""}
-
+${formatScoreBreakdown(score, report.scoreBreakdown, report.scoreVersion)}
+${formatChangesSinceLastRun(changes)}
 ### 🎯 Top Concerns
 ${getTopConcerns(issues)}
 
 ### 📝 Recommendation
-${getRecommendation(score, critical, high)}
+${getRecommendation(score, critical, high)}${formatReviewDecision(
+    report.reviewDecision
+  )}
+${formatDependencyChanges(report.dependencyChanges)}${formatExistingDebt(
+    report.existingIssues
+  )}${formatOverflow(report.overflow)}${formatOversizedFiles(
+    report.oversizedFiles
+  )}${formatSuppressed(report.suppressed)}${formatSkippedLinters(
+    report.skippedLinters
+  )}${formatLinterNotices(report.linterNotices)}${formatConfigNotice(
+    report.configErrors
+  )}${
+    report.codeScanningLink
+      ? `\n🛡️ These findings are also in [code scanning](${report.codeScanningLink}), where they can be dismissed.\n`
+      : ""
+  }
 
 ---
 <sub>🤖 Powered by [Sanjay-ReviewBot](${publicLink})</sub>
   `.trim();
 
   try {
-    await octokit.issues.createComment({
+    if (previous && previous.summaryComment) {
+      await octokit.issues.updateComment({
+        owner,
+        repo,
+        comment_id: previous.summaryComment.id,
+        body: summary,
+      });
+      console.log("📝 Updated summary comment");
+    } else {
+      await octokit.issues.createComment({
+        owner,
+        repo,
+        issue_number: prNumber,
+        body: summary,
+      });
+      console.log("📝 Posted summary comment");
+    }
+    return true;
+  } catch (error) {
+    logger.error("Failed to post summary", {
+      event: "review.publish_failed",
+      step: "summary_comment",
+      error,
+    });
+    metrics.publishFailures.inc({ step: "summary_comment" });
+    return false;
+  }
+}
+
+const DEPENDENCY_CHANGE_LABELS = {
+  added: "➕ Added",
+  removed: "➖ Removed",
+  upgraded: "⬆️ Upgraded",
+  downgraded: "⬇️ Downgraded",
+  changed: "🔀 Changed",
+};
+
+function formatDependencyChanges(changes) {
+  if (!changes || changes.length === 0) return "";
+
+  const spec = (value) => `\`${value || "any version"}\``;
+  const lines = changes.map((change) => {
+    const versions =
+      change.type === "added"
+        ? spec(change.to)
+        : change.type === "removed"
+        ? spec(change.from)
+        : `${spec(change.from)} → ${spec(change.to)}`;
+    return `- ${DEPENDENCY_CHANGE_LABELS[change.type]} **${
+      change.name
+    }** ${versions}${change.dev ? " (dev)" : ""} in \`${change.path}\``;
+  });
+
+  return `
+### 📦 Dependency Changes
+<details>
+<summary>${changes.length} dependency change(s)</summary>
+
+${lines.join("\n")}
+</details>
+`;
+}
+
+// Resolves to the file's text at `ref`, or null if it does not exist there.
+async function fetchFileContent(octokit, owner, repo, filePath, ref) {
+  try {
+    const { data } = await octokit.repos.getContent({
       owner,
       repo,
-      issue_number: prNumber,
-      body: summary,
+      path: filePath,
+      ref,
     });
-    console.log("📝 Posted summary comment");
+    return Buffer.from(data.content, "base64").toString("utf-8");
   } catch (error) {
-    console.error("Failed to post summary:", error.message);
+    if (error.status !== 404) {
+      console.log(`⚠️ Could not fetch ${filePath}: ${error.message}`);
+    }
+    return null;
   }
 }
 
@@ -263,7 +775,11 @@ function formatIssueComment(issue) {
   }:** ${issue.title}\n\n`;
   comment += `${issue.description}\n\n`;
 
-  if (issue.suggestion) {
+  if (issue.suggestedChange) {
+    comment += `**💡 Suggested Fix:**\n${formatSuggestionBlock(
+      issue.suggestedChange.code
+    )}\n\n`;
+  } else if (issue.suggestion) {
     comment += `**💡 Suggested Fix:**\n\`\`\`${issue.language || ""}\n${
       issue.suggestion
     }\n\`\`\`\n\n`;
@@ -273,9 +789,219 @@ function formatIssueComment(issue) {
     comment += `📚 [Learn more](${issue.documentation})\n`;
   }
 
+  if (issue.cwe) {
+    comment += `🏷️ [${issue.cwe}](${cweUrl(issue.cwe)})${
+      issue.confidence ? ` · ${issue.confidence} confidence` : ""
+    }\n`;
+  }
+
+  if (issue.rule) {
+    comment += `\n<sub>Rule \`${issue.rule}\` · silence with \`reviewbot-ignore-next-line ${issue.rule} -- <reason>\`</sub>\n`;
+  }
+
   return comment;
 }
 
+function formatChangesSinceLastRun(changes) {
+  if (!changes) return "";
+
+  return `
+### 🔄 Since Last Review
+- 🆕 **${changes.new}** new
+- ✅ **${changes.fixed}** fixed
+- ⏳ **${changes.stillOpen}** still open
+`;
+}
+
+// Where each point of the score went, per finding category and adjustment
+function formatScoreBreakdown(score, breakdown, version) {
+  if (!breakdown) return "";
+
+  const formatPoints = (points) =>
+    `${points > 0 ? "+" : points < 0 ? "−" : ""}${Math.abs(
+      Math.round(points * 10) / 10
+    )}`;
+  const categoryRows = Object.entries(breakdown.categories)
+    .sort(([, a], [, b]) => b.points - a.points)
+    .map(
+      ([category, c]) =>
+        `| ${category} | ${c.findings} | ${formatPoints(-c.points)} |`
+    );
+  const adjustmentRows = breakdown.adjustments.map(
+    (a) => `| ${a.reason} | | ${formatPoints(a.points)} |`
+  );
+  const { testCoverage } = breakdown;
+
+  return `
+### 🧮 Score Breakdown
+<details>
+<summary>How the score of ${score}/100 was reached (scoring model v${version})</summary>
+
+| | Findings | Points |
+|---|---:|---:|
+| Starting score | | 100 |
+${[...categoryRows, ...adjustmentRows].join("\n")}${
+    categoryRows.length + adjustmentRows.length > 0 ? "\n" : ""
+  }| **Score** | | **${score}** |
+
+- ${breakdown.changedLines} changed line(s); medium and low findings count ×${
+    breakdown.sizeFactor
+  } for the change size
+- Repeats of a rule count for less each time
+- ${testCoverage.tested} of ${
+    testCoverage.sourceFiles
+  } changed source file(s) have matching test changes
+</details>
+`;
+}
+
+function formatExistingDebt(existingIssues) {
+  if (!existingIssues || existingIssues.length === 0) return "";
+
+  const MAX_LISTED = 20;
+  const listed = existingIssues
+    .slice(0, MAX_LISTED)
+    .map((i) => `- **${i.path}:${i.line}** - ${i.title} (${i.severity})`)
+    .join("\n");
+  const more =
+    existingIssues.length > MAX_LISTED
+      ? `\n- _…and ${existingIssues.length - MAX_LISTED} more_`
+      : "";
+
+  return `
+### 🧱 Existing Debt
+<details>
+<summary>${existingIssues.length} pre-existing issue(s) on lines this PR did not change (not counted in the score)</summary>
+
+${listed}${more}
+</details>
+`;
+}
+
+function formatSuppressed(suppressed) {
+  if (!suppressed || suppressed.length === 0) return "";
+
+  const bySource = { inline: 0, baseline: 0, command: 0 };
+  suppressed.forEach((s) => bySource[s.source]++);
+
+  const MAX_LISTED = 20;
+  const listed = suppressed
+    .slice(0, MAX_LISTED)
+    .map(
+      (s) =>
+        `- **${s.issue.path}:${s.issue.line}** \`${s.issue.rule}\` (${
+          s.source
+        }) - ${s.reason || "_no reason given_"}`
+    )
+    .join("\n");
+  const more =
+    suppressed.length > MAX_LISTED
+      ? `\n- _…and ${suppressed.length - MAX_LISTED} more_`
+      : "";
+
+  return `
+### 🙈 Suppressed Findings
+<details>
+<summary>${suppressed.length} finding(s) suppressed: ${bySource.inline} by in-code comments, ${bySource.baseline} by the baseline, ${bySource.command} by \`/reviewbot ignore\`</summary>
+
+${listed}${more}
+</details>
+`;
+}
+
+function formatOverflow(overflow) {
+  if (!overflow || overflow.length === 0) return "";
+
+  // Kept well under GitHub's comment size limit
+  const MAX_LISTED = 100;
+  const listed = overflow
+    .slice(0, MAX_LISTED)
+    .map((i) => `- **${i.path}:${i.line}** - ${i.title} (${i.severity})`)
+    .join("\n");
+  const more =
+    overflow.length > MAX_LISTED
+      ? `\n- _…and ${overflow.length - MAX_LISTED} more_`
+      : "";
+
+  return `
+### 📋 More Findings
+<details>
+<summary>${overflow.length} finding(s) not posted as inline comments, most severe first</summary>
+
+${listed}${more}
+</details>
+`;
+}
+
+function formatOversizedFiles(files) {
+  if (!files || files.length === 0) return "";
+
+  const MAX_LISTED = 50;
+  const listed = files
+    .slice(0, MAX_LISTED)
+    .map((f) => `- \`${f.path}\` (${f.reason})`)
+    .join("\n");
+  const more =
+    files.length > MAX_LISTED
+      ? `\n- _…and ${files.length - MAX_LISTED} more_`
+      : "";
+
+  return `
+### 📦 Files Not Analyzed
+<details>
+<summary>${files.length} file(s) over the \`limits\` in \`.reviewbot.yml\`</summary>
+
+${listed}${more}
+</details>
+`;
+}
+
+function formatSkippedLinters(skipped) {
+  if (!skipped || skipped.length === 0) return "";
+
+  const lines = skipped.map(
+    (linter) =>
+      `- **${linter.tool}** (${linter.languages.join(", ")}): ${
+        linter.files
+      } file(s) not checked`
+  );
+
+  return `
+### 🧰 Linters Not Installed
+These files got no static analysis because the linter is not installed on the ReviewBot host:
+${lines.join("\n")}
+`;
+}
+
+function formatLinterNotices(notices) {
+  if (!notices || notices.length === 0) return "";
+
+  return `
+### 🧰 Linter Notices
+${notices.map((n) => `- ${n}`).join("\n")}
+`;
+}
+
+function formatConfigNotice(configErrors) {
+  if (!configErrors || configErrors.length === 0) return "";
+
+  return `
+### ⚙️ Configuration Notice
+\`.reviewbot.yml\` has problems; the affected settings were ignored and defaults used instead:
+${configErrors.map((e) => `- ${e}`).join("\n")}
+`;
+}
+
+function getRiskLevel({ critical, high, medium }) {
+  return critical > 0
+    ? "🔴 HIGH"
+    : high > 0
+    ? "🟠 MEDIUM"
+    : medium > 0
+    ? "🟡 LOW"
+    : "🟢 MINIMAL";
+}
+
 function getScoreEmoji(score) {
   if (score >= 90) return "🌟";
   if (score >= 70) return "👍";
@@ -297,6 +1023,16 @@ function getTopConcerns(issues) {
     .join("\n");
 }
 
+function formatReviewDecision(decision) {
+  if (!decision || decision.event === "COMMENT") return "";
+
+  return decision.event === "REQUEST_CHANGES"
+    ? `\n\n🛑 **Changes requested** by ReviewBot: ${decision.reasons.join(
+        ", "
+      )}`
+    : `\n\n✅ **Approved** by ReviewBot: ${decision.reasons.join(", ")}`;
+}
+
 function getRecommendation(score, critical, high) {
   if (critical > 0) {
     return "🚨 **Do not merge** - Critical issues must be resolved first.";
@@ -310,4 +1046,11 @@ function getRecommendation(score, critical, high) {
   return "👍 **Approved** - Code quality looks great!";
 }
 
-module.exports = { handlePullRequestEvent };
+module.exports = {
+  handlePullRequestEvent,
+  queueCheckRun,
+  closeSupersededCheckRun,
+  getInstallationOctokit,
+  getRiskLevel,
+  getScoreEmoji,
+};
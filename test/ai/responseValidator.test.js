@@ -0,0 +1,102 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  parseLenientJson,
+  validateReviewResponse,
+} = require("../../backend/ai/responseValidator");
+
+// Lines 10-14 are one hunk, of which 11 and 13 were added
+const CHUNK = {
+  addedLines: new Set([11, 13]),
+  hunks: [{ start: 10, end: 14, addedLines: [11, 13] }],
+};
+
+function validate(issues) {
+  return validateReviewResponse(JSON.stringify({ issues }), CHUNK);
+}
+
+test("parseLenientJson repairs fences, prose and trailing commas", () => {
+  assert.deepEqual(
+    parseLenientJson('Here you go:\n```json\n{"issues": [1, 2,],}\n```'),
+    { issues: [1, 2] }
+  );
+  assert.deepEqual(parseLenientJson("{“a”: 1}"), { a: 1 });
+  assert.throws(() => parseLenientJson("not json"));
+});
+
+test("normalizes severity and category", () => {
+  const { issues, errors } = validate([
+    { line: 11, severity: " High ", category: "BUG", title: "Off by one" },
+    { line: 13, severity: "low", category: "naming", title: "Unclear name" },
+  ]);
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(
+    issues.map((i) => [i.line, i.severity, i.category, i.title]),
+    [
+      [11, "high", "bug", "Off by one"],
+      [13, "low", "quality", "Unclear name"],
+    ]
+  );
+});
+
+test("moves a line inside a hunk to the nearest added line", () => {
+  const { issues } = validate([
+    { line: 12, severity: "medium", title: "Context line" },
+    { line: 14, severity: "medium", title: "Hunk end" },
+  ]);
+
+  assert.deepEqual(
+    issues.map((i) => i.line),
+    [11, 13]
+  );
+});
+
+test("drops issues outside the hunks, without a title or severity", () => {
+  const { issues, errors } = validate([
+    { line: 40, severity: "high", title: "Elsewhere" },
+    { line: 11, severity: "high" },
+    { line: 11, severity: "blocker", title: "Made-up severity" },
+    "not an object",
+  ]);
+
+  assert.deepEqual(issues, []);
+  assert.equal(errors.length, 4);
+});
+
+test("keeps a replacement only when it covers the line within the hunk", () => {
+  const { issues } = validate([
+    {
+      line: 11,
+      severity: "low",
+      title: "Inside",
+      replacement: { startLine: 11, endLine: 12, code: "fixed();\r\n" },
+    },
+    {
+      line: 13,
+      severity: "low",
+      title: "Past the hunk",
+      replacement: { startLine: 13, endLine: 20, code: "fixed();" },
+    },
+  ]);
+
+  assert.deepEqual(issues[0].fix, {
+    startLine: 11,
+    endLine: 12,
+    replacement: "fixed();",
+  });
+  assert.equal(issues[1].fix, undefined);
+});
+
+test("reports responses that are empty, unparseable or have no issues", () => {
+  assert.deepEqual(validateReviewResponse("", CHUNK).errors, [
+    "Empty response",
+  ]);
+  assert.match(
+    validateReviewResponse("nope", CHUNK).errors[0],
+    /^Unparseable response/
+  );
+  assert.deepEqual(validateReviewResponse('{"findings": []}', CHUNK).errors, [
+    'Response has no "issues" array',
+  ]);
+});
@@ -0,0 +1,68 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  isAffected,
+  compareVersions,
+} = require("../../backend/analyzers/dependencies/advisories");
+
+const range = (...events) => ({ ranges: [{ type: "SEMVER", events }] });
+
+test("an introduced/fixed range is half-open", () => {
+  const affected = range({ introduced: "1.2.0" }, { fixed: "1.2.6" });
+
+  assert.equal(isAffected(affected, "1.1.9", "npm"), false);
+  assert.equal(isAffected(affected, "1.2.0", "npm"), true);
+  assert.equal(isAffected(affected, "1.2.5", "npm"), true);
+  assert.equal(isAffected(affected, "1.2.6", "npm"), false);
+});
+
+test("introduced 0 covers every version up to the fix", () => {
+  const affected = range({ introduced: "0" }, { fixed: "2.0.0" });
+
+  assert.equal(isAffected(affected, "0.0.1", "npm"), true);
+  assert.equal(isAffected(affected, "2.0.1", "npm"), false);
+});
+
+test("last_affected closes the range inclusively", () => {
+  const affected = range({ introduced: "0" }, { last_affected: "3.1.0" });
+
+  assert.equal(isAffected(affected, "3.1.0", "npm"), true);
+  assert.equal(isAffected(affected, "3.1.1", "npm"), false);
+});
+
+test("several intervals in one range", () => {
+  const affected = range(
+    { introduced: "1.0.0" },
+    { fixed: "1.4.0" },
+    { introduced: "2.0.0" },
+    { fixed: "2.1.0" }
+  );
+
+  assert.equal(isAffected(affected, "1.5.0", "npm"), false);
+  assert.equal(isAffected(affected, "2.0.3", "npm"), true);
+});
+
+test("explicit versions match and GIT ranges are ignored", () => {
+  assert.equal(isAffected({ versions: ["4.0.1"] }, "4.0.1", "npm"), true);
+  assert.equal(
+    isAffected(
+      { ranges: [{ type: "GIT", events: [{ introduced: "0" }] }] },
+      "1.0.0",
+      "npm"
+    ),
+    false
+  );
+});
+
+test("PyPI versions compare by release segments and pre-releases", () => {
+  const affected = {
+    ranges: [
+      { type: "ECOSYSTEM", events: [{ introduced: "2.0" }, { fixed: "2.31" }] },
+    ],
+  };
+
+  assert.equal(isAffected(affected, "2.28.0", "PyPI"), true);
+  assert.equal(isAffected(affected, "2.31.0", "PyPI"), false);
+  assert.equal(compareVersions("2.31rc1", "2.31", "PyPI"), -1);
+  assert.equal(compareVersions("2.10", "2.9", "PyPI"), 1);
+});
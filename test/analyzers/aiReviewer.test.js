@@ -0,0 +1,118 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { performAIReview } = require("../../backend/analyzers/aiReviewer");
+const { parseDiff } = require("../../backend/utils/diffParser");
+
+// The AI review runs end to end against the mock provider: no network, no
+// API key, answers from a fixture.
+
+const CONTENT = [
+  "const a = 1;",
+  "const b = 2;",
+  "function total(items) {",
+  "  return items.reduce((sum, i) => sum + i.price, 0);",
+  "}",
+  "module.exports = { total };",
+  "",
+].join("\n");
+
+function reviewInput(filePath) {
+  const diff = `--- /dev/null
++++ b/${filePath}
+@@ -0,0 +1,6 @@
+${CONTENT.split("\n")
+  .slice(0, 6)
+  .map((line) => `+${line}`)
+  .join("\n")}
+`;
+  const changedFiles = parseDiff(diff);
+  const files = [{ ...changedFiles[0], content: CONTENT }];
+  return { files, changedFiles };
+}
+
+function withFixture(fixture, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "reviewbot-test-"));
+  const fixturePath = path.join(dir, "fixture.json");
+  fs.writeFileSync(fixturePath, JSON.stringify(fixture));
+  process.env.AI_MOCK_FIXTURE = fixturePath;
+
+  return fn().finally(() => {
+    delete process.env.AI_MOCK_FIXTURE;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+}
+
+test("reviews a file with the bundled mock fixture", async () => {
+  const { files, changedFiles } = reviewInput("src/mock-example.js");
+
+  const issues = await performAIReview(files, changedFiles, {
+    provider: "mock",
+  });
+
+  assert.equal(issues.length, 1);
+  assert.deepEqual(
+    {
+      path: issues[0].path,
+      line: issues[0].line,
+      rule: issues[0].rule,
+      title: issues[0].title,
+    },
+    {
+      path: "src/mock-example.js",
+      line: 1,
+      rule: "ai-review",
+      title: "[AI] Mock finding",
+    }
+  );
+});
+
+test("returns no findings for files the fixture does not list", async () => {
+  const { files, changedFiles } = reviewInput("src/other.js");
+
+  assert.deepEqual(
+    await performAIReview(files, changedFiles, { provider: "mock" }),
+    []
+  );
+});
+
+test("keeps valid findings from a messy response and drops the rest", () =>
+  withFixture(
+    {
+      default:
+        '```json\n{"issues": [' +
+        '{"line": 4, "severity": "HIGH", "category": "bug", "title": "Missing price"},' +
+        '{"line": 40, "severity": "low", "title": "Outside the diff"},' +
+        '{"line": 2, "severity": "blocker", "title": "Unknown severity"},' +
+        "]}\n```",
+    },
+    async () => {
+      const { files, changedFiles } = reviewInput("src/cart.js");
+
+      const issues = await performAIReview(files, changedFiles, {
+        provider: "mock",
+      });
+
+      assert.deepEqual(
+        issues.map((i) => [i.line, i.severity, i.category, i.title]),
+        [[4, "high", "bug", "[AI] Missing price"]]
+      );
+    }
+  ));
+
+test("skips files that are too short or not a reviewed language", async () => {
+  const { files, changedFiles } = reviewInput("src/mock-example.js");
+
+  const issues = await performAIReview(
+    [
+      { ...files[0], content: "const a = 1;\n" },
+      { ...files[0], path: "README.md", language: "markdown" },
+    ],
+    changedFiles,
+    { provider: "mock" }
+  );
+
+  assert.deepEqual(issues, []);
+});
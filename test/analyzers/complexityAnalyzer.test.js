@@ -0,0 +1,95 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  analyzeComplexity,
+  measureFunction,
+} = require("../../backend/analyzers/complexityAnalyzer");
+const { parseSource } = require("../../backend/utils/ast");
+
+const measure = (source) =>
+  measureFunction(parseSource(source, "a.js").program.body[0]);
+
+test("loops, ifs and labelled jumps add cognitive complexity by nesting", () => {
+  // SonarSource's own example, scored 7
+  const metrics = measure(`function sumOfPrimes(max) {
+  let total = 0;
+  OUT: for (let i = 1; i <= max; ++i) {
+    for (let j = 2; j < i; ++j) {
+      if (i % j === 0) {
+        continue OUT;
+      }
+    }
+    total += i;
+  }
+  return total;
+}`);
+
+  assert.equal(metrics.cognitive, 7);
+  assert.equal(metrics.cyclomatic, 4);
+  assert.equal(metrics.params, 1);
+  assert.equal(metrics.length, 12);
+});
+
+test("a switch is one cognitive increment but a path per case", () => {
+  const metrics = measure(`function getWords(number) {
+  switch (number) {
+    case 1: return "one";
+    case 2: return "a couple";
+    default: return "lots";
+  }
+}`);
+
+  assert.equal(metrics.cognitive, 1);
+  assert.equal(metrics.cyclomatic, 3);
+});
+
+test("else-if chains and boolean operator runs are not nested further", () => {
+  const metrics = measure(`function grade(a, b, c) {
+  if (a && b && c) return 1;
+  else if (a || b) return 2;
+  else return 3;
+}`);
+
+  // if +1, && run +1, else if +1, || run +1, else +1
+  assert.equal(metrics.cognitive, 5);
+  assert.equal(metrics.nesting, 1);
+});
+
+test("nested functions are measured on their own", () => {
+  const metrics = measure(`function outer(items) {
+  return items.map((item) => {
+    if (item) return item;
+    return null;
+  });
+}`);
+
+  assert.equal(metrics.cognitive, 0);
+  assert.equal(metrics.cyclomatic, 1);
+});
+
+test("functions over the limits are reported with what was measured", async () => {
+  const content = `function route(a, b, c, d, e, f) {
+  if (a) {
+    if (b) {
+      if (c) {
+        if (d) {
+          if (e) return f;
+        }
+      }
+    }
+  }
+}
+const small = (x) => x;
+`;
+
+  const issues = await analyzeComplexity([
+    { path: "src/route.js", language: "javascript", content },
+  ]);
+
+  assert.deepEqual(
+    issues.map((i) => [i.line, i.rule, i.severity]),
+    [[1, "function-complexity", "medium"]]
+  );
+  assert.match(issues[0].description, /nesting depth 5 \(max 4\)/);
+  assert.match(issues[0].description, /6 parameters \(max 5\)/);
+});
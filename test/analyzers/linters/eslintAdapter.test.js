@@ -0,0 +1,45 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  eslintAdapter,
+} = require("../../../backend/analyzers/linters/eslintAdapter");
+
+const lint = (content, rules) =>
+  eslintAdapter.lint(
+    { path: "src/a.js", content, language: "javascript" },
+    { command: "eslint" },
+    { rules }
+  );
+const byRule = (issues, rule) => issues.find((i) => i.rule === rule);
+
+test("an ESLint autofix becomes the issue's fix", async () => {
+  const issues = await lint("var a = 1;\nconsole.warn(a)\n");
+
+  assert.deepEqual(byRule(issues, "eslint/semi").fix, {
+    startLine: 2,
+    endLine: 2,
+    original: "console.warn(a)",
+    replacement: "console.warn(a);",
+  });
+});
+
+test("eqeqeq gets the operator swap", async () => {
+  const issues = await lint("const a = 1;\nif (a == 2) a;\n");
+
+  assert.equal(
+    byRule(issues, "eslint/eqeqeq").fix.replacement,
+    "if (a === 2) a;"
+  );
+});
+
+test("ESLint's suggestions never become a one-click fix", async () => {
+  const issues = await lint(
+    'const o = {};\nif (o.hasOwnProperty("x")) console.warn(o);\n',
+    { "no-prototype-builtins": "error" }
+  );
+  const issue = byRule(issues, "eslint/no-prototype-builtins");
+
+  assert.ok(issue);
+  assert.equal(issue.fix, undefined);
+  assert.equal(issue.suggestion, undefined);
+});
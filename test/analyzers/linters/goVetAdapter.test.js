@@ -0,0 +1,54 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  goVetAdapter,
+} = require("../../../backend/analyzers/linters/goVetAdapter");
+
+const FILE = {
+  path: "cmd/app/main.go",
+  language: "go",
+  content: [
+    "package main",
+    "",
+    'import "fmt"',
+    "",
+    "func main() {",
+    '\tfmt.Printf("%d\\n", "seven")',
+    "}",
+    "",
+  ].join("\n"),
+};
+
+test("go vet findings are reported against the PR's path", async (t) => {
+  if (!(await goVetAdapter.resolve())) return t.skip("go is not installed");
+
+  const issues = await goVetAdapter.lint(FILE);
+
+  assert.deepEqual(
+    issues.map((i) => [i.path, i.line, i.rule]),
+    [["cmd/app/main.go", 6, "go-vet"]]
+  );
+  assert.match(issues[0].title, /Printf format %d has arg "seven"/);
+});
+
+test("imports outside the standard library are not reported", async (t) => {
+  if (!(await goVetAdapter.resolve())) return t.skip("go is not installed");
+
+  const issues = await goVetAdapter.lint({
+    ...FILE,
+    content:
+      'package main\n\nimport "example.com/x"\n\nfunc main() { x.Run() }\n',
+  });
+
+  assert.deepEqual(issues, []);
+});
+
+test("the server's environment does not reach go vet", async (t) => {
+  if (!(await goVetAdapter.resolve())) return t.skip("go is not installed");
+  process.env.GOFLAGS = "-vet=off -this-flag-does-not-exist";
+  t.after(() => delete process.env.GOFLAGS);
+
+  const issues = await goVetAdapter.lint(FILE);
+
+  assert.equal(issues.length, 1);
+});
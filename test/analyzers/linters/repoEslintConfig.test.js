@@ -0,0 +1,103 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  findEslintConfig,
+  lintInSandbox,
+} = require("../../../backend/analyzers/linters/repoEslintConfig");
+
+const reader = (files) => async (name) => files[name];
+
+test("a JSON config is preferred over a flat config", async () => {
+  const { config, notice } = await findEslintConfig(
+    ["eslint.config.js", ".eslintrc.json", "src"],
+    reader({ ".eslintrc.json": '{"rules":{}}' })
+  );
+
+  assert.deepEqual(config, {
+    path: ".eslintrc.json",
+    content: '{"rules":{}}',
+    flat: false,
+  });
+  assert.match(notice, /`eslint\.config\.js` was not used/);
+  assert.match(notice, /linted with `\.eslintrc\.json` instead/);
+});
+
+test("package.json eslintConfig is used when there is no config file", async () => {
+  const { config, notice } = await findEslintConfig(
+    ["package.json"],
+    reader({ "package.json": '{"eslintConfig":{"rules":{"eqeqeq":"error"}}}' })
+  );
+
+  assert.equal(config.path, ".eslintrc.json");
+  assert.deepEqual(JSON.parse(config.content), { rules: { eqeqeq: "error" } });
+  assert.equal(notice, null);
+});
+
+test("only JavaScript configs leave no config and say why", async () => {
+  const { config, notice } = await findEslintConfig(
+    ["eslint.config.mjs", ".eslintrc.cjs", "package.json"],
+    reader({ "package.json": "{}" })
+  );
+
+  assert.equal(config, null);
+  assert.match(
+    notice,
+    /`eslint\.config\.mjs`, `\.eslintrc\.cjs` were not used/
+  );
+});
+
+test("no config at all", async () => {
+  assert.deepEqual(await findEslintConfig(["src"], reader({})), {
+    config: null,
+    notice: null,
+  });
+});
+
+const FILE = { path: "src/a.js", content: "if (a == b) eval(x);\n" };
+
+test("lintInSandbox lints with the repository's rules", async () => {
+  const { results, rulesMeta } = await lintInSandbox([FILE], {
+    path: ".eslintrc.json",
+    content: JSON.stringify({
+      root: true,
+      rules: { eqeqeq: "error", "no-eval": "off" },
+    }),
+    flat: false,
+  });
+
+  assert.deepEqual(
+    results[0].messages.map((m) => m.ruleId),
+    ["eqeqeq"]
+  );
+  assert.equal(rulesMeta.eqeqeq.type, "suggestion");
+});
+
+test("lintInSandbox refuses JavaScript configs", async () => {
+  await assert.rejects(
+    lintInSandbox([FILE], {
+      path: "eslint.config.js",
+      content: "module.exports = [];",
+      flat: true,
+    }),
+    /JavaScript configs are not run/
+  );
+});
+
+test("a config cannot extend files outside the sandbox", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "reviewbot-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const outside = path.join(dir, "base.json");
+  fs.writeFileSync(outside, JSON.stringify({ rules: { eqeqeq: "error" } }));
+
+  await assert.rejects(
+    lintInSandbox([FILE], {
+      path: ".eslintrc.json",
+      content: JSON.stringify({ root: true, extends: [outside] }),
+      flat: false,
+    }),
+    /Cannot read config file/
+  );
+});
@@ -0,0 +1,49 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { analyzeSecrets } = require("../../backend/analyzers/secretScanner");
+
+function scan(path, content) {
+  const changedLines = content
+    .split("\n")
+    .map((text, i) => ({ lineNumber: i + 1, content: text, type: "add" }));
+  return analyzeSecrets([{ path, content, changedLines }], {});
+}
+
+test("flags a hardcoded password string", async () => {
+  const issues = await scan("src/db.js", 'const password = "hunter2xyz";\n');
+
+  assert.deepEqual(
+    issues.map((i) => [i.line, i.rule]),
+    [[1, "secret/hardcoded-password"]]
+  );
+});
+
+test("skips identifiers and regex literals in source files", async () => {
+  const issues = await scan(
+    "src/patterns.js",
+    [
+      "const password = config.password;",
+      "const PASSWORD_WORDS = /^(password|passwd|pwd)$/i;",
+      "const passwordRule=/[a-z]{8,}/;",
+      "const re = /password=([^&]+)/;",
+      'if (/token:\\s*(\\S+)/.test(line)) return "token";',
+    ].join("\n")
+  );
+
+  assert.deepEqual(issues, []);
+});
+
+test("a password after a division or in a comment is still flagged", async () => {
+  const issues = await scan(
+    "src/db.js",
+    [
+      'const half = total / 2; const password = "hunter2xyz";',
+      '// password: "hunter2xyz"',
+    ].join("\n")
+  );
+
+  assert.deepEqual(
+    issues.map((i) => i.line),
+    [1, 2]
+  );
+});
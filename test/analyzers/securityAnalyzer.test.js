@@ -0,0 +1,104 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  analyzeSecurityIssues,
+} = require("../../backend/analyzers/securityAnalyzer");
+
+async function scan(content, language = "javascript") {
+  const issues = await analyzeSecurityIssues([
+    { path: language === "python" ? "app.py" : "app.js", language, content },
+  ]);
+  return issues.map((i) => [i.line, i.rule, i.confidence]);
+}
+
+test("request data reaching a sink is a high-confidence finding", async () => {
+  assert.deepEqual(
+    await scan(
+      [
+        'const { exec } = require("child_process");',
+        "function handler(req) {",
+        "  const name = req.query.name;",
+        '  exec("ls " + name);',
+        "}",
+      ].join("\n")
+    ),
+    [[4, "command-injection", "high"]]
+  );
+});
+
+test("sanitizers stop taint, leaving a medium-confidence finding", async () => {
+  assert.deepEqual(
+    await scan(
+      [
+        'const cp = require("child_process");',
+        "function handler(req) {",
+        "  const id = parseInt(req.params.id, 10);",
+        '  cp.exec("kill " + id);',
+        "}",
+      ].join("\n")
+    ),
+    [[4, "command-injection", "medium"]]
+  );
+});
+
+test("SQL built from request data and from unknown values", async () => {
+  assert.deepEqual(
+    await scan(
+      [
+        "function handler(req, db) {",
+        '  const q = "SELECT * FROM users WHERE id = " + req.params.id;',
+        "  db.query(q);",
+        '  db.query("SELECT * FROM t WHERE a = " + other);',
+        "}",
+      ].join("\n")
+    ),
+    [
+      [2, "sql-injection", "high"],
+      [4, "sql-injection", "medium"],
+    ]
+  );
+});
+
+test("regex exec, comments and strings are not findings", async () => {
+  assert.deepEqual(
+    await scan(
+      [
+        "const m = /a(b)/.exec(str);",
+        "// eval(x)",
+        'const s = "eval(x)";',
+      ].join("\n")
+    ),
+    []
+  );
+});
+
+test("Math.random only matters where a secret is being made", async () => {
+  assert.deepEqual(
+    await scan(
+      [
+        "const token = Math.random().toString(36);",
+        "const jitter = Math.random() * 100;",
+      ].join("\n")
+    ),
+    [[1, "weak-random", "medium"]]
+  );
+});
+
+test("file paths from the request, unless reduced to a basename", async () => {
+  assert.deepEqual(
+    await scan(
+      [
+        'const fs = require("fs");',
+        'app.get("/f", (req, res) => fs.readFileSync(req.query.p));',
+        "fs.readFileSync(path.basename(req.query.p));",
+      ].join("\n")
+    ),
+    [[2, "path-traversal", "high"]]
+  );
+});
+
+test("languages without the AST engine use the line patterns", async () => {
+  assert.deepEqual(await scan("import os\n# eval(x)\neval(x)\n", "python"), [
+    [3, "eval", "low"],
+  ]);
+});
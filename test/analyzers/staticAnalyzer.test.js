@@ -0,0 +1,63 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  analyzeStaticIssues,
+} = require("../../backend/analyzers/staticAnalyzer");
+const {
+  shellcheckAdapter,
+} = require("../../backend/analyzers/linters/shellcheckAdapter");
+
+const TYPESCRIPT = {
+  path: "src/cart.ts",
+  language: "typescript",
+  content: [
+    "interface Item { price: number }",
+    "export function total(items: Item[]): number {",
+    "  var sum = 0;",
+    "  for (const item of items) sum += item.price;",
+    "  return sum;",
+    "}",
+    "",
+  ].join("\n"),
+};
+const SHELL = {
+  path: "scripts/deploy.sh",
+  language: "shell",
+  content: "#!/bin/sh\nrm -rf $DIR/build\n",
+};
+
+test("TypeScript is linted without core scope rules on type names", async () => {
+  const { issues } = await analyzeStaticIssues([TYPESCRIPT]);
+
+  assert.deepEqual(
+    issues.map((i) => [i.line, i.rule]),
+    [[3, "eslint/no-var"]]
+  );
+});
+
+test("files for a tool that is not installed are reported as skipped", async (t) => {
+  if (await shellcheckAdapter.resolve()) {
+    return t.skip("shellcheck is installed");
+  }
+
+  const { issues, skipped } = await analyzeStaticIssues([SHELL]);
+
+  assert.deepEqual(issues, []);
+  assert.deepEqual(skipped, [
+    {
+      name: "shellcheck",
+      tool: "shellcheck",
+      languages: shellcheckAdapter.languages,
+      files: 1,
+    },
+  ]);
+});
+
+test("`linters` restricts the adapters that run", async () => {
+  const { issues, skipped } = await analyzeStaticIssues([TYPESCRIPT, SHELL], {
+    linters: ["go-vet"],
+  });
+
+  assert.deepEqual(issues, []);
+  assert.deepEqual(skipped, []);
+});
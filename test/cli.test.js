@@ -0,0 +1,128 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync, execFileSync } = require("child_process");
+
+// The CLI runs as a separate process, as it would from a shell, against a
+// throwaway git repository
+
+const CLI = path.join(__dirname, "../backend/cli.js");
+
+function run(args, { cwd, input } = {}) {
+  const result = spawnSync(process.execPath, [CLI, ...args], {
+    cwd,
+    input,
+    encoding: "utf-8",
+    timeout: 60000,
+  });
+  return { code: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+function createRepo(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "reviewbot-cli-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const git = (...args) =>
+    execFileSync("git", args, {
+      cwd: dir,
+      env: {
+        ...process.env,
+        GIT_AUTHOR_NAME: "t",
+        GIT_AUTHOR_EMAIL: "t@example.com",
+        GIT_COMMITTER_NAME: "t",
+        GIT_COMMITTER_EMAIL: "t@example.com",
+      },
+    });
+  const commit = (files, message) => {
+    for (const [name, content] of Object.entries(files)) {
+      fs.writeFileSync(path.join(dir, name), content);
+    }
+    git("add", "-A");
+    git("commit", "-q", "-m", message);
+  };
+
+  git("init", "-q");
+  commit(
+    {
+      ".reviewbot.yml": "analyzers:\n  ai:\n    enabled: false\n",
+      "app.js": "const old = eval(process.argv[2]);\nmodule.exports = old;\n",
+    },
+    "init"
+  );
+  commit(
+    {
+      "app.js":
+        "const old = eval(process.argv[2]);\nconst input = process.argv[3];\nconst fresh = eval(input);\nmodule.exports = { old, fresh };\n",
+    },
+    "change"
+  );
+  return dir;
+}
+
+test("reviews a git range, reporting only new findings", (t) => {
+  const cwd = createRepo(t);
+
+  const { code, stdout } = run(
+    ["review", "--base", "HEAD~1", "--format", "json", "--quiet"],
+    { cwd }
+  );
+  const report = JSON.parse(stdout);
+
+  assert.equal(code, 1);
+  assert.deepEqual(
+    report.issues.map((i) => [i.path, i.line, i.rule]),
+    [
+      ["app.js", 3, "eval"],
+      ["app.js", 3, "eslint/no-eval"],
+    ]
+  );
+  assert.equal(report.existingIssues.length, 2);
+  assert.equal(report.conclusion, "failure");
+});
+
+test("--fail-on none passes whatever is found", (t) => {
+  const cwd = createRepo(t);
+
+  const { code, stdout } = run(
+    ["review", "--base", "HEAD~1", "--fail-on", "none", "--quiet"],
+    { cwd }
+  );
+
+  assert.equal(code, 0);
+  assert.match(stdout, /app\.js\n\s+3\s+🔴 critical/);
+  assert.match(stdout, /✅ All ReviewBot checks passed\./);
+});
+
+test("reviews a diff from stdin", (t) => {
+  const cwd = createRepo(t);
+  const diff = execFileSync("git", ["diff", "HEAD~1", "HEAD"], {
+    cwd,
+    encoding: "utf-8",
+  });
+
+  const { code, stdout } = run(
+    ["review", "--diff", "-", "--format", "sarif", "--no-ai", "--quiet"],
+    { cwd, input: diff }
+  );
+  const sarif = JSON.parse(stdout);
+
+  assert.equal(code, 1);
+  assert.deepEqual(sarif.runs[0].results.map((r) => r.ruleId).sort(), [
+    "eslint/no-eval",
+    "eval",
+  ]);
+});
+
+test("usage errors exit with 2 and print the usage", () => {
+  for (const args of [
+    ["review"],
+    ["review", "--base", "main", "--format", "xml"],
+    ["lint"],
+  ]) {
+    const { code, stderr } = run(args, { cwd: os.tmpdir() });
+
+    assert.equal(code, 2, args.join(" "));
+    assert.match(stderr, /Usage: reviewbot review/);
+  }
+});
@@ -0,0 +1,105 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// The handler gets its client from getInstallationOctokit, so that is
+// swapped for a fake before the handler module takes its reference
+const webhookHandler = require("../backend/webhookHandler");
+let octokit;
+test.mock.method(webhookHandler, "getInstallationOctokit", async () => octokit);
+const {
+  handleCommentEvent,
+  parseCommand,
+} = require("../backend/commandHandler");
+
+function fakeOctokit(permission) {
+  const calls = [];
+  const record = (name) => async (args) => {
+    calls.push([name, args]);
+    return { data: {} };
+  };
+  return {
+    calls,
+    repos: {
+      getCollaboratorPermissionLevel: async () => ({ data: { permission } }),
+    },
+    pulls: {
+      get: async () => ({ data: { number: 7, state: "open" } }),
+      createReplyForReviewComment: record("reply"),
+    },
+    issues: { createComment: record("comment") },
+    reactions: {
+      createForIssueComment: record("reaction"),
+      createForPullRequestReviewComment: record("reaction"),
+    },
+  };
+}
+
+const commentEvent = (body, login = "alice") => ({
+  action: "created",
+  installation: { id: 1 },
+  repository: { name: "r", full_name: "o/r", owner: { login: "o" } },
+  issue: { number: 7, pull_request: {} },
+  comment: { id: 100, body, user: { login, type: "User" } },
+});
+
+test("parseCommand reads the command and its arguments", () => {
+  assert.deepEqual(parseCommand("/reviewbot ignore weak-random"), {
+    name: "ignore",
+    args: "weak-random",
+  });
+  assert.deepEqual(parseCommand("Thanks!\n/reviewbot   EXPLAIN src/a.js:3"), {
+    name: "explain",
+    args: "src/a.js:3",
+  });
+  assert.deepEqual(parseCommand("/reviewbot"), { name: "help", args: "" });
+  assert.equal(parseCommand("see /reviewbot review"), null);
+  assert.equal(parseCommand("/reviewbotreview"), null);
+});
+
+test("commands from users without write access are only reacted to", async () => {
+  octokit = fakeOctokit("read");
+  const queued = [];
+
+  await handleCommentEvent("issue_comment", commentEvent("/reviewbot review"), {
+    enqueueReview: async (payload) => queued.push(payload),
+  });
+
+  assert.deepEqual(queued, []);
+  assert.deepEqual(
+    octokit.calls.map(([name, args]) => [name, args.content]),
+    [["reaction", "-1"]]
+  );
+});
+
+test("a collaborator's review command queues a review", async () => {
+  octokit = fakeOctokit("write");
+  const queued = [];
+
+  await handleCommentEvent("issue_comment", commentEvent("/reviewbot full"), {
+    enqueueReview: async (payload) => queued.push(payload),
+  });
+
+  assert.deepEqual(
+    queued.map((payload) => [payload.pull_request.number, payload.reviewbot]),
+    [[7, { full: true }]]
+  );
+  assert.deepEqual(
+    octokit.calls.map(([name]) => name),
+    ["reaction", "comment"]
+  );
+});
+
+test("ignore rejects rule names that are not rule IDs", async () => {
+  octokit = fakeOctokit("admin");
+  const queued = [];
+
+  await handleCommentEvent(
+    "issue_comment",
+    commentEvent("/reviewbot ignore <b>all</b>"),
+    { enqueueReview: async (payload) => queued.push(payload) }
+  );
+
+  assert.deepEqual(queued, []);
+  const [, reply] = octokit.calls.find(([name]) => name === "comment");
+  assert.match(reply.body, /usage: `\/reviewbot ignore <rule>`/);
+});
@@ -0,0 +1,126 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const { createDashboard } = require("../../backend/dashboard/dashboard");
+const { escapeHtml } = require("../../backend/dashboard/views");
+const { createHistoryStore } = require("../../backend/history/historyStore");
+const { createJobQueue } = require("../../backend/queue/jobQueue");
+
+const basic = (credentials) =>
+  `Basic ${Buffer.from(credentials).toString("base64")}`;
+
+// Serves a dashboard on a free port and returns a fetch for its paths
+async function startDashboard(t, env, historyStore = createHistoryStore()) {
+  const saved = {
+    DASHBOARD_USERNAME: process.env.DASHBOARD_USERNAME,
+    DASHBOARD_PASSWORD: process.env.DASHBOARD_PASSWORD,
+  };
+  delete process.env.DASHBOARD_USERNAME;
+  delete process.env.DASHBOARD_PASSWORD;
+  Object.assign(process.env, env);
+
+  const app = express();
+  app.use(
+    "/dashboard",
+    createDashboard({
+      historyStore,
+      reviewQueue: createJobQueue(async () => {}),
+    })
+  );
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  t.after(() => {
+    server.close();
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  const base = `http://127.0.0.1:${server.address().port}/dashboard`;
+  return (pathname, authorization) =>
+    fetch(base + pathname, { headers: authorization ? { authorization } : {} });
+}
+
+test("the dashboard is off without a password", async (t) => {
+  const get = await startDashboard(t, {});
+
+  const res = await get("/", basic("admin:"));
+  assert.equal(res.status, 404);
+});
+
+test("requests without the right credentials are refused", async (t) => {
+  const get = await startDashboard(t, {
+    DASHBOARD_USERNAME: "ops",
+    DASHBOARD_PASSWORD: "s3cret",
+  });
+
+  for (const authorization of [
+    undefined,
+    "Bearer s3cret",
+    basic("ops:wrong"),
+    basic("admin:s3cret"),
+    basic("ops:s3cret:extra"),
+  ]) {
+    const res = await get("/", authorization);
+    assert.equal(res.status, 401, String(authorization));
+    assert.match(res.headers.get("www-authenticate"), /^Basic realm=/);
+  }
+});
+
+test("the right credentials get the page, uncached and script-free", async (t) => {
+  const get = await startDashboard(t, { DASHBOARD_PASSWORD: "s3cret" });
+
+  const res = await get("/", basic("admin:s3cret"));
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("cache-control"), "no-store");
+  assert.match(
+    res.headers.get("content-security-policy"),
+    /default-src 'none'/
+  );
+});
+
+test("findings from a pull request are escaped in the review page", async (t) => {
+  const historyStore = createHistoryStore();
+  const { id } = historyStore.record({
+    repo: "o/r",
+    pr: 7,
+    headSha: "abc1234",
+    baseRef: "main",
+    startedAt: "2026-10-19T10:00:00Z",
+    durationMs: 1000,
+    score: 90,
+    counts: { critical: 0, high: 1, medium: 0, low: 0 },
+    issues: [
+      {
+        analyzer: "static",
+        rule: "<img src=x onerror=alert(1)>",
+        title: '"><script>alert(1)</script>',
+        severity: "high",
+        category: "security",
+        path: "src/<b>.js",
+        line: 3,
+      },
+    ],
+  });
+  const get = await startDashboard(
+    t,
+    { DASHBOARD_PASSWORD: "s3cret" },
+    historyStore
+  );
+
+  const html = await (
+    await get(`/reviews/${id}`, basic("admin:s3cret"))
+  ).text();
+  assert.doesNotMatch(html, /<script>|<img|src\/<b>/);
+  assert.match(html, /&lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+});
+
+test("escapeHtml escapes markup and quotes", () => {
+  assert.equal(
+    escapeHtml(`<a href="x" title='y'>&</a>`),
+    "&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;"
+  );
+  assert.equal(escapeHtml(null), "");
+  assert.equal(escapeHtml(42), "42");
+});
@@ -0,0 +1,153 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createHistoryStore } = require("../../backend/history/historyStore");
+const { SCORING_MODEL_VERSION } = require("../../backend/utils/scoring");
+
+const finding = (rule, filePath, severity = "medium") => ({
+  rule,
+  path: filePath,
+  line: 1,
+  severity,
+  category: "quality",
+  title: rule,
+  analyzer: "static",
+});
+
+function run(pr, finishedAt, score, issues = [], extra = {}) {
+  const counts = { critical: 0, high: 0, medium: 0, low: 0 };
+  issues.forEach((issue) => counts[issue.severity]++);
+  return {
+    repo: "Owner/Repo",
+    pr,
+    headSha: `sha-${pr}-${finishedAt}`,
+    baseRef: "main",
+    startedAt: finishedAt,
+    finishedAt,
+    durationMs: 1000,
+    score,
+    counts,
+    issues,
+    ...extra,
+  };
+}
+
+test("a PR's runs are listed newest first", () => {
+  const store = createHistoryStore();
+  store.record(run(1, "2026-10-05T10:00:00Z", 70));
+  store.record(run(2, "2026-10-05T11:00:00Z", 90));
+  store.record(run(1, "2026-10-06T10:00:00Z", 80));
+
+  assert.deepEqual(
+    store.pullRequestHistory("owner/repo", "1").map((r) => r.score),
+    [80, 70]
+  );
+});
+
+test("score trends count each PR once per period", () => {
+  const store = createHistoryStore();
+  // Monday 5 October and Wednesday 7 October share a week
+  store.record(run(1, "2026-10-05T10:00:00Z", 50));
+  store.record(run(1, "2026-10-07T10:00:00Z", 70));
+  store.record(run(2, "2026-10-07T12:00:00Z", 90));
+  store.record(run(3, "2026-10-12T09:00:00Z", 100));
+
+  assert.deepEqual(
+    store
+      .scoreTrend("owner/repo")
+      .map(({ period, pullRequests, averageScore, minScore, maxScore }) => [
+        period,
+        pullRequests,
+        averageScore,
+        minScore,
+        maxScore,
+      ]),
+    [
+      ["2026-10-05", 2, 80, 70, 90],
+      ["2026-10-12", 1, 100, 100, 100],
+    ]
+  );
+  assert.deepEqual(
+    store
+      .scoreTrend("owner/repo", { interval: "day", since: "2026-10-07" })
+      .map((p) => p.period),
+    ["2026-10-07", "2026-10-12"]
+  );
+});
+
+test("trends only compare scores from the same scoring model", () => {
+  const store = createHistoryStore();
+  store.record(run(1, "2026-10-05T10:00:00Z", 20, [], { scoreVersion: 1 }));
+  store.record(run(2, "2026-10-05T11:00:00Z", 90));
+
+  assert.equal(store.scoreTrend("owner/repo")[0].averageScore, 90);
+  assert.equal(
+    store.scoreTrend("owner/repo", { scoreVersion: 1 })[0].averageScore,
+    20
+  );
+});
+
+test("top rules and files come from the latest run of each PR", () => {
+  const store = createHistoryStore();
+  store.record(
+    run(1, "2026-10-05T10:00:00Z", 50, [
+      finding("no-eval", "a.js", "critical"),
+      finding("no-eval", "a.js", "critical"),
+    ])
+  );
+  store.record(run(1, "2026-10-06T10:00:00Z", 90, [finding("no-var", "a.js")]));
+  store.record(
+    run(2, "2026-10-06T11:00:00Z", 80, [
+      finding("no-var", "b.js"),
+      finding("no-eval", "b.js", "high"),
+    ])
+  );
+
+  assert.deepEqual(store.topRules("owner/repo"), [
+    {
+      rule: "no-var",
+      findings: 2,
+      pullRequests: 2,
+      counts: { critical: 0, high: 0, medium: 2, low: 0 },
+    },
+    {
+      rule: "no-eval",
+      findings: 1,
+      pullRequests: 1,
+      counts: { critical: 0, high: 1, medium: 0, low: 0 },
+    },
+  ]);
+  assert.deepEqual(
+    store.topFiles("owner/repo", { limit: 1 }).map((f) => [f.path, f.findings]),
+    [["b.js", 2]]
+  );
+});
+
+test("runs are persisted and read back after a restart", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "reviewbot-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const persistPath = path.join(dir, "history.jsonl");
+
+  const before = createHistoryStore({ persistPath, maxRuns: 2 });
+  [1, 2, 3, 4, 5].forEach((pr) =>
+    before.record(run(pr, `2026-10-0${pr}T10:00:00Z`, 90))
+  );
+  // A run from before scores were versioned
+  const legacy = { ...before.getRun(before.recentRuns()[0].id) };
+  delete legacy.scoreVersion;
+  fs.appendFileSync(persistPath, JSON.stringify({ ...legacy, pr: 6 }) + "\n");
+  // A line cut short by a crash mid-write
+  fs.appendFileSync(persistPath, '{"repo":"owner/repo","pr":7,"sco');
+
+  const after = createHistoryStore({ persistPath, maxRuns: 2 });
+  assert.equal(after.restore(), 2);
+  assert.deepEqual(
+    after.recentRuns().map((r) => [r.pr, r.scoreVersion]),
+    [
+      [6, 1],
+      [5, SCORING_MODEL_VERSION],
+    ]
+  );
+});
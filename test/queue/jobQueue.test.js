@@ -0,0 +1,112 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createJobQueue } = require("../../backend/queue/jobQueue");
+
+const tick = (ms = 20) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// A handler whose calls stay open until the test settles them
+function controlledHandler() {
+  const calls = [];
+  const handler = (payload, options) =>
+    new Promise((resolve, reject) => {
+      const call = { payload, options, resolve, reject };
+      options.signal.addEventListener("abort", () =>
+        reject(new Error("aborted"))
+      );
+      calls.push(call);
+    });
+  return { calls, handler };
+}
+
+test("a newer head SHA supersedes pending and running reviews", async () => {
+  const { calls, handler } = controlledHandler();
+  const superseded = [];
+  const queue = createJobQueue(handler, {
+    concurrency: 1,
+    onSuperseded: (payload) => superseded.push(payload.sha),
+  });
+
+  queue.enqueue("o/r#1", "a", { sha: "a" });
+  queue.enqueue("o/r#1", "b", { sha: "b" });
+  queue.enqueue("o/r#1", "c", { sha: "c" });
+  await tick();
+
+  assert.equal(calls[0].options.signal.aborted, true);
+  assert.deepEqual(superseded.sort(), ["a", "b"]);
+  assert.deepEqual(
+    calls.map((call) => call.payload.sha),
+    ["a", "c"]
+  );
+  calls[1].resolve();
+  await tick();
+  assert.deepEqual(
+    queue.status().jobs.recent.map((job) => [job.headSha, job.status]),
+    [
+      ["c", "completed"],
+      ["a", "superseded"],
+      ["b", "superseded"],
+    ]
+  );
+});
+
+test("reviews of different PRs share the concurrency cap", async () => {
+  const { calls, handler } = controlledHandler();
+  const queue = createJobQueue(handler, { concurrency: 2 });
+
+  ["1", "2", "3"].forEach((n) => queue.enqueue(`o/r#${n}`, "a", { n }));
+  await tick();
+
+  assert.equal(calls.length, 2);
+  assert.equal(queue.status().pending, 1);
+  calls[0].resolve();
+  await tick();
+  assert.equal(calls.length, 3);
+});
+
+test("failed reviews are retried with backoff until maxAttempts", async () => {
+  const attempts = [];
+  const queue = createJobQueue(
+    async (payload, { attempt, finalAttempt }) => {
+      attempts.push([attempt, finalAttempt]);
+      throw new Error("GitHub is down");
+    },
+    { maxAttempts: 3, baseDelayMs: 5 }
+  );
+
+  queue.enqueue("o/r#1", "a", {});
+  await tick(100);
+
+  assert.deepEqual(attempts, [
+    [1, false],
+    [2, false],
+    [3, true],
+  ]);
+  const [job] = queue.status().jobs.recent;
+  assert.equal(job.status, "failed");
+  assert.equal(job.error, "GitHub is down");
+});
+
+test("unfinished jobs are restored from persistPath", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "reviewbot-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const persistPath = path.join(dir, "queue.json");
+
+  const { handler } = controlledHandler();
+  const before = createJobQueue(handler, { concurrency: 1, persistPath });
+  before.enqueue("o/r#1", "a", { n: 1 });
+  before.enqueue("o/r#2", "b", { n: 2 });
+  await tick();
+
+  const restored = [];
+  const after = createJobQueue(async (payload) => restored.push(payload.n), {
+    persistPath,
+  });
+  assert.equal(after.restore(), 2);
+  await tick();
+
+  assert.deepEqual(restored.sort(), [1, 2]);
+  assert.deepEqual(JSON.parse(fs.readFileSync(persistPath, "utf-8")), []);
+});
@@ -0,0 +1,49 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseConfig } = require("../../backend/utils/config");
+
+test("limits must be whole numbers greater than 0", () => {
+  const { config, errors } = parseConfig(
+    [
+      "limits:",
+      "  maxFiles: 0",
+      "  fetchConcurrency: 2.5",
+      "  maxInlineComments: -1",
+      "  commentsPerReview: 10",
+      "analyzers:",
+      "  ai:",
+      "    maxFiles: 0.5",
+    ].join("\n")
+  );
+
+  assert.deepEqual(config.limits, { commentsPerReview: 10 });
+  assert.equal(config.analyzers.ai.maxFiles, undefined);
+  assert.deepEqual(errors, [
+    "`limits.maxFiles` must be a whole number greater than 0",
+    "`limits.fetchConcurrency` must be a whole number greater than 0",
+    "`limits.maxInlineComments` must be a whole number greater than 0",
+    "`analyzers.ai.maxFiles` must be a whole number greater than 0",
+  ]);
+});
+
+test("limits above the server's caps are lowered to them", () => {
+  const { config, errors } = parseConfig(
+    [
+      "limits:",
+      "  maxFiles: 100000",
+      "  fetchConcurrency: 500",
+      "analyzers:",
+      "  ai:",
+      "    maxFiles: 1000",
+    ].join("\n")
+  );
+
+  assert.equal(config.limits.maxFiles, 3000);
+  assert.equal(config.limits.fetchConcurrency, 16);
+  assert.equal(config.analyzers.ai.maxFiles, 50);
+  assert.deepEqual(errors, [
+    "`limits.maxFiles` is capped at 3000; that was used instead",
+    "`limits.fetchConcurrency` is capped at 16; that was used instead",
+    "`analyzers.ai.maxFiles` is capped at 50; that was used instead",
+  ]);
+});
@@ -0,0 +1,70 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  createDeliveryTracker,
+  eventTimestamp,
+} = require("../../backend/utils/deliveryTracker");
+
+test("a delivery ID is accepted once", () => {
+  const deliveries = createDeliveryTracker();
+
+  assert.equal(deliveries.record("d1"), true);
+  assert.equal(deliveries.record("d1"), false);
+  assert.equal(deliveries.record("d2"), true);
+});
+
+test("the oldest IDs are evicted beyond maxEntries", () => {
+  const deliveries = createDeliveryTracker({ maxEntries: 2 });
+  ["d1", "d2", "d3"].forEach((id) => deliveries.record(id));
+
+  assert.equal(deliveries.record("d4"), true);
+  assert.equal(deliveries.size(), 3);
+  assert.equal(deliveries.record("d1"), true);
+});
+
+test("seen IDs survive a restart with persistPath", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "reviewbot-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const persistPath = path.join(dir, "deliveries.jsonl");
+
+  const before = createDeliveryTracker({ persistPath });
+  before.record("d1");
+  before.record("d2");
+  fs.appendFileSync(persistPath, '{"id":"d3","seen');
+
+  const after = createDeliveryTracker({ persistPath });
+  assert.equal(after.restore(), 2);
+  assert.equal(after.record("d1"), false);
+  assert.equal(after.record("d3"), true);
+});
+
+test("expired IDs are not restored", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "reviewbot-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const persistPath = path.join(dir, "deliveries.jsonl");
+  fs.writeFileSync(
+    persistPath,
+    JSON.stringify({ id: "old", seenAt: Date.now() - 2 * 60 * 60 * 1000 }) +
+      "\n"
+  );
+
+  const deliveries = createDeliveryTracker({
+    persistPath,
+    ttlMs: 60 * 60 * 1000,
+  });
+  assert.equal(deliveries.restore(), 0);
+});
+
+test("eventTimestamp takes the newest timestamp in the payload", () => {
+  assert.equal(
+    eventTimestamp({
+      issue: { updated_at: "2026-10-01T00:00:00Z" },
+      comment: { updated_at: "2026-10-19T10:00:00Z" },
+    }),
+    Date.parse("2026-10-19T10:00:00Z")
+  );
+  assert.equal(eventTimestamp({ zen: "Keep it simple." }), null);
+});
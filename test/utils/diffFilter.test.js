@@ -0,0 +1,59 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { filterIssuesToDiff } = require("../../backend/utils/diffFilter");
+
+const CHANGED_FILES = [
+  {
+    path: "src/a.js",
+    changedLines: [
+      { lineNumber: 4, type: "normal" },
+      { lineNumber: 5, type: "add" },
+      { lineNumber: 6, type: "normal" },
+    ],
+  },
+];
+
+const ADDED = { path: "src/a.js", line: 5, rule: "added" };
+const CONTEXT = { path: "src/a.js", line: 4, rule: "context" };
+const UNTOUCHED = { path: "src/a.js", line: 30, rule: "untouched" };
+const OTHER_FILE = { path: "src/b.js", line: 5, rule: "other-file" };
+const NO_LINE = { path: "src/a.js", rule: "no-line" };
+
+const rules = (issues) => issues.map((i) => i.rule);
+
+test("keeps findings on added lines and reports the rest as debt", () => {
+  const { issues, debt } = filterIssuesToDiff(
+    [ADDED, CONTEXT, UNTOUCHED, OTHER_FILE, NO_LINE],
+    CHANGED_FILES
+  );
+
+  assert.deepEqual(rules(issues), ["added"]);
+  assert.deepEqual(rules(debt), [
+    "context",
+    "untouched",
+    "other-file",
+    "no-line",
+  ]);
+});
+
+test("includeContext keeps findings on context lines", () => {
+  const { issues, debt } = filterIssuesToDiff(
+    [ADDED, CONTEXT, UNTOUCHED],
+    CHANGED_FILES,
+    { includeContext: true }
+  );
+
+  assert.deepEqual(rules(issues), ["added", "context"]);
+  assert.deepEqual(rules(debt), ["untouched"]);
+});
+
+test("existingDebt: drop discards the debt", () => {
+  const { issues, debt } = filterIssuesToDiff(
+    [ADDED, UNTOUCHED],
+    CHANGED_FILES,
+    { existingDebt: "drop" }
+  );
+
+  assert.deepEqual(rules(issues), ["added"]);
+  assert.deepEqual(debt, []);
+});
@@ -0,0 +1,122 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  metrics,
+  onCollect,
+  renderMetrics,
+  instrumentOctokit,
+} = require("../../backend/utils/metrics");
+
+// The registry is shared by the whole process, so each test looks only at
+// the series it wrote
+const seriesOf = (name) =>
+  renderMetrics()
+    .split("\n")
+    .filter((line) => line.startsWith(`${name}{`));
+
+// Stands in for Octokit's request hook: `request(options)` runs the wrapped
+// request, which resolves or rejects with `respond(options)`
+function fakeOctokit(respond) {
+  let wrapper;
+  const octokit = {
+    hook: { wrap: (name, fn) => (wrapper = fn) },
+    request: (options) =>
+      wrapper(async (opts) => respond(opts), { method: "GET", ...options }),
+  };
+  return instrumentOctokit(octokit);
+}
+
+test("GitHub requests are counted by route template", async () => {
+  const octokit = fakeOctokit(() => ({ status: 200 }));
+
+  await octokit.request({ url: "/repos/{owner}/{repo}/pulls/{pull_number}" });
+  await octokit.request({
+    url: "https://api.github.com/repos/Acme/Widgets/pulls/7/files?page=2",
+  });
+  await octokit.request({
+    url: "https://api.github.com/repositories/42/pulls/7/comments?per_page=100",
+  });
+
+  const requests = seriesOf("reviewbot_github_requests_total");
+  assert.ok(
+    requests.includes(
+      'reviewbot_github_requests_total{method="GET",route="/repos/{owner}/{repo}/pulls/{pull_number}",status="200"} 1'
+    )
+  );
+  assert.ok(
+    requests.includes(
+      'reviewbot_github_requests_total{method="GET",route="/repos/{owner}/{repo}/pulls/{id}/files",status="200"} 1'
+    )
+  );
+  assert.ok(
+    requests.includes(
+      'reviewbot_github_requests_total{method="GET",route="/repositories/{id}/pulls/{id}/comments",status="200"} 1'
+    )
+  );
+  assert.ok(!requests.some((line) => /Acme|page=/.test(line)));
+});
+
+test("failed GitHub requests are counted as errors and rethrown", async () => {
+  const octokit = fakeOctokit(({ url }) => {
+    throw url.includes("missing")
+      ? Object.assign(new Error("Not Found"), { status: 404 })
+      : new Error("socket hang up");
+  });
+
+  await assert.rejects(octokit.request({ url: "/missing" }), /Not Found/);
+  await assert.rejects(octokit.request({ url: "/offline" }), /hang up/);
+
+  assert.deepEqual(seriesOf("reviewbot_github_request_errors_total"), [
+    'reviewbot_github_request_errors_total{method="GET",route="/missing",status="404"} 1',
+    'reviewbot_github_request_errors_total{method="GET",route="/offline",status="network"} 1',
+  ]);
+});
+
+test("histograms render cumulative buckets, sum and count", () => {
+  metrics.stageDuration.observe({ stage: "histogram-test" }, 0.2);
+  metrics.stageDuration.observe({ stage: "histogram-test" }, 7);
+
+  const lines = renderMetrics().split("\n");
+  const value = (suffix, le) =>
+    lines.find((line) =>
+      line.startsWith(
+        `reviewbot_review_stage_duration_seconds_${suffix}{stage="histogram-test"${
+          le ? `,le="${le}"` : ""
+        }}`
+      )
+    );
+
+  assert.match(value("bucket", "0.1"), / 0$/);
+  assert.match(value("bucket", "0.25"), / 1$/);
+  assert.match(value("bucket", "10"), / 2$/);
+  assert.match(value("bucket", "+Inf"), / 2$/);
+  assert.match(value("sum"), / 7\.2$/);
+  assert.match(value("count"), / 2$/);
+});
+
+test("gauges are set by collectors at scrape time", () => {
+  let depth = 3;
+  onCollect(() => metrics.queueJobs.set({ state: "collector-test" }, depth));
+
+  assert.ok(
+    seriesOf("reviewbot_queue_jobs").includes(
+      'reviewbot_queue_jobs{state="collector-test"} 3'
+    )
+  );
+  depth = 0;
+  assert.ok(
+    seriesOf("reviewbot_queue_jobs").includes(
+      'reviewbot_queue_jobs{state="collector-test"} 0'
+    )
+  );
+});
+
+test("label values are escaped", () => {
+  metrics.publishFailures.inc({ step: 'say "hi"\\\nbye' });
+
+  assert.ok(
+    seriesOf("reviewbot_publish_failures_total").includes(
+      'reviewbot_publish_failures_total{step="say \\"hi\\"\\\\\\nbye"} 1'
+    )
+  );
+});
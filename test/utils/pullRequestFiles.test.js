@@ -0,0 +1,156 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  listChangedFiles,
+  fetchFileContents,
+  mapWithConcurrency,
+} = require("../../backend/utils/pullRequestFiles");
+
+const prFile = (filename, extra = {}) => ({
+  filename,
+  status: "modified",
+  sha: `sha-${filename}`,
+  additions: 1,
+  deletions: 0,
+  patch: "@@ -1,1 +1,2 @@\n a\n+b",
+  ...extra,
+});
+
+test("listChangedFiles reads every page of the files API", async () => {
+  const pages = [
+    Array.from({ length: 100 }, (_, i) => prFile(`src/f${i}.js`)),
+    [prFile("src/last.js"), prFile("docs/old.md", { status: "removed" })],
+  ];
+  const octokit = {
+    pulls: { listFiles: () => {} },
+    paginate: async (method, args) => {
+      assert.equal(method, octokit.pulls.listFiles);
+      assert.equal(args.per_page, 100);
+      return pages.flat();
+    },
+  };
+
+  const files = await listChangedFiles(octokit, "o", "r", 7);
+
+  assert.equal(files.length, 102);
+  assert.deepEqual(
+    files[100].changedLines.filter((line) => line.type === "add"),
+    [{ lineNumber: 2, content: "b", type: "add" }]
+  );
+  assert.equal(files[101].status, "removed");
+});
+
+test("mapWithConcurrency keeps order and bounds calls in flight", async () => {
+  let inFlight = 0;
+  let peak = 0;
+
+  const results = await mapWithConcurrency([5, 1, 4, 2, 3], 2, async (n) => {
+    peak = Math.max(peak, ++inFlight);
+    await new Promise((resolve) => setTimeout(resolve, n));
+    inFlight--;
+    return n * 10;
+  });
+
+  assert.deepEqual(results, [50, 10, 40, 20, 30]);
+  assert.equal(peak, 2);
+});
+
+function blobOctokit(contents, { truncated = false } = {}) {
+  const fetched = [];
+  return {
+    fetched,
+    git: {
+      getTree: async () => ({
+        data: {
+          truncated,
+          tree: Object.entries(contents).map(([path, content]) => ({
+            path,
+            type: "blob",
+            size: Buffer.byteLength(content),
+          })),
+        },
+      }),
+      getBlob: async ({ file_sha }) => {
+        const path = file_sha.replace(/^sha-/, "");
+        fetched.push(path);
+        return {
+          data: {
+            content: Buffer.from(contents[path]).toString("base64"),
+            encoding: "base64",
+          },
+        };
+      },
+    },
+  };
+}
+
+const changed = (path, extra = {}) => ({
+  path,
+  status: "modified",
+  sha: `sha-${path}`,
+  ...extra,
+});
+
+test("files over the count and size limits are skipped, not fetched", async () => {
+  const octokit = blobOctokit({
+    "a.js": "a",
+    "big.js": "x".repeat(2048),
+    "b.js": "b",
+    "c.js": "c",
+    "package.json": "{}",
+  });
+
+  const { files, skipped } = await fetchFileContents(
+    octokit,
+    "o",
+    "r",
+    [
+      changed("a.js"),
+      changed("big.js"),
+      changed("b.js"),
+      changed("c.js"),
+      changed("package.json"),
+      changed("gone.js", { status: "removed" }),
+    ],
+    {
+      ref: "abc",
+      limits: { maxFiles: 3, maxFileBytes: 1024, fetchConcurrency: 1 },
+      alwaysFetch: (file) => file.path === "package.json",
+    }
+  );
+
+  assert.deepEqual(
+    files.map((f) => [f.path, f.content]),
+    [
+      ["a.js", "a"],
+      ["big.js", null],
+      ["b.js", "b"],
+      ["c.js", null],
+      ["package.json", "{}"],
+      ["gone.js", null],
+    ]
+  );
+  assert.deepEqual(skipped, [
+    { path: "big.js", reason: "2 KB, over 1 KB" },
+    { path: "c.js", reason: "over 3 files" },
+  ]);
+  assert.deepEqual(octokit.fetched, ["a.js", "b.js", "package.json"]);
+});
+
+test("without a full tree listing sizes are checked after fetching", async () => {
+  const octokit = blobOctokit(
+    { "big.js": "x".repeat(2048) },
+    { truncated: true }
+  );
+
+  const { files, skipped } = await fetchFileContents(
+    octokit,
+    "o",
+    "r",
+    [changed("big.js")],
+    { ref: "abc", limits: { maxFileBytes: 1024 } }
+  );
+
+  assert.equal(files[0].content, null);
+  assert.deepEqual(skipped, [{ path: "big.js", reason: "over 1 KB" }]);
+});
@@ -0,0 +1,105 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  DEFAULT_POLICY,
+  resolveReviewPolicy,
+  decideReviewEvent,
+  dismissStaleReview,
+} = require("../../backend/utils/reviewPolicy");
+
+const counts = (extra = {}) => ({
+  critical: 0,
+  high: 0,
+  medium: 0,
+  low: 0,
+  ...extra,
+});
+
+test("by default only critical issues request changes and nothing approves", () => {
+  assert.deepEqual(decideReviewEvent(40, counts({ critical: 2 })), {
+    event: "REQUEST_CHANGES",
+    reasons: ["2 critical issue(s)"],
+  });
+  assert.deepEqual(decideReviewEvent(100, counts({ high: 3 })), {
+    event: "COMMENT",
+    reasons: [],
+  });
+});
+
+test("score thresholds request changes or approve", () => {
+  const policy = {
+    ...DEFAULT_POLICY,
+    requestChangesBelowScore: 60,
+    approveAtScore: 90,
+  };
+
+  assert.deepEqual(decideReviewEvent(50, counts(), policy).reasons, [
+    "score 50 is below the minimum of 60",
+  ]);
+  assert.equal(decideReviewEvent(75, counts(), policy).event, "COMMENT");
+  assert.equal(decideReviewEvent(95, counts(), policy).event, "APPROVE");
+  assert.equal(
+    decideReviewEvent(95, counts({ critical: 1 }), policy).event,
+    "REQUEST_CHANGES"
+  );
+});
+
+test("advisory mode only ever comments", () => {
+  assert.deepEqual(
+    decideReviewEvent(0, counts({ critical: 5 }), {
+      ...DEFAULT_POLICY,
+      advisory: true,
+    }),
+    { event: "COMMENT", reasons: [] }
+  );
+});
+
+test("the first matching branch policy is layered over the repo's", () => {
+  const review = {
+    requestChangesOn: ["critical", "high"],
+    branches: {
+      main: { approveAtScore: 95 },
+      "release/*": { advisory: true },
+    },
+  };
+
+  assert.deepEqual(resolveReviewPolicy(review, "main"), {
+    ...DEFAULT_POLICY,
+    requestChangesOn: ["critical", "high"],
+    approveAtScore: 95,
+  });
+  assert.equal(resolveReviewPolicy(review, "release/2.1").advisory, true);
+  assert.equal(resolveReviewPolicy(review, "feature/x").approveAtScore, null);
+});
+
+function reviewsOctokit(state) {
+  const dismissed = [];
+  return {
+    dismissed,
+    pulls: {
+      getReview: async ({ review_id }) => ({ data: { id: review_id, state } }),
+      dismissReview: async (args) => dismissed.push(args),
+    },
+  };
+}
+
+test("a standing review is dismissed only while it still stands", async () => {
+  const standing = { id: 5, event: "REQUEST_CHANGES" };
+
+  const active = reviewsOctokit("CHANGES_REQUESTED");
+  assert.equal(
+    await dismissStaleReview(active, "o", "r", 7, standing, "abcdef123"),
+    true
+  );
+  assert.equal(
+    active.dismissed[0].message,
+    "The blocking issues were fixed as of abcdef1."
+  );
+
+  const alreadyDismissed = reviewsOctokit("DISMISSED");
+  assert.equal(
+    await dismissStaleReview(alreadyDismissed, "o", "r", 7, standing, "abc"),
+    false
+  );
+  assert.deepEqual(alreadyDismissed.dismissed, []);
+});
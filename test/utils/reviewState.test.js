@@ -0,0 +1,167 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  findingKey,
+  findingMarker,
+  readFindingMarker,
+  summaryMarker,
+  ignoreMarker,
+  loadPreviousReview,
+  diffAgainstPrevious,
+} = require("../../backend/utils/reviewState");
+const { fingerprintIssue } = require("../../backend/utils/suppressions");
+
+const CONTENT = "const a = 1;\neval(input);\n";
+const fingerprinted = (line, content) => {
+  const issue = { path: "src/a.js", line, rule: "no-eval", title: "eval" };
+  return { ...issue, fingerprint: fingerprintIssue(issue, content) };
+};
+const previousFrom = (issues) => {
+  const encoded = /reviewbot:state (\S+) -->/.exec(summaryMarker(issues))[1];
+  const state = JSON.parse(Buffer.from(encoded, "base64").toString("utf-8"));
+  return state.truncated ? {} : { previousKeys: new Set(state.keys) };
+};
+
+test("a finding keeps its key when lines are added above it", () => {
+  const before = fingerprinted(2, CONTENT);
+  const after = fingerprinted(3, `// new line\n${CONTENT}`);
+
+  assert.equal(findingKey(before), findingKey(after));
+  assert.deepEqual(diffAgainstPrevious([after], previousFrom([before])), {
+    new: 0,
+    fixed: 0,
+    stillOpen: 1,
+  });
+});
+
+test("inline comment markers carry the key, path, line and rule", () => {
+  const issue = fingerprinted(2, CONTENT);
+
+  assert.deepEqual(readFindingMarker(`Body\n${findingMarker(issue)}`), {
+    key: findingKey(issue),
+    path: "src/a.js",
+    line: 2,
+    rule: "no-eval",
+  });
+});
+
+test("markers from before fingerprints are still readable", () => {
+  const legacy = Buffer.from(JSON.stringify("src/a.js:2:no-eval")).toString(
+    "base64"
+  );
+
+  assert.deepEqual(readFindingMarker(`<!-- reviewbot:finding ${legacy} -->`), {
+    key: "src/a.js:2:no-eval",
+    path: "src/a.js",
+    line: 2,
+    rule: "no-eval",
+  });
+});
+
+test("the summary state stays well under GitHub's comment limit", () => {
+  const issues = Array.from({ length: 5000 }, (_, i) =>
+    fingerprinted(2, `eval(input${i});\n\n`)
+  );
+
+  assert.ok(summaryMarker(issues).length < 20000);
+  // A truncated state cannot tell new findings from old ones
+  assert.equal(diffAgainstPrevious(issues, previousFrom(issues)), null);
+});
+
+// Shaped like GitHub's responses: issue comments written by an app carry
+// `performed_via_github_app`, review comments only the bot user
+const BOT = { login: "reviewbot-test[bot]", id: 9001, type: "Bot" };
+const issueComment = (id, body, extra = {}) => ({
+  id,
+  node_id: `IC_${id}`,
+  html_url: `https://github.com/o/r/pull/7#issuecomment-${id}`,
+  body,
+  user: BOT,
+  author_association: "NONE",
+  performed_via_github_app: { id: 42, slug: "reviewbot-test", name: "RB" },
+  created_at: "2026-10-19T10:00:00Z",
+  ...extra,
+});
+const reviewComment = (id, body, extra = {}) => ({
+  id,
+  node_id: `PRRC_${id}`,
+  pull_request_review_id: 500,
+  diff_hunk: "@@ -1,2 +1,3 @@",
+  path: "src/a.js",
+  position: 2,
+  original_position: 2,
+  commit_id: "abc",
+  original_commit_id: "abc",
+  user: BOT,
+  body,
+  author_association: "NONE",
+  line: 2,
+  side: "RIGHT",
+  created_at: "2026-10-19T10:00:00Z",
+  ...extra,
+});
+
+function fakeOctokit(comments, reviewComments) {
+  const octokit = {
+    issues: { listComments: () => {} },
+    pulls: { listReviewComments: () => {} },
+    paginate: async (method) =>
+      method === octokit.issues.listComments ? comments : reviewComments,
+  };
+  return octokit;
+}
+
+test("loadPreviousReview reads the bot's own inline comments", async (t) => {
+  process.env.GITHUB_APP_ID = "42";
+  process.env.GITHUB_APP_NAME = "reviewbot-test";
+  t.after(() => {
+    delete process.env.GITHUB_APP_ID;
+    delete process.env.GITHUB_APP_NAME;
+  });
+
+  const issue = fingerprinted(2, CONTENT);
+  const posted = reviewComment(1, `**eval**\n${findingMarker(issue)}`);
+  const forged = fingerprinted(9, "x\n".repeat(8) + "eval(other);\n");
+  const octokit = fakeOctokit(
+    [issueComment(10, summaryMarker([issue]))],
+    [
+      posted,
+      reviewComment(2, `Ignored.\n\n${ignoreMarker("weak-random")}`, {
+        in_reply_to_id: 1,
+      }),
+      reviewComment(3, `${findingMarker(forged)} ${ignoreMarker("no-eval")}`, {
+        user: { login: "mallory", id: 7, type: "User" },
+      }),
+      reviewComment(4, ignoreMarker("eslint/no-var"), {
+        user: { login: "dependabot[bot]", id: 8, type: "Bot" },
+      }),
+    ]
+  );
+
+  const previous = await loadPreviousReview(octokit, "o", "r", 7);
+
+  assert.deepEqual([...previous.postedFindings.keys()], [findingKey(issue)]);
+  assert.equal(previous.postedFindings.get(findingKey(issue)), posted);
+  assert.deepEqual([...previous.ignoredRules], ["weak-random"]);
+  assert.equal(previous.summaryComment.id, 10);
+  assert.equal(previous.previousKeys.size, 1);
+});
+
+test("issue comments from another app are not trusted", async (t) => {
+  process.env.GITHUB_APP_ID = "42";
+  t.after(() => delete process.env.GITHUB_APP_ID);
+
+  const octokit = fakeOctokit(
+    [
+      issueComment(10, `${summaryMarker([])} ${ignoreMarker("no-eval")}`, {
+        performed_via_github_app: { id: 99, slug: "other" },
+      }),
+    ],
+    []
+  );
+
+  const previous = await loadPreviousReview(octokit, "o", "r", 7);
+
+  assert.equal(previous.summaryComment, null);
+  assert.deepEqual([...previous.ignoredRules], []);
+});
@@ -0,0 +1,134 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+const { buildSarif } = require("../../backend/utils/sarif");
+const { uploadSarif } = require("../../backend/utils/codeScanning");
+const { createSarifStore } = require("../../backend/utils/sarifStore");
+
+const CONTENT = "const a = 1;\neval(input);\nif (a == 2) a;\n";
+const FILES = [{ path: "src/a.js", content: CONTENT }];
+const ISSUES = [
+  {
+    path: "src/a.js",
+    line: 2,
+    severity: "critical",
+    category: "security",
+    rule: "eval",
+    cwe: "CWE-95",
+    title: "Dangerous eval() usage",
+    description: "Avoid eval.",
+  },
+  {
+    path: "src/a.js",
+    line: 3,
+    severity: "high",
+    category: "quality",
+    rule: "eslint/eqeqeq",
+    title: "Static Analysis: Expected '===' and instead saw '=='.",
+    fix: { startLine: 3, endLine: 3, replacement: "if (a === 2) a;" },
+  },
+  {
+    path: "src/b.js",
+    line: 9,
+    severity: "low",
+    category: "quality",
+    rule: "eslint/eqeqeq",
+    title: "Static Analysis: Expected '===' and instead saw '=='.",
+  },
+];
+
+test("findings become results of rules listed once each", () => {
+  const sarif = buildSarif(ISSUES, FILES);
+  const [run] = sarif.runs;
+
+  assert.equal(sarif.version, "2.1.0");
+  assert.deepEqual(
+    run.tool.driver.rules.map((rule) => [rule.id, rule.name]),
+    [
+      ["eval", "Eval"],
+      ["eslint/eqeqeq", "EslintEqeqeq"],
+    ]
+  );
+  assert.deepEqual(
+    run.results.map((r) => [
+      r.ruleId,
+      r.ruleIndex,
+      r.level,
+      r.locations[0].physicalLocation.region.startLine,
+    ]),
+    [
+      ["eval", 0, "error", 2],
+      ["eslint/eqeqeq", 1, "error", 3],
+      ["eslint/eqeqeq", 1, "note", 9],
+    ]
+  );
+});
+
+test("security rules carry CWE tags and a security severity", () => {
+  const [rule] = buildSarif(ISSUES, FILES).runs[0].tool.driver.rules;
+
+  assert.deepEqual(rule.properties, {
+    tags: ["security", "external/cwe/cwe-95"],
+    "security-severity": "9.5",
+  });
+  assert.equal(rule.shortDescription.text, "Dangerous eval() usage");
+});
+
+test("fixes and line-independent fingerprints are included", () => {
+  const [, withFix] = buildSarif(ISSUES, FILES).runs[0].results;
+  const shifted = buildSarif(
+    [{ ...ISSUES[1], line: 4 }],
+    [{ path: "src/a.js", content: `// new\n${CONTENT}` }]
+  ).runs[0].results[0];
+
+  assert.deepEqual(withFix.fixes[0].artifactChanges[0].replacements, [
+    {
+      deletedRegion: { startLine: 3, endLine: 3 },
+      insertedContent: { text: "if (a === 2) a;" },
+    },
+  ]);
+  assert.deepEqual(withFix.partialFingerprints, shifted.partialFingerprints);
+});
+
+test("uploads are gzipped and base64 encoded", async () => {
+  const sarif = buildSarif(ISSUES, FILES);
+  let sent;
+  const octokit = {
+    codeScanning: {
+      uploadSarif: async (args) => {
+        sent = args;
+        return { data: { id: "upload-1" } };
+      },
+    },
+  };
+
+  const id = await uploadSarif(octokit, "o", "r", {
+    sarif,
+    commitSha: "abc",
+    ref: "refs/pull/7/head",
+  });
+
+  assert.equal(id, "upload-1");
+  assert.equal(sent.ref, "refs/pull/7/head");
+  assert.deepEqual(
+    JSON.parse(zlib.gunzipSync(Buffer.from(sent.sarif, "base64"))),
+    JSON.parse(JSON.stringify(sarif))
+  );
+});
+
+test("the store keeps the latest report per PR, on disk when asked", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "reviewbot-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const store = createSarifStore({ dir });
+  store.save("O", "R", 7, { headSha: "a", sarif: { runs: 1 } });
+  store.save("o", "r", 7, { headSha: "b", sarif: { runs: 2 } });
+
+  const restarted = createSarifStore({ dir });
+  assert.equal(restarted.get("o", "r", 7).headSha, "b");
+  assert.equal(restarted.get("o", "r", 8), null);
+  assert.deepEqual(fs.readdirSync(dir), ["o%2Fr%237.sarif.json"]);
+});
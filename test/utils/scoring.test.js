@@ -0,0 +1,160 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  SCORING_MODEL_VERSION,
+  scoreChanges,
+  calculateScore,
+  isTestFile,
+  matchTests,
+} = require("../../backend/utils/scoring");
+
+const file = (path, additions, deletions = 0, status = "modified") => ({
+  path,
+  additions,
+  deletions,
+  status,
+});
+const finding = (severity, extra = {}) => ({
+  severity,
+  rule: `rule-${severity}`,
+  category: "quality",
+  analyzer: "static",
+  ...extra,
+});
+
+test("a clean small change scores 100 under the current model", () => {
+  const result = scoreChanges([], [file("README.md", 10)]);
+
+  assert.equal(result.score, 100);
+  assert.equal(result.version, SCORING_MODEL_VERSION);
+  assert.deepEqual(result.breakdown.categories, {});
+  assert.deepEqual(result.breakdown.adjustments, []);
+});
+
+test("each category's points add up to the deduction", () => {
+  const issues = [
+    finding("critical", { category: "security" }),
+    finding("high", { category: "bug" }),
+    finding("low", { category: "style" }),
+  ];
+  const files = [file("docs/a.md", 10)];
+  const result = scoreChanges(issues, files);
+
+  assert.deepEqual(result.breakdown.categories, {
+    security: { findings: 1, points: 25 },
+    bug: { findings: 1, points: 10 },
+    style: { findings: 1, points: 1 },
+  });
+  assert.equal(result.score, 64);
+  assert.equal(calculateScore(issues, files), 64);
+});
+
+test("repeats of a rule cost less each time", () => {
+  const repeated = Array.from({ length: 4 }, () => finding("medium"));
+  const { breakdown } = scoreChanges(repeated, [file("docs/a.md", 10)]);
+
+  // 4 + 2 + 1 + 0.5
+  assert.equal(breakdown.categories.quality.points, 7.5);
+});
+
+test("medium and low findings are normalized by change size", () => {
+  const issues = [finding("medium"), finding("critical")];
+  const small = scoreChanges(issues, [file("docs/a.md", 100)]);
+  const large = scoreChanges(issues, [file("docs/a.md", 600, 200)]);
+
+  assert.equal(small.breakdown.sizeFactor, 1);
+  assert.equal(large.breakdown.sizeFactor, 0.5);
+  assert.equal(small.breakdown.categories.quality.points, 29);
+  assert.equal(large.breakdown.categories.quality.points, 27);
+});
+
+test("findings are weighted by analyzer and confidence", () => {
+  const { breakdown } = scoreChanges(
+    [
+      finding("high", { analyzer: "ai", category: "bug", rule: "ai-review" }),
+      finding("high", { category: "security", confidence: "low" }),
+    ],
+    [file("docs/a.md", 10)]
+  );
+
+  assert.equal(breakdown.categories.bug.points, 6);
+  assert.equal(breakdown.categories.security.points, 5);
+});
+
+test("scoring options override the defaults", () => {
+  const { breakdown } = scoreChanges(
+    [finding("high", { analyzer: "ai" })],
+    [file("docs/a.md", 10)],
+    { penalties: { high: 20 }, analyzerWeights: { ai: 1 } }
+  );
+
+  assert.equal(breakdown.categories.quality.points, 20);
+});
+
+test("untested source changes cost points in proportion", () => {
+  const { score, breakdown } = scoreChanges(
+    [],
+    [
+      file("src/cart.js", 60),
+      file("src/tax.js", 60),
+      file("test/cart.test.js", 20),
+    ]
+  );
+
+  assert.deepEqual(breakdown.testCoverage, {
+    sourceFiles: 2,
+    tested: 1,
+    ratio: 0.5,
+  });
+  assert.deepEqual(
+    breakdown.adjustments.map((a) => a.points),
+    [-7.5, 2.5]
+  );
+  assert.equal(score, 95);
+});
+
+test("large changes get the large-PR penalty", () => {
+  const { breakdown } = scoreChanges([], [file("docs/a.md", 900, 200)]);
+
+  assert.deepEqual(breakdown.adjustments, [
+    { reason: "1100 changed lines, over 1000", points: -5 },
+  ]);
+});
+
+test("isTestFile recognizes common test layouts", () => {
+  for (const path of [
+    "test/cart.js",
+    "src/__tests__/cart.js",
+    "src/cart.test.ts",
+    "pkg/cart_test.go",
+    "tests/test_cart.py",
+    "src/CartTest.java",
+  ]) {
+    assert.equal(isTestFile(path), true, path);
+  }
+  assert.equal(isTestFile("src/latest.js"), false);
+});
+
+test("matchTests pairs source files with their tests by name", () => {
+  const matched = matchTests([
+    file("src/cart.js", 10),
+    file("test/cart.test.js", 5),
+    file("app/contest.py", 3),
+    file("tests/test_contest.py", 1),
+    file("src/Foo.java", 4),
+    file("src/FooTest.java", 2),
+    file("src/latest.js", 2),
+    file("src/old.js", 0, 9, "removed"),
+    file("README.md", 4),
+  ]);
+
+  assert.deepEqual(
+    matched.map((f) => [f.path, f.tested]),
+    [
+      ["src/cart.js", true],
+      ["app/contest.py", true],
+      ["src/Foo.java", true],
+      ["src/latest.js", false],
+    ]
+  );
+});
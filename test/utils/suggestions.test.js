@@ -0,0 +1,58 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  attachSuggestions,
+  resolveSuggestion,
+  formatSuggestionBlock,
+} = require("../../backend/utils/suggestions");
+
+const FILE = { path: "src/a.js", content: "const a = 1;\nif (a == 2) a;\n" };
+const CHANGED = { path: "src/a.js", hunks: [{ start: 1, end: 2 }] };
+const issue = (fix, line = 2) => ({ path: "src/a.js", line, fix });
+const FIX = {
+  startLine: 2,
+  endLine: 2,
+  original: "if (a == 2) a;",
+  replacement: "if (a === 2) a;",
+};
+
+test("a fix that applies cleanly becomes a suggested change", () => {
+  assert.deepEqual(resolveSuggestion(issue(FIX), FILE, CHANGED), {
+    startLine: 2,
+    endLine: 2,
+    code: "if (a === 2) a;",
+  });
+});
+
+test("stale, out-of-hunk and off-line fixes are dropped", () => {
+  const stale = { ...FIX, original: "if (b == 2) b;" };
+  const otherHunk = { path: "src/a.js", hunks: [{ start: 1, end: 1 }] };
+
+  assert.equal(resolveSuggestion(issue(stale), FILE, CHANGED), null);
+  assert.equal(resolveSuggestion(issue(FIX), FILE, otherHunk), null);
+  assert.equal(resolveSuggestion(issue(FIX, 1), FILE, CHANGED), null);
+  assert.equal(
+    resolveSuggestion(issue({ ...FIX, endLine: 3 }), FILE, CHANGED),
+    null
+  );
+  assert.equal(resolveSuggestion(issue(undefined), FILE, CHANGED), null);
+});
+
+test("attachSuggestions only touches issues with a usable fix", () => {
+  const [withFix, without] = attachSuggestions(
+    [issue(FIX), issue(undefined)],
+    [FILE],
+    [CHANGED]
+  );
+
+  assert.equal(withFix.suggestedChange.code, "if (a === 2) a;");
+  assert.equal(without.suggestedChange, undefined);
+});
+
+test("suggestion blocks are fenced past any backticks in the code", () => {
+  assert.equal(formatSuggestionBlock("a;"), "```suggestion\na;\n```");
+  assert.equal(
+    formatSuggestionBlock("const s = `x ${```y```}`;"),
+    "````suggestion\nconst s = `x ${```y```}`;\n````"
+  );
+});
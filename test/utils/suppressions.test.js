@@ -0,0 +1,108 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  parseDirective,
+  fingerprintIssue,
+  buildBaseline,
+  parseBaseline,
+  applySuppressions,
+} = require("../../backend/utils/suppressions");
+
+test("parseDirective reads the scope, rules and reason", () => {
+  assert.deepEqual(
+    parseDirective(
+      "// reviewbot-ignore-next-line path-traversal, eslint/no-eval -- import path, not user input"
+    ),
+    {
+      scope: "next-line",
+      rules: ["path-traversal", "eslint/no-eval"],
+      reason: "import path, not user input",
+    }
+  );
+  assert.deepEqual(parseDirective("x = 1  # reviewbot-ignore-line"), {
+    scope: "line",
+    rules: [],
+    reason: null,
+  });
+  assert.deepEqual(
+    parseDirective("<!-- reviewbot-ignore-file weak-random -->"),
+    { scope: "file", rules: ["weak-random"], reason: null }
+  );
+  assert.equal(parseDirective("// reviewbot: nothing to see"), null);
+});
+
+const CONTENT = [
+  "// reviewbot-ignore-next-line no-eval -- trusted input",
+  "eval(a);",
+  "eval(b); // reviewbot-ignore-line",
+  "eval(c);",
+  "Math.random();",
+].join("\n");
+const FILES = [{ path: "src/a.js", content: CONTENT }];
+const issue = (line, rule) => ({ path: "src/a.js", line, rule, title: rule });
+
+test("applySuppressions honours line and next-line directives", () => {
+  const { issues, suppressed } = applySuppressions(
+    [issue(2, "no-eval"), issue(3, "no-eval"), issue(4, "no-eval")],
+    FILES
+  );
+
+  assert.deepEqual(
+    issues.map((i) => i.line),
+    [4]
+  );
+  assert.deepEqual(
+    suppressed.map((s) => [s.issue.line, s.source, s.reason]),
+    [
+      [2, "inline", "trusted input"],
+      [3, "inline", null],
+    ]
+  );
+});
+
+test("a directive for another rule does not suppress", () => {
+  const { issues } = applySuppressions([issue(2, "weak-random")], FILES);
+
+  assert.equal(issues.length, 1);
+});
+
+test("ESLint rules match directives without their prefix", () => {
+  const { suppressed } = applySuppressions([issue(2, "eslint/no-eval")], FILES);
+
+  assert.equal(suppressed.length, 1);
+});
+
+test("applySuppressions honours ignored rules and the baseline", () => {
+  const accepted = issue(4, "no-eval");
+  const baseline = parseBaseline(
+    JSON.stringify(buildBaseline([accepted], FILES))
+  );
+
+  const { issues, suppressed } = applySuppressions(
+    [accepted, issue(5, "weak-random"), issue(5, "other")],
+    FILES,
+    { baseline, ignoredRules: new Set(["weak-random"]) }
+  );
+
+  assert.deepEqual(
+    issues.map((i) => i.rule),
+    ["other"]
+  );
+  assert.deepEqual(
+    suppressed.map((s) => s.source),
+    ["baseline", "command"]
+  );
+});
+
+test("fingerprints survive lines added above the finding", () => {
+  const shifted = `// a new first line\n${CONTENT}`;
+
+  assert.equal(
+    fingerprintIssue(issue(4, "no-eval"), CONTENT),
+    fingerprintIssue(issue(5, "no-eval"), shifted)
+  );
+  assert.notEqual(
+    fingerprintIssue(issue(4, "no-eval"), CONTENT),
+    fingerprintIssue(issue(2, "no-eval"), CONTENT)
+  );
+});
@@ -0,0 +1,27 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { isValidSignature } = require("../../backend/utils/webhookSignature");
+
+const BODY = Buffer.from('{"action":"opened","number":7}');
+const sign = (body, secret) =>
+  "sha256=" + crypto.createHmac("sha256", secret).update(body).digest("hex");
+
+test("a signature over the raw body with the secret is valid", () => {
+  assert.equal(isValidSignature(BODY, sign(BODY, "s3cret"), "s3cret"), true);
+});
+
+test("wrong secrets, altered bodies and malformed headers are rejected", () => {
+  const altered = Buffer.from('{"action":"opened","number":8}');
+
+  assert.equal(isValidSignature(BODY, sign(BODY, "other"), "s3cret"), false);
+  assert.equal(
+    isValidSignature(altered, sign(BODY, "s3cret"), "s3cret"),
+    false
+  );
+  assert.equal(isValidSignature(BODY, "sha256=abc", "s3cret"), false);
+  assert.equal(
+    isValidSignature(BODY, sign(BODY, "s3cret").replace("256", "1"), "s3cret"),
+    false
+  );
+});